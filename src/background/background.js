@@ -1,6 +1,9 @@
 // Background Script - Main entry point for the extension's background script
 // Handles extension lifecycle, user preferences, and communication with content scripts
 
+// Remote summarization providers run here, so their endpoint and API key never reach a page
+importScripts('../lib/summarization-providers.js');
+
 // Initialize extension when installed or updated
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('AI-Powered Dynamic Content Interpreter installed or updated');
@@ -8,6 +11,12 @@ chrome.runtime.onInstalled.addListener((details) => {
   // Initialize default settings
   initializeDefaultSettings();
   
+  // Earlier versions kept the API key with the synced preferences
+  migrateProviderApiKey();
+  
+  // Earlier versions kept every site's mute choices in one synced item, which outgrew its size limit
+  migrateChurnOverrides();
+  
   // Set up context menu items
   createContextMenuItems();
 });
@@ -33,6 +42,16 @@ function initializeDefaultSettings() {
         advertisement: { enabled: false, minPriority: 10 }
       }
     },
+    aiSummarization: {
+      localProcessingOnly: false,
+      provider: 'simulated',
+      providerEndpoint: '',
+      providerModel: '',
+      cacheSummaries: true,
+      persistSummaryCache: false,
+      locationPrefix: false,
+      spatialPrefix: false
+    },
     alertSystem: {
       defaultAlertMethod: 'screenreader',
       visualAlertDuration: 5000,
@@ -60,6 +79,53 @@ function initializeDefaultSettings() {
   });
 }
 
+/**
+ * Move the provider API key from the synced preferences to chrome.storage.local, which content scripts don't read
+ */
+function migrateProviderApiKey() {
+  chrome.storage.sync.get(['preferences'], (result) => {
+    const preferences = result.preferences;
+    if (chrome.runtime.lastError || !preferences || !preferences.aiSummarization ||
+        !('providerApiKey' in preferences.aiSummarization)) {
+      return;
+    }
+    
+    const { providerApiKey, ...aiSummarization } = preferences.aiSummarization;
+    
+    chrome.storage.local.set({ providerApiKey: providerApiKey || '' }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Could not move the provider API key:', chrome.runtime.lastError.message);
+        return;
+      }
+      chrome.storage.sync.set({ preferences: { ...preferences, aiSummarization } });
+    });
+  });
+}
+
+/**
+ * Move churn overrides from the single synced item to one chrome.storage.local item per site
+ */
+function migrateChurnOverrides() {
+  chrome.storage.sync.get(['churnOverrides'], (result) => {
+    if (chrome.runtime.lastError || !result.churnOverrides) {
+      return;
+    }
+    
+    const items = {};
+    for (const [hostname, overrides] of Object.entries(result.churnOverrides)) {
+      items[`churnOverrides:${hostname}`] = overrides;
+    }
+    
+    chrome.storage.local.set(items, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Could not move muted updates:', chrome.runtime.lastError.message);
+        return;
+      }
+      chrome.storage.sync.remove('churnOverrides');
+    });
+  });
+}
+
 /**
  * Create context menu items for the extension
  */
@@ -86,12 +152,54 @@ function createContextMenuItems() {
     contexts: ['all']
   });
   
+  chrome.contextMenus.create({
+    id: 'review-muted-updates',
+    parentId: 'ai-accessibility-menu',
+    title: 'Review Auto-Muted Updates',
+    contexts: ['all']
+  });
+  
+  chrome.contextMenus.create({
+    id: 'toggle-mute-element',
+    parentId: 'ai-accessibility-menu',
+    title: 'Mute or Unmute Updates Here',
+    contexts: ['all']
+  });
+  
+  chrome.contextMenus.create({
+    id: 'unmute-updates',
+    parentId: 'ai-accessibility-menu',
+    title: 'Unmute Auto-Muted Updates',
+    contexts: ['all']
+  });
+  
+  chrome.contextMenus.create({
+    id: 'expand-last-announcement',
+    parentId: 'ai-accessibility-menu',
+    title: 'Expand Last Announcement',
+    contexts: ['all']
+  });
+  
   chrome.contextMenus.create({
     id: 'developer-mode',
     parentId: 'ai-accessibility-menu',
     title: 'Developer Mode',
     contexts: ['all']
   });
+  
+  chrome.contextMenus.create({
+    id: 'start-recording',
+    parentId: 'ai-accessibility-menu',
+    title: 'Start Recording Page Updates',
+    contexts: ['all']
+  });
+  
+  chrome.contextMenus.create({
+    id: 'stop-recording',
+    parentId: 'ai-accessibility-menu',
+    title: 'Stop Recording and Save',
+    contexts: ['all']
+  });
 }
 
 // Handle context menu clicks
@@ -103,12 +211,46 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
     case 'open-options':
       chrome.runtime.openOptionsPage();
       break;
+    case 'review-muted-updates':
+      chrome.tabs.sendMessage(tab.id, { type: 'ANNOUNCE_CHURN_ELEMENTS' });
+      break;
+    case 'toggle-mute-element':
+      // Only the frame that was right-clicked knows which element it was
+      chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_CHURN_MUTE' }, { frameId: info.frameId || 0 });
+      break;
+    case 'unmute-updates':
+      chrome.tabs.sendMessage(tab.id, { type: 'UNMUTE_CHURN_ELEMENTS' });
+      break;
+    case 'expand-last-announcement':
+      expandLastAnnouncement(tab);
+      break;
     case 'developer-mode':
       toggleDeveloperMode(tab);
       break;
+    case 'start-recording':
+      chrome.tabs.sendMessage(tab.id, { type: 'START_RECORDING' }, { frameId: 0 });
+      break;
+    case 'stop-recording':
+      chrome.tabs.sendMessage(tab.id, { type: 'STOP_RECORDING' }, { frameId: 0 });
+      break;
+  }
+});
+
+// Handle keyboard shortcuts
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'expand-last-announcement' && tab) {
+    expandLastAnnouncement(tab);
   }
 });
 
+/**
+ * Ask the top frame to read out the items behind its last grouped announcement
+ * @param {Object} tab - Current tab
+ */
+function expandLastAnnouncement(tab) {
+  chrome.tabs.sendMessage(tab.id, { type: 'EXPAND_LAST_ANNOUNCEMENT' }, { frameId: 0 });
+}
+
 /**
  * Toggle the extension on/off for the current tab
  * @param {Object} tab - Current tab
@@ -156,6 +298,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicates async response
   }
   
+  if (message.type === 'FORWARD_FRAME_CHANGE') {
+    // Relay a change detected in a sub-frame to the top frame's content script
+    if (!sender.tab) {
+      sendResponse({ success: false });
+      return;
+    }
+    
+    chrome.tabs.sendMessage(sender.tab.id, {
+      type: 'FRAME_CHANGE',
+      change: message.change,
+      frameId: sender.frameId
+    }, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      sendResponse(response || { success: false });
+    });
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'SUMMARIZE_WITH_PROVIDER') {
+    // Content scripts send only the text and context; where it goes is decided here
+    summarizeWithProvider(message, message.id)
+      .then(summary => sendResponse({ summary }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'CHECK_PROVIDER_HEALTH') {
+    // Content scripts test the provider this way before sending requests again
+    checkProviderHealth()
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ healthy: false, latency: 0, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'CANCEL_PROVIDER_REQUEST') {
+    // The change being summarized was superseded by a newer one
+    const controller = providerRequests.get(message.id);
+    if (controller) {
+      controller.abort();
+      providerRequests.delete(message.id);
+    }
+    sendResponse({ success: Boolean(controller) });
+  }
+  
   if (message.type === 'LOG_INTERACTION') {
     // Log user interaction with a notification
     logInteraction(message.data, sender.tab.url);
@@ -164,6 +353,107 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Provider requests in flight, by the ID the content script gave them, so they can be cancelled
+const providerRequests = new Map();
+
+/**
+ * Summarize a change with the remote provider configured in the preferences
+ * @param {Object} request - Text, summarization context and summary length from the content script
+ * @param {string} [id] - Request ID, used to cancel it with CANCEL_PROVIDER_REQUEST
+ * @returns {Promise<string>} - Summary
+ */
+async function summarizeWithProvider(request, id) {
+  if (!request || typeof request.text !== 'string') {
+    throw new Error('Summarization requests need the text to summarize');
+  }
+  
+  // Registered before reading the settings, so a cancellation that arrives meanwhile isn't lost
+  const controller = new AbortController();
+  if (id) {
+    providerRequests.set(id, controller);
+  }
+  
+  try {
+    const settings = await getProviderSettings();
+    if (Number.isFinite(request.maxSummaryLength) && request.maxSummaryLength > 0) {
+      settings.options.maxSummaryLength = request.maxSummaryLength;
+    }
+    
+    if (controller.signal.aborted) {
+      throw new DOMException('Summarization was cancelled', 'AbortError');
+    }
+    
+    const provider = SummarizationProvider.create(settings.provider, settings.options);
+    return await provider.summarize(request.text, request.context || {}, { signal: controller.signal });
+  } finally {
+    providerRequests.delete(id);
+  }
+}
+
+/**
+ * Check that the remote provider configured in the preferences answers
+ * @returns {Promise<Object>} - Whether it is healthy, how long the check took and any error
+ */
+async function checkProviderHealth() {
+  const settings = await getProviderSettings();
+  const provider = SummarizationProvider.create(settings.provider, settings.options);
+  return provider.healthCheck();
+}
+
+/**
+ * Read the configured remote provider, its endpoint and the API key, and check they can be used
+ * @returns {Promise<Object>} - Provider name and provider options
+ */
+function getProviderSettings() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.get(['preferences'], (syncResult) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      
+      const preferences = (syncResult.preferences && syncResult.preferences.aiSummarization) || {};
+      
+      // Only the provider the user chose is ever called, and never when they asked for local processing
+      if (preferences.localProcessingOnly || !SummarizationProvider.isRemote(preferences.provider)) {
+        reject(new Error('No remote summarization provider is configured'));
+        return;
+      }
+      
+      const options = {};
+      if (preferences.providerEndpoint) {
+        let endpoint;
+        try {
+          endpoint = new URL(preferences.providerEndpoint);
+        } catch (error) {
+          reject(new Error('The provider endpoint is not a valid URL'));
+          return;
+        }
+        if (!['http:', 'https:'].includes(endpoint.protocol)) {
+          reject(new Error('The provider endpoint must use HTTP(S)'));
+          return;
+        }
+        options.endpoint = endpoint.href;
+      }
+      if (preferences.providerModel) {
+        options.model = preferences.providerModel;
+      }
+      
+      chrome.storage.local.get(['providerApiKey'], (localResult) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (localResult.providerApiKey) {
+          options.apiKey = localResult.providerApiKey;
+        }
+        
+        resolve({ provider: preferences.provider, options });
+      });
+    });
+  });
+}
+
 /**
  * Log user interaction with a notification
  * @param {Object} interactionData - Interaction data
@@ -5,12 +5,39 @@
 // Note: In a real extension, these would be imported using import statements or require()
 // For this prototype, we'll assume they're available in the global scope
 
-document.addEventListener('DOMContentLoaded', () => {
+// The content script runs in every frame, but only the top frame announces.
+// Sub-frames forward their changes to it through the background script.
+const isTopFrame = window.top === window;
+
+// Unique identifier for this frame, used to tag forwarded changes
+const frameToken = Math.random().toString(36).slice(2);
+let forwardedChangeCount = 0;
+let providerRequestCount = 0;
+
+// Changes detected while the tab is hidden are held and announced as one digest on return
+const AWAY_DIGEST_DELAY = 1000; // ms after returning, so the screen reader can read the tab title first
+const AWAY_DIGEST_MAX_ITEMS = 5; // changes read out in the digest; the rest are counted
+const MAX_AWAY_CHANGES = 200; // changes held while hidden, lowest priority dropped first
+
+// Developer panel showing summary cache statistics, toggled from the context menu
+const DEVELOPER_PANEL_REFRESH = 1000; // ms between statistics updates
+let developerPanel = null;
+
+// Element the user last right-clicked, for the context menu's mute control
+let contextMenuTarget = null;
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    console.log('AI-Powered Dynamic Content Interpreter initializing...');
+    
+    // Initialize all modules
+    initializeExtension();
+  });
+} else {
+  // Content scripts run at document_idle, usually after DOMContentLoaded has fired
   console.log('AI-Powered Dynamic Content Interpreter initializing...');
-  
-  // Initialize all modules
   initializeExtension();
-});
+}
 
 /**
  * Initialize the extension and all its modules
@@ -19,15 +46,34 @@ function initializeExtension() {
   // Create module instances
   const frameworkCompatibility = new FrameworkCompatibilityModule();
   const contentDetection = new ContentDetectionModule();
-  const aiSummarization = new AISummarizationModule();
+  // Remote summaries come from the background script, which holds the provider settings and API key
+  // and isn't bound by the page's CSP and CORS rules
+  const aiSummarization = new AISummarizationModule({
+    providerRelay: relaySummaryRequest,
+    providerHealthRelay: relayHealthCheck
+  });
   const priorityFiltering = new PriorityFilteringModule();
   const alertSystem = new AlertSystemModule();
   
   // Initialize framework compatibility first to detect the framework
   frameworkCompatibility.initialize();
   
-  // Initialize alert system
-  alertSystem.initialize();
+  // Initialize alert system (sub-frames only need it if forwarding fails)
+  if (isTopFrame) {
+    alertSystem.initialize();
+  }
+  
+  // Changes forwarded from sub-frames before preferences were loaded, and de-duplication of the rest
+  const pendingFrameChanges = [];
+  const frameRelay = new FrameRelayModule();
+  let preferencesLoaded = false;
+  
+  // Changes held while the tab is hidden, keyed so repeated updates collapse into one entry
+  const awayChanges = new Map();
+  let awayDigestTimer = null;
+  
+  // Restore the user's mute/unmute choices for frequently updating elements on this site
+  loadChurnOverrides(contentDetection);
   
   // Load user preferences from storage
   chrome.storage.sync.get(['preferences'], (result) => {
@@ -35,11 +81,16 @@ function initializeExtension() {
     
     // Initialize modules with stored preferences
     priorityFiltering.initializePreferences(storedPreferences.priorityFiltering);
+    aiSummarization.updatePreferences(storedPreferences.aiSummarization || {});
+    contentDetection.setDescribeLocation(aiSummarization.usesLocation());
     alertSystem.updatePreferences(storedPreferences.alertSystem);
     
     // Enhance content detection with framework-specific logic
     const enhancedDetector = frameworkCompatibility.enhanceContentDetection(contentDetection);
     
+    // Skip costly summarization while the page is changing faster than it can be analysed
+    contentDetection.onBackpressureChange(state => aiSummarization.setBackpressure(state.level));
+    
     // Start observing DOM changes
     enhancedDetector.startObserving(document.body);
     
@@ -62,19 +113,25 @@ function initializeExtension() {
           if (Array.isArray(filteredChanges)) {
             // Handle multiple changes
             for (const change of filteredChanges) {
-              await alertSystem.showAlert({
+              await deliverChange(alertSystem, awayChanges, {
                 summary: change.summary,
                 priority: change.priority,
                 contentType: priorityFiltering._determineContentType(change),
+                urgency: change.urgency,
+                details: change.details,
+                supersedeKey: change.supersedeKey,
                 original: change.original
               });
             }
           } else {
             // Handle single change
-            await alertSystem.showAlert({
+            await deliverChange(alertSystem, awayChanges, {
               summary: filteredChanges.summary,
               priority: filteredChanges.priority,
               contentType: priorityFiltering._determineContentType(filteredChanges),
+              urgency: filteredChanges.urgency,
+              details: filteredChanges.details,
+              supersedeKey: filteredChanges.supersedeKey,
               original: filteredChanges.original
             });
           }
@@ -84,20 +141,622 @@ function initializeExtension() {
       }
     });
     
+    // Announce changes that sub-frames forwarded before preferences were loaded
+    preferencesLoaded = true;
+    while (pendingFrameChanges.length > 0) {
+      showFrameChange(alertSystem, pendingFrameChanges.shift(), frameRelay, awayChanges);
+    }
+    
     console.log('AI-Powered Dynamic Content Interpreter initialized successfully');
   });
   
+  // Announce what changed while the user was on another tab when they come back
+  if (isTopFrame) {
+    document.addEventListener('visibilitychange', () => {
+      clearTimeout(awayDigestTimer);
+      
+      if (document.hidden || awayChanges.size === 0) {
+        return;
+      }
+      
+      awayDigestTimer = setTimeout(() => {
+        if (!document.hidden && awayChanges.size > 0) {
+          alertSystem.showAlert(buildAwayDigest(awayChanges));
+          awayChanges.clear();
+        }
+      }, AWAY_DIGEST_DELAY);
+    });
+  }
+  
+  // Remember what the user right-clicked, so the context menu can mute or unmute it
+  document.addEventListener('contextmenu', (event) => {
+    contextMenuTarget = event.target;
+  }, true);
+  
   // Listen for messages from the background script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'UPDATE_PREFERENCES') {
       // Update module preferences
       priorityFiltering.updatePreferences(message.preferences.priorityFiltering);
+      aiSummarization.updatePreferences(message.preferences.aiSummarization || {});
+      contentDetection.setDescribeLocation(aiSummarization.usesLocation());
       alertSystem.updatePreferences(message.preferences.alertSystem);
       sendResponse({ success: true });
     }
+    
+    if (message.type === 'GET_CHURN_ELEMENTS') {
+      sendResponse({ elements: contentDetection.getChurnElements() });
+    }
+    
+    if (message.type === 'GET_SUMMARY_CACHE_STATS') {
+      sendResponse({ stats: aiSummarization.getCacheStats() });
+    }
+    
+    if (message.type === 'TOGGLE_DEVELOPER_MODE' && isTopFrame) {
+      const shown = toggleDeveloperPanel(aiSummarization);
+      announceChange(alertSystem, {
+        summary: shown ? 'Developer panel shown' : 'Developer panel hidden',
+        priority: 8,
+        contentType: 'text'
+      });
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'SET_CHURN_OVERRIDE') {
+      contentDetection.setChurnOverride(message.key, message.override);
+      saveChurnOverrides(contentDetection, [message.key]);
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'TOGGLE_CHURN_MUTE') {
+      // Mute or unmute updates from the element the user right-clicked
+      const element = contentDetection.getChurnElementFor(contextMenuTarget);
+      
+      if (element) {
+        contentDetection.setChurnOverride(element.key, element.muted ? 'unmute' : 'mute');
+        saveChurnOverrides(contentDetection, [element.key]);
+      }
+      
+      announceChange(alertSystem, {
+        summary: !element
+          ? 'No updates from this element yet'
+          : `${element.muted ? 'Unmuted' : 'Muted'} updates from ${element.label}`,
+        priority: 8,
+        contentType: 'text'
+      });
+      sendResponse({ success: Boolean(element) });
+    }
+    
+    if (message.type === 'ANNOUNCE_CHURN_ELEMENTS') {
+      // Tell the user what has been auto-muted on this page
+      const muted = contentDetection.getChurnElements().filter(element => element.muted);
+      if (muted.length > 0 || isTopFrame) {
+        announceChange(alertSystem, {
+          summary: describeMutedElements(muted),
+          priority: 8,
+          contentType: 'text'
+        });
+      }
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'UNMUTE_CHURN_ELEMENTS') {
+      // Override automatic muting for everything currently muted on this page
+      const mutedKeys = contentDetection.getChurnElements()
+        .filter(element => element.muted)
+        .map(element => element.key);
+      for (const key of mutedKeys) {
+        contentDetection.setChurnOverride(key, 'unmute');
+      }
+      saveChurnOverrides(contentDetection, mutedKeys);
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'START_RECORDING' && isTopFrame) {
+      // Record the mutation stream so a bad announcement can be reproduced offline;
+      // starting again would throw away the recording in progress
+      const alreadyRecording = contentDetection.isRecording();
+      if (!alreadyRecording) {
+        contentDetection.startRecording();
+      }
+      announceChange(alertSystem, {
+        summary: alreadyRecording ? 'Already recording page updates' : 'Recording page updates',
+        priority: 8,
+        contentType: 'text'
+      });
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'STOP_RECORDING' && isTopFrame) {
+      const recording = contentDetection.stopRecording();
+      if (recording) {
+        downloadRecording(recording);
+      }
+      announceChange(alertSystem, {
+        summary: recording ? 'Recording saved' : 'No recording in progress',
+        priority: 8,
+        contentType: 'text'
+      });
+      sendResponse({ success: Boolean(recording) });
+    }
+    
+    if (message.type === 'EXPAND_LAST_ANNOUNCEMENT' && isTopFrame) {
+      // Read out the items behind the last grouped announcement (e.g. "12 new posts loaded")
+      alertSystem.expandLastAlert().then(expanded => {
+        if (!expanded) {
+          alertSystem.showAlert({
+            summary: 'No announcement to expand',
+            priority: 8,
+            contentType: 'text'
+          });
+        }
+      });
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'FRAME_CHANGE' && isTopFrame) {
+      // Change detected in a sub-frame, relayed by the background script
+      const frameChange = { ...message.change, frameId: message.frameId };
+      contentDetection.recordFrameChange(frameChange);
+      
+      if (preferencesLoaded) {
+        showFrameChange(alertSystem, frameChange, frameRelay, awayChanges);
+      } else {
+        pendingFrameChanges.push(frameChange);
+      }
+      
+      sendResponse({ success: true });
+    }
+  });
+}
+
+/**
+ * Announce a change, or forward it to the top frame when running in a sub-frame
+ * @param {AlertSystemModule} alertSystem - This frame's alert system
+ * @param {Object} alertData - Alert data object
+ * @returns {Promise<void>} - Promise that resolves when the alert is shown or forwarded
+ */
+async function announceChange(alertSystem, alertData) {
+  if (isTopFrame) {
+    return alertSystem.showAlert(alertData);
+  }
+  
+  const frameContext = getFrameContext();
+  
+  const forwarded = await forwardChangeToTopFrame({
+    id: `${frameToken}-${++forwardedChangeCount}`,
+    source: frameToken,
+    summary: alertData.summary,
+    priority: alertData.priority,
+    contentType: alertData.contentType,
+    urgency: alertData.urgency,
+    details: alertData.details,
+    // Fingerprints are only unique within a document, so keys are scoped to this frame
+    supersedeKey: alertData.supersedeKey ? `${frameToken}|${alertData.supersedeKey}` : null,
+    frameContext
+  });
+  
+  // If the top frame can't be reached, announce from this frame so the change isn't lost
+  if (!forwarded) {
+    if (!alertSystem.alertContainer) {
+      alertSystem.initialize();
+    }
+    return alertSystem.showAlert({ ...alertData, frameContext });
+  }
+}
+
+/**
+ * Announce a detected change, or hold it for the away digest while the tab is hidden
+ * @param {AlertSystemModule} alertSystem - This frame's alert system
+ * @param {Map} awayChanges - Changes held while the tab is hidden
+ * @param {Object} alertData - Alert data object
+ * @returns {Promise<void>} - Promise that resolves when the alert is shown, forwarded or held
+ */
+async function deliverChange(alertSystem, awayChanges, alertData) {
+  // Sub-frames keep forwarding; the top frame decides whether to hold their changes
+  if (isTopFrame && document.hidden) {
+    holdAwayChange(awayChanges, alertData);
+    return;
+  }
+  
+  return announceChange(alertSystem, alertData);
+}
+
+/**
+ * Hold a change for the away digest, collapsing repeated updates
+ * @param {Map} awayChanges - Changes held while the tab is hidden
+ * @param {Object} alertData - Alert data object
+ */
+function holdAwayChange(awayChanges, alertData) {
+  // Repeated updates to one element keep only the latest summary; other changes collapse by text
+  const fingerprint = alertData.original ? alertData.original.fingerprint : null;
+  const key = fingerprint || `${alertData.frameContext || ''}|${alertData.summary}`;
+  const existing = awayChanges.get(key);
+  
+  awayChanges.set(key, {
+    alertData,
+    count: existing ? existing.count + 1 : 1,
+    priority: Math.max(existing ? existing.priority : 0, alertData.priority),
+    order: existing ? existing.order : Date.now()
+  });
+  
+  // Pages that keep changing in the background shouldn't grow the digest without bound
+  if (awayChanges.size > MAX_AWAY_CHANGES) {
+    let lowestKey = null;
+    let lowest = null;
+    for (const [entryKey, entry] of awayChanges) {
+      if (!lowest || entry.priority < lowest.priority) {
+        lowestKey = entryKey;
+        lowest = entry;
+      }
+    }
+    awayChanges.delete(lowestKey);
+  }
+}
+
+/**
+ * Build one prioritised announcement of the changes held while the tab was hidden
+ * @param {Map} awayChanges - Changes held while the tab is hidden
+ * @returns {Object} - Alert data for the digest
+ */
+function buildAwayDigest(awayChanges) {
+  const entries = Array.from(awayChanges.values())
+    .sort((a, b) => b.priority - a.priority || a.order - b.order);
+  
+  const describe = entry => {
+    const summary = entry.alertData.summary.replace(/[.!?\s]+$/, '');
+    const where = entry.alertData.frameContext ? ` ${entry.alertData.frameContext}` : '';
+    return entry.count > 1 ? `${summary}${where} (${entry.count} updates)` : `${summary}${where}`;
+  };
+  
+  let summary = `While you were away: ${entries.slice(0, AWAY_DIGEST_MAX_ITEMS).map(describe).join('. ')}`;
+  
+  const remaining = entries.length - AWAY_DIGEST_MAX_ITEMS;
+  if (remaining > 0) {
+    summary += `. Plus ${remaining} more ${remaining === 1 ? 'change' : 'changes'}`;
+  }
+  
+  return {
+    summary,
+    priority: entries[0].priority,
+    contentType: 'text',
+    // Every held change can be read out with the expand shortcut
+    details: entries.map(describe)
+  };
+}
+
+/**
+ * Send a change to the top frame through the background script
+ * @param {Object} change - Serializable change data
+ * @returns {Promise<boolean>} - True if the top frame accepted the change
+ */
+function forwardChangeToTopFrame(change) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: 'FORWARD_FRAME_CHANGE', change }, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve(false);
+          return;
+        }
+        resolve(Boolean(response && response.success));
+      });
+    } catch (error) {
+      // Extension context invalidated (e.g. after an update)
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Ask the background script to summarize a change with the configured remote provider
+ * @param {Object} request - Text, summarization context and summary length
+ * @param {AbortSignal} [signal] - Signal that cancels the request in the background script
+ * @returns {Promise<string>} - Summary
+ */
+function relaySummaryRequest(request, signal) {
+  const id = `${frameToken}-provider-${++providerRequestCount}`;
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      chrome.runtime.sendMessage({ type: 'CANCEL_PROVIDER_REQUEST', id });
+      reject(new DOMException('Summarization was cancelled', 'AbortError'));
+    };
+    
+    if (signal) {
+      if (signal.aborted) {
+        reject(new DOMException('Summarization was cancelled', 'AbortError'));
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    try {
+      chrome.runtime.sendMessage({ type: 'SUMMARIZE_WITH_PROVIDER', id, ...request }, (response) => {
+        // Once answered there is nothing left to cancel
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.error) {
+          reject(new Error(response ? response.error : 'No response to provider request'));
+          return;
+        }
+        resolve(response.summary);
+      });
+    } catch (error) {
+      // Extension context invalidated (e.g. after an update)
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Ask the background script to check that the configured remote provider answers
+ * @returns {Promise<Object>} - Whether it is healthy, how long the check took and any error
+ */
+function relayHealthCheck() {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.runtime.sendMessage({ type: 'CHECK_PROVIDER_HEALTH' }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(response || { healthy: false, error: 'No response to provider health check' });
+      });
+    } catch (error) {
+      // Extension context invalidated (e.g. after an update)
+      reject(error);
+    }
   });
 }
 
+/**
+ * Show a change forwarded from a sub-frame, skipping copies of one already shown
+ * @param {AlertSystemModule} alertSystem - Top frame alert system
+ * @param {Object} frameChange - Forwarded change data
+ * @param {FrameRelayModule} frameRelay - De-duplication of forwarded changes
+ * @param {Map} awayChanges - Changes held while the tab is hidden
+ */
+function showFrameChange(alertSystem, frameChange, frameRelay, awayChanges) {
+  if (!frameRelay.accept(frameChange)) {
+    return;
+  }
+  
+  const alertData = frameRelay.getAlertData(frameChange);
+  
+  if (document.hidden) {
+    holdAwayChange(awayChanges, alertData);
+    return;
+  }
+  
+  alertSystem.showAlert(alertData);
+}
+
+/**
+ * Describe the frame this script is running in, e.g. "in support chat frame"
+ * @returns {string} - Frame context description
+ */
+function getFrameContext() {
+  let label = '';
+  
+  // The iframe element is only reachable for same-origin frames
+  try {
+    const frameElement = window.frameElement;
+    if (frameElement) {
+      label = frameElement.getAttribute('title') ||
+              frameElement.getAttribute('aria-label') ||
+              frameElement.getAttribute('name') || '';
+    }
+  } catch (error) {
+    // Cross-origin frame
+  }
+  
+  label = (label || window.name || document.title || window.location.hostname || '').trim();
+  
+  if (!label) {
+    return 'in embedded frame';
+  }
+  
+  return /\bframe$/i.test(label) ? `in ${label}` : `in ${label} frame`;
+}
+
+/**
+ * Get the storage key for this site's churn overrides
+ * @returns {string} - Key in chrome.storage.local
+ */
+function getChurnOverridesKey() {
+  return `churnOverrides:${window.location.hostname}`;
+}
+
+/**
+ * Load this site's churn overrides
+ * @param {ContentDetectionModule} contentDetection - Content detection module
+ */
+function loadChurnOverrides(contentDetection) {
+  const storageKey = getChurnOverridesKey();
+  
+  chrome.storage.local.get([storageKey], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Could not load muted updates:', chrome.runtime.lastError.message);
+      return;
+    }
+    
+    // Choices made before loading finished are newer than the stored ones
+    contentDetection.setChurnOverrides({
+      ...(result[storageKey] || {}),
+      ...contentDetection.getChurnOverrides()
+    });
+  });
+}
+
+/**
+ * Persist this site's churn overrides for some elements
+ * @param {ContentDetectionModule} contentDetection - Content detection module
+ * @param {string[]} keys - Keys of the elements whose override changed
+ */
+function saveChurnOverrides(contentDetection, keys) {
+  const storageKey = getChurnOverridesKey();
+  const overrides = contentDetection.getChurnOverrides();
+  
+  // Only the changed keys are written, so other tabs on the same site keep their choices
+  chrome.storage.local.get([storageKey], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('Could not save muted updates:', chrome.runtime.lastError.message);
+      return;
+    }
+    
+    const stored = result[storageKey] || {};
+    for (const key of keys) {
+      if (overrides[key]) {
+        stored[key] = overrides[key];
+      } else {
+        delete stored[key];
+      }
+    }
+    
+    chrome.storage.local.set({ [storageKey]: stored }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Could not save muted updates:', chrome.runtime.lastError.message);
+      }
+    });
+  });
+}
+
+/**
+ * Describe auto-muted elements for announcement
+ * @param {Array} mutedElements - Muted elements from getChurnElements()
+ * @returns {string} - Description of what is muted
+ */
+function describeMutedElements(mutedElements) {
+  if (mutedElements.length === 0) {
+    return 'No frequently updating content is muted on this page';
+  }
+  
+  const descriptions = mutedElements.map(element => {
+    const seconds = Math.max(1, Math.round(element.averageInterval / 1000));
+    return element.override === 'mute'
+      ? `${element.label} (muted by you)`
+      : `${element.label} (updates every ${seconds} seconds)`;
+  });
+  
+  return `Muted frequently updating content: ${descriptions.join(', ')}`;
+}
+
+/**
+ * Show or hide the developer panel with the summary cache statistics
+ * @param {AISummarizationModule} aiSummarization - Summarization module whose cache is shown
+ * @returns {boolean} - True if the panel is now shown
+ */
+function toggleDeveloperPanel(aiSummarization) {
+  if (developerPanel) {
+    clearInterval(developerPanel.timer);
+    developerPanel.host.remove();
+    developerPanel = null;
+    return false;
+  }
+  
+  // A closed shadow root keeps the panel's own updates out of the change detector
+  const host = document.createElement('div');
+  host.id = 'ai-accessibility-developer-panel';
+  const shadowRoot = host.attachShadow({ mode: 'closed' });
+  
+  const panel = document.createElement('section');
+  panel.setAttribute('aria-label', 'Summary cache statistics');
+  Object.assign(panel.style, {
+    position: 'fixed',
+    top: '20px',
+    right: '20px',
+    zIndex: '9999',
+    padding: '10px 15px',
+    backgroundColor: '#fff',
+    color: '#222',
+    border: '1px solid #888',
+    borderRadius: '4px',
+    boxShadow: '0 2px 5px rgba(0, 0, 0, 0.2)',
+    fontFamily: 'Arial, sans-serif',
+    fontSize: '13px'
+  });
+  
+  const heading = document.createElement('h2');
+  heading.textContent = 'Summary cache';
+  heading.style.fontSize = '14px';
+  heading.style.margin = '0 0 6px';
+  
+  const list = document.createElement('dl');
+  list.style.margin = '0';
+  
+  panel.append(heading, list);
+  shadowRoot.appendChild(panel);
+  document.body.appendChild(host);
+  
+  const refresh = () => renderCacheStats(list, aiSummarization.getCacheStats());
+  refresh();
+  
+  developerPanel = {
+    host,
+    timer: setInterval(refresh, DEVELOPER_PANEL_REFRESH)
+  };
+  return true;
+}
+
+/**
+ * Fill the developer panel's statistics list
+ * @param {HTMLElement} list - Description list to fill
+ * @param {Object} stats - Statistics from AISummarizationModule.getCacheStats()
+ */
+function renderCacheStats(list, stats) {
+  const rows = [
+    ['Hits', stats.hits],
+    ['Misses', stats.misses],
+    ['Hit rate', `${Math.round(stats.hitRate * 100)}%`],
+    ['Entries', `${stats.size} of ${stats.maxEntries}`],
+    ['Evictions', stats.evictions],
+    ['Expirations', stats.expirations],
+    ['Persisted', stats.persisted ? 'Yes' : 'No']
+  ];
+  
+  list.replaceChildren(...rows.flatMap(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    term.style.fontWeight = 'bold';
+    
+    const description = document.createElement('dd');
+    description.textContent = String(value);
+    description.style.margin = '0 0 4px';
+    
+    return [term, description];
+  }));
+}
+
+/**
+ * Save a mutation recording as a JSON file for the replay harness
+ * @param {Object} recording - Recording from ContentDetectionModule.stopRecording()
+ */
+function downloadRecording(recording) {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `mutation-recording-${window.location.hostname || 'page'}-${Date.now()}.json`;
+  link.style.display = 'none';
+  
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Give the download time to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Clean up resources when the page is unloaded
  */
@@ -0,0 +1,23 @@
+// Navigation Hooks - Runs in the page's main world at document_start
+// Content scripts run in an isolated world with their own history object, so wrapping
+// pushState there never sees the page's router. This script wraps the page's history API
+// and tells the content script about route changes with a window event.
+
+(() => {
+  // Must match the navigationEvent option of ContentDetectionModule
+  const NAVIGATION_EVENT = 'dynamic-content-interpreter:navigation';
+
+  for (const method of ['pushState', 'replaceState']) {
+    const originalMethod = History.prototype[method];
+    if (typeof originalMethod !== 'function') {
+      continue;
+    }
+
+    // Patched on the prototype so routers that cached history itself still go through it
+    History.prototype[method] = function(...args) {
+      const result = originalMethod.apply(this, args);
+      window.dispatchEvent(new CustomEvent(NAVIGATION_EVENT, { detail: method }));
+      return result;
+    };
+  }
+})();
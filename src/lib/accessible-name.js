@@ -0,0 +1,402 @@
+// Accessible Name Module
+// Responsible for computing accessible names and descriptions the way screen readers do
+// (W3C Accessible Name and Description Computation)
+
+class AccessibleNameModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxLength: 150, // characters kept of a computed name or description
+      ...options
+    };
+    
+    // Roles that take their name from their content
+    this.nameFromContentRoles = [
+      'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+      'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+      'tooltip', 'treeitem'
+    ];
+    
+    // Explicit and implicit roles, which decide where a name comes from
+    this.roles = new AriaRoleModule();
+    
+    // Elements that don't start a new line, so their text joins the surrounding text without a space
+    this.inlineTags = [
+      'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'kbd', 'label', 'mark',
+      'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+    ];
+  }
+
+  /**
+   * Get the accessible name of an element
+   * @param {Element} element - DOM element
+   * @returns {string} - Accessible name, or empty string if it has none
+   */
+  getName(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    return this._clean(this._computeText(element, {
+      root: element,
+      visited: new Set(),
+      inLabelledBy: false,
+      inContent: false
+    }));
+  }
+
+  /**
+   * Get the accessible description of an element
+   * @param {Element} element - DOM element
+   * @returns {string} - Accessible description, or empty string if it has none
+   */
+  getDescription(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const describedBy = this._getReferencedElements(element, 'aria-describedby');
+    if (describedBy.length > 0) {
+      const description = describedBy
+        .map(reference => this._computeText(reference, {
+          root: reference,
+          visited: new Set([element]),
+          inLabelledBy: true,
+          inContent: false
+        }))
+        .join(' ');
+      if (description.trim()) {
+        return this._clean(description);
+      }
+    }
+    
+    const ariaDescription = element.getAttribute('aria-description');
+    if (ariaDescription && ariaDescription.trim()) {
+      return this._clean(ariaDescription);
+    }
+    
+    // A title that didn't end up as the name is read as the description
+    const title = element.getAttribute('title');
+    if (title && title.trim() && this._clean(title) !== this.getName(element)) {
+      return this._clean(title);
+    }
+    
+    return '';
+  }
+
+  /**
+   * Compute the text alternative of a node (steps 2A to 2I of the algorithm)
+   * @private
+   * @param {Node} node - Node being named
+   * @param {Object} state - Root of the computation, nodes already visited and how the node was reached
+   * @returns {string} - Text alternative
+   */
+  _computeText(node, state) {
+    // 2G: text nodes contribute their text
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    
+    if (node.nodeType !== Node.ELEMENT_NODE || state.visited.has(node)) {
+      return '';
+    }
+    state.visited.add(node);
+    
+    const element = node;
+    const isRoot = element === state.root;
+    
+    // 2A: hidden content is skipped, unless it was referenced directly
+    if (!isRoot && this._isHidden(element)) {
+      return '';
+    }
+    
+    // 2B: aria-labelledby, not followed a second time from inside a referenced element
+    if (!state.inLabelledBy) {
+      const labelledBy = this._getReferencedElements(element, 'aria-labelledby');
+      if (labelledBy.length > 0) {
+        const text = labelledBy
+          .map(reference => {
+            // An element can list itself to put its own content into the name
+            if (reference === element) {
+              state.visited.delete(element);
+            }
+            return this._computeText(reference, {
+              root: reference,
+              visited: state.visited,
+              inLabelledBy: true,
+              inContent: false
+            });
+          })
+          .join(' ');
+        if (text.trim()) {
+          return text;
+        }
+      }
+    }
+    
+    const role = this.roles.getRole(element);
+    
+    // 2C: controls embedded in another element's label contribute their value
+    if (!isRoot || state.inLabelledBy) {
+      const value = this._getEmbeddedControlValue(element, role);
+      if (value !== null) {
+        return value;
+      }
+    }
+    
+    // 2D: aria-label
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) {
+      return ariaLabel;
+    }
+    
+    // 2E: native labelling (label elements, alt, caption, legend and the like)
+    if (role !== 'presentation' && role !== 'none') {
+      const nativeText = this._getNativeText(element, state);
+      if (nativeText !== null && nativeText.trim()) {
+        return nativeText;
+      }
+    }
+    
+    // 2F: name from content, for roles that allow it and for everything below a label or reference
+    if (this.nameFromContentRoles.includes(role) || state.inContent || state.inLabelledBy) {
+      const text = this._getContentText(element, state);
+      if (text.trim()) {
+        return text;
+      }
+    }
+    
+    // 2I: tooltip
+    return element.getAttribute('title') || '';
+  }
+
+  /**
+   * Get the text of an element's content, including CSS-generated text and shadow trees
+   * @private
+   * @param {Element} element - DOM element
+   * @param {Object} state - Computation state
+   * @returns {string} - Content text
+   */
+  _getContentText(element, state) {
+    const childState = { ...state, inContent: true };
+    const parts = [this._getGeneratedContent(element, '::before')];
+    
+    for (const child of this._getChildNodes(element)) {
+      const text = this._computeText(child, childState);
+      const separated = child.nodeType === Node.ELEMENT_NODE && !this.inlineTags.includes(child.localName);
+      parts.push(separated ? ` ${text} ` : text);
+    }
+    
+    parts.push(this._getGeneratedContent(element, '::after'));
+    return parts.join('');
+  }
+
+  /**
+   * Get the children of an element in the flattened tree (shadow roots and slotted content)
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Node[]} - Child nodes
+   */
+  _getChildNodes(element) {
+    if (element.shadowRoot) {
+      return Array.from(element.shadowRoot.childNodes);
+    }
+    
+    if (element.localName === 'slot' && typeof element.assignedNodes === 'function') {
+      const assigned = element.assignedNodes({ flatten: true });
+      if (assigned.length > 0) {
+        return assigned;
+      }
+    }
+    
+    return Array.from(element.childNodes);
+  }
+
+  /**
+   * Get the native text alternative of an element (step 2E)
+   * @private
+   * @param {Element} element - DOM element
+   * @param {Object} state - Computation state
+   * @returns {string|null} - Text alternative, or null if the element has none
+   */
+  _getNativeText(element, state) {
+    const tag = element.localName;
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    const labelState = { ...state, inContent: true };
+    
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+      const value = element.getAttribute('value');
+      if (value) {
+        return value;
+      }
+      return type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : null;
+    }
+    
+    if (tag === 'input' && type === 'image') {
+      return element.getAttribute('alt') || element.getAttribute('value') || null;
+    }
+    
+    if (['input', 'textarea', 'select', 'meter', 'progress', 'output'].includes(tag)) {
+      const labels = Array.from(element.labels || []);
+      if (labels.length > 0) {
+        return labels.map(label => this._computeText(label, { ...labelState, root: label })).join(' ');
+      }
+      
+      const title = element.getAttribute('title');
+      if (title && title.trim()) {
+        return title;
+      }
+      
+      return element.getAttribute('placeholder') || null;
+    }
+    
+    if (tag === 'img' || tag === 'area') {
+      return element.getAttribute('alt');
+    }
+    
+    const captionTag = { fieldset: 'legend', table: 'caption', figure: 'figcaption' }[tag];
+    if (captionTag) {
+      const caption = Array.from(element.children).find(child => child.localName === captionTag);
+      return caption ? this._computeText(caption, { ...labelState, root: caption }) : null;
+    }
+    
+    if (tag === 'svg') {
+      const title = Array.from(element.children).find(child => child.localName === 'title');
+      return title ? title.textContent : null;
+    }
+    
+    if (tag === 'iframe') {
+      return element.getAttribute('title');
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the value a control contributes when it is embedded in another element's name
+   * @private
+   * @param {Element} element - DOM element
+   * @param {string} role - Element role
+   * @returns {string|null} - Control value, or null if the element isn't a control
+   */
+  _getEmbeddedControlValue(element, role) {
+    if (!this._isEmbeddedControl(role)) {
+      return null;
+    }
+    
+    if (role === 'textbox' || role === 'searchbox') {
+      return element.localName === 'input' || element.localName === 'textarea'
+        ? element.value || ''
+        : element.textContent;
+    }
+    
+    if (role === 'combobox' || role === 'listbox') {
+      if (element.localName === 'select') {
+        return Array.from(element.selectedOptions || []).map(option => option.textContent).join(' ');
+      }
+      if (element.localName === 'input') {
+        return element.value || '';
+      }
+      const selected = element.querySelector('[aria-selected="true"]');
+      return selected ? selected.textContent : '';
+    }
+    
+    // Range widgets
+    return element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow') ||
+           (element.value !== undefined ? String(element.value) : '');
+  }
+
+  /**
+   * Check if an element is a control whose value stands in for it inside another element's name
+   * @private
+   * @param {string} role - Element role
+   * @returns {boolean} - True for text fields, selects, comboboxes and range widgets
+   */
+  _isEmbeddedControl(role) {
+    return ['textbox', 'searchbox', 'combobox', 'listbox', 'progressbar', 'scrollbar', 'slider',
+            'spinbutton'].includes(role);
+  }
+
+  /**
+   * Get the elements an ID reference list attribute points to
+   * @private
+   * @param {Element} element - DOM element
+   * @param {string} attribute - Attribute name, e.g. "aria-labelledby"
+   * @returns {Element[]} - Referenced elements, in attribute order
+   */
+  _getReferencedElements(element, attribute) {
+    const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(id => id);
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    // IDs resolve within the element's own tree (document or shadow root)
+    const root = element.getRootNode ? element.getRootNode() : null;
+    const scope = root && root.getElementById ? root : document;
+    
+    return ids
+      .map(id => scope.getElementById(id))
+      .filter(reference => reference !== null);
+  }
+
+  /**
+   * Check if an element is hidden from assistive technology
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element is hidden
+   */
+  _isHidden(element) {
+    if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    
+    const view = element.ownerDocument && element.ownerDocument.defaultView;
+    if (!view || typeof view.getComputedStyle !== 'function') {
+      return false;
+    }
+    
+    const style = view.getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse';
+  }
+
+  /**
+   * Get the text a ::before or ::after rule adds to an element
+   * @private
+   * @param {Element} element - DOM element
+   * @param {string} pseudo - "::before" or "::after"
+   * @returns {string} - Generated text, or empty string
+   */
+  _getGeneratedContent(element, pseudo) {
+    const view = element.ownerDocument && element.ownerDocument.defaultView;
+    if (!view || typeof view.getComputedStyle !== 'function') {
+      return '';
+    }
+    
+    try {
+      const content = view.getComputedStyle(element, pseudo).content;
+      const match = content && /^["'](.*)["']$/.exec(content);
+      return match ? match[1] : '';
+    } catch (error) {
+      // Pseudo-element styles are unavailable in some environments
+      return '';
+    }
+  }
+
+  /**
+   * Collapse whitespace and limit the length of a computed name or description
+   * @private
+   * @param {string} text - Computed text
+   * @returns {string} - Cleaned text
+   */
+  _clean(text) {
+    const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+    return cleaned.length > this.options.maxLength
+      ? cleaned.substring(0, this.options.maxLength - 3) + '...'
+      : cleaned;
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccessibleNameModule;
+}
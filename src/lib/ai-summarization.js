@@ -9,17 +9,151 @@ class AISummarizationModule {
       minContentLength: 20,
       preserveContext: true,
       localProcessingOnly: false,
+      provider: 'simulated', // summarization backend when not processing locally ('simulated' or 'openai-compatible')
+      providerEndpoint: '', // chat-completions URL; empty for the provider's default
+      providerModel: '', // model name; empty for the provider's default
+      providerApiKey: '', // only used without a relay; the extension keeps the key in the background script
+      providerRelay: null, // function sending text to a remote provider elsewhere, e.g. in the background script
+      providerHealthRelay: null, // function asking the relay to check that provider, before requests resume
+      locationPrefix: false, // whether to start summaries with the landmark and heading a change is under
+      spatialPrefix: false, // whether to say which part of the screen a change is in
+      cacheSummaries: true, // whether to reuse summaries of content that has been summarized before
+      persistSummaryCache: false, // whether cached summaries survive page loads (kept in chrome.storage.local)
+      providerDeadlines: { high: 0, medium: 1500, low: 6000 }, // ms to wait for a remote provider, by change priority
+      providerTimeout: 10000, // ms before a remote request counts as failed
+      providerRetries: 2, // retries of a failed remote request
+      retryBaseDelay: 250, // ms before the first retry, doubling for each one after
+      breakerThreshold: 3, // consecutive remote failures before requests stop for a while
+      breakerCooldown: 30000, // ms before a remote request is tried again once they have stopped
       ...options
     };
     
     this.contextHistory = [];
     this.maxContextItems = 5;
+    
+    // Phrases word-level diffs from the detector as deltas
+    this.textDiff = new TextDiffModule();
+    
+    // Shortens long text on the device, for local processing and when a provider is unavailable
+    this.extractiveSummarizer = new ExtractiveSummarizerModule();
+    
+    // Backpressure level reported by the content detector
+    this.backpressure = 'normal';
+    
+    // Summarization backend, created from the options on first use
+    this.provider = null;
+    
+    // Circuit breaker for the remote provider: 'closed' sends requests, 'open' skips them until
+    // the cooldown ends, 'checking' keeps skipping them while the provider's health check runs, and
+    // 'half-open' lets one request through to see if a provider without a health check recovered
+    this.circuit = {
+      state: 'closed',
+      failures: 0,
+      openedAt: 0
+    };
+    
+    // Summaries in progress by supersede key, so a newer change to the same element can cancel them
+    this.pendingSummaries = new Map();
+    
+    // Summaries of content seen before, keyed on its text and context
+    this.summaryCache = new SummaryCacheModule({ persist: this.options.persistSummaryCache });
+    
+    // Spoken names of element roles
+    this.roleNames = {
+      button: 'button',
+      link: 'link',
+      checkbox: 'checkbox',
+      radio: 'radio button',
+      textbox: 'text field',
+      searchbox: 'search field',
+      combobox: 'dropdown',
+      heading: 'heading',
+      tab: 'tab',
+      switch: 'switch',
+      slider: 'slider',
+      menuitem: 'menu item'
+    };
+  }
+
+  /**
+   * Adapt summarization to how busy the page is
+   * @param {string} level - Backpressure level from the content detector ('normal', 'sampling' or 'overloaded')
+   */
+  setBackpressure(level) {
+    this.backpressure = level || 'normal';
+  }
+
+  /**
+   * Update summarization preferences
+   * @param {Object} preferences - Summarization preferences
+   */
+  updatePreferences(preferences) {
+    this.options = {
+      ...this.options,
+      ...preferences
+    };
+    
+    // The provider is rebuilt with the new settings on next use, with a fresh circuit breaker
+    this.provider = null;
+    this.circuit = { state: 'closed', failures: 0, openedAt: 0 };
+    
+    this.summaryCache.configure({ persist: this.options.persistSummaryCache });
+  }
+
+  /**
+   * Get the summarization provider selected in the options
+   * @returns {SummarizationProvider} - Provider instance
+   */
+  getProvider() {
+    // Remote providers run wherever the relay sends them, which holds the endpoint and API key
+    if (!this.provider && this.options.providerRelay && SummarizationProvider.isRemote(this.options.provider)) {
+      this.provider = new RelayProvider({
+        maxSummaryLength: this.options.maxSummaryLength,
+        relay: this.options.providerRelay,
+        healthRelay: this.options.providerHealthRelay
+      });
+    }
+    
+    if (!this.provider) {
+      const providerOptions = {
+        maxSummaryLength: this.options.maxSummaryLength
+      };
+      if (this.options.providerEndpoint) {
+        providerOptions.endpoint = this.options.providerEndpoint;
+      }
+      if (this.options.providerModel) {
+        providerOptions.model = this.options.providerModel;
+      }
+      if (this.options.providerApiKey) {
+        providerOptions.apiKey = this.options.providerApiKey;
+      }
+      
+      this.provider = SummarizationProvider.create(this.options.provider, providerOptions);
+    }
+    
+    return this.provider;
+  }
+
+  /**
+   * Check if summaries are prefixed with where the change is, so changes need their location
+   * @returns {boolean} - True if the location or spatial prefix is on
+   */
+  usesLocation() {
+    return Boolean(this.options.locationPrefix || this.options.spatialPrefix);
+  }
+
+  /**
+   * Get summary cache statistics
+   * @returns {Object} - Hits, misses, hit rate, size and evictions
+   */
+  getCacheStats() {
+    return this.summaryCache.getStats();
   }
 
   /**
    * Process and summarize content changes
    * @param {Object|Array} changeData - Change data object or array of change data objects
-   * @returns {Promise<Object>} - Processed summary data
+   * @returns {Promise<Object|null>} - Processed summary data, or null if a newer change superseded it
    */
   async summarizeChanges(changeData) {
     // Handle array of changes
@@ -36,36 +170,79 @@ class AISummarizationModule {
    * Process a single content change
    * @private
    * @param {Object} changeData - Change data object
-   * @returns {Promise<Object>} - Processed summary data
+   * @returns {Promise<Object|null>} - Processed summary data, or null if a newer change superseded it
    */
   async _processSingleChange(changeData) {
     // Extract relevant text from the change
     const relevantText = this._extractRelevantText(changeData);
     
-    // If text is too short, use it directly without summarization
-    if (relevantText.length < this.options.minContentLength) {
-      return this._createDirectSummary(changeData, relevantText);
+    // A newer change to the same element or live region cancels the summary of an older one
+    const supersedeKey = changeData.supersedeKey || null;
+    this._cancelPendingSummary(supersedeKey);
+    
+    // If text is too short, or the page is too busy to spend time summarizing, use it directly
+    if (relevantText.length < this.options.minContentLength || this.backpressure === 'overloaded') {
+      return this._addLocationPrefix(this._createDirectSummary(changeData, relevantText));
+    }
+    
+    const controller = new AbortController();
+    if (supersedeKey) {
+      this.pendingSummaries.set(supersedeKey, controller);
     }
     
     try {
-      // Generate summary based on the change type and content
-      const summary = await this._generateSummary(changeData, relevantText);
+      // Generate summary based on the change type and content; urgent changes wait less for a remote provider
+      const { summary, tier } = await this._getCachedSummary(
+        changeData,
+        relevantText,
+        this._determinePriority(changeData, relevantText),
+        controller.signal
+      );
+      
+      if (controller.signal.aborted) {
+        return null;
+      }
       
       // Update context history for future summarizations
       if (this.options.preserveContext) {
         this._updateContextHistory(changeData, summary);
       }
       
-      return {
+      return this._addLocationPrefix({
         original: changeData,
         summary: summary,
         priority: this._determinePriority(changeData, summary),
-        timestamp: Date.now()
-      };
+        urgency: changeData.urgency || null,
+        details: this._getExpandableDetails(changeData),
+        timestamp: Date.now(),
+        tier: tier,
+        supersedeKey
+      });
     } catch (error) {
+      if (error.name === 'AbortError') {
+        return null;
+      }
+      
       console.error('Error generating summary:', error);
       // Fallback to simple extraction if summarization fails
-      return this._createDirectSummary(changeData, relevantText);
+      return this._addLocationPrefix(this._createDirectSummary(changeData, relevantText));
+    } finally {
+      if (supersedeKey && this.pendingSummaries.get(supersedeKey) === controller) {
+        this.pendingSummaries.delete(supersedeKey);
+      }
+    }
+  }
+
+  /**
+   * Cancel the summary in progress for a supersede key
+   * @private
+   * @param {string|null} supersedeKey - Key of the element or live region that changed again
+   */
+  _cancelPendingSummary(supersedeKey) {
+    const pending = supersedeKey ? this.pendingSummaries.get(supersedeKey) : null;
+    if (pending) {
+      pending.abort();
+      this.pendingSummaries.delete(supersedeKey);
     }
   }
 
@@ -73,7 +250,7 @@ class AISummarizationModule {
    * Process multiple content changes as a batch
    * @private
    * @param {Array} changes - Array of change data objects
-   * @returns {Promise<Object>} - Processed summary data
+   * @returns {Promise<Object|null>} - Processed summary data, or null if newer changes superseded all of it
    */
   async _processBatchChanges(changes) {
     // Group related changes
@@ -84,8 +261,9 @@ class AISummarizationModule {
       groupedChanges.map(group => this._summarizeChangeGroup(group))
     );
     
-    // Combine and prioritize results
-    return this._combineGroupResults(processedGroups);
+    // Combine and prioritize the results that weren't superseded
+    const currentGroups = processedGroups.filter(group => group !== null);
+    return currentGroups.length > 0 ? this._combineGroupResults(currentGroups) : null;
   }
 
   /**
@@ -99,11 +277,11 @@ class AISummarizationModule {
     const groups = [];
     const assignedChanges = new Set();
     
-    // First pass: group by exact same target
+    // First pass: group by the same element, identified by fingerprint so re-rendered nodes match
     const targetGroups = new Map();
     
     for (const change of changes) {
-      const target = change.element;
+      const target = change.fingerprint || change.element;
       if (!targetGroups.has(target)) {
         targetGroups.set(target, []);
       }
@@ -189,8 +367,14 @@ class AISummarizationModule {
         new: combinedText
       },
       element: changeGroup[0].element,
+      fingerprint: changeGroup[0].fingerprint,
       timestamp: Date.now(),
       context: combinedContext,
+      urgency: this._getStrongestUrgency(changeGroup.map(change => change.urgency)),
+      // The group can only be superseded as a whole when every change in it shares one key
+      supersedeKey: changeGroup.every(change => change.supersedeKey && change.supersedeKey === changeGroup[0].supersedeKey)
+        ? changeGroup[0].supersedeKey
+        : null,
       changes: changeGroup
     };
     
@@ -226,6 +410,17 @@ class AISummarizationModule {
       mainResult.summary += `. ${otherChangesSummary}${additionalInfo}`;
     }
     
+    // An assertive live region anywhere in the batch makes the combined announcement assertive
+    mainResult.urgency = this._getStrongestUrgency(processedGroups.map(group => group.urgency));
+    
+    // A combined announcement covers other elements, so a newer change to one of them can't replace it
+    if (processedGroups.length > 1) {
+      mainResult.supersedeKey = null;
+    }
+    
+    // Keep the first expandable list (e.g. the posts behind "12 new posts") available
+    mainResult.details = processedGroups.map(group => group.details).find(details => details) || null;
+    
     // Include all original changes
     mainResult.allChanges = processedGroups.flatMap(group => 
       group.original.changes || [group.original]
@@ -234,6 +429,32 @@ class AISummarizationModule {
     return mainResult;
   }
 
+  /**
+   * Pick the most urgent of several live region politeness values
+   * @private
+   * @param {Array<string|null>} urgencies - Urgency of each change ('assertive', 'polite' or null)
+   * @returns {string|null} - Strongest urgency, or null if none was set
+   */
+  _getStrongestUrgency(urgencies) {
+    if (urgencies.includes('assertive')) {
+      return 'assertive';
+    }
+    return urgencies.includes('polite') ? 'polite' : null;
+  }
+
+  /**
+   * Get the individual items behind a grouped change, for expanding its announcement on request
+   * @private
+   * @param {Object} changeData - Change data object
+   * @returns {string[]|null} - Item descriptions, or null if the change can't be expanded
+   */
+  _getExpandableDetails(changeData) {
+    if (changeData.type === 'feed' && changeData.feed) {
+      return changeData.feed.items;
+    }
+    return null;
+  }
+
   /**
    * Extract relevant text from a change
    * @private
@@ -243,6 +464,50 @@ class AISummarizationModule {
   _extractRelevantText(changeData) {
     const content = changeData.content;
     
+    // Dialogs are described by their lifecycle rather than their content
+    if (changeData.type === 'dialog' && changeData.dialog) {
+      return this._describeDialog(changeData.dialog);
+    }
+    
+    // Loading lifecycles are phrased from their state
+    if (changeData.type === 'loading' && changeData.loading) {
+      return this._describeLoading(changeData.loading);
+    }
+    
+    // Updates skipped on an overloaded page are summarised by count
+    if (changeData.type === 'busy' && changeData.busy) {
+      return this._describeBusy(changeData.busy);
+    }
+    
+    // Items loaded into a feed are counted rather than read out one by one
+    if (changeData.type === 'feed' && changeData.feed) {
+      return this._describeFeed(changeData.feed);
+    }
+    
+    // Table cells are described by their row and column
+    if (changeData.type === 'table-row' && changeData.tableRow) {
+      return this._describeTableRow(changeData.tableRow);
+    }
+    if (changeData.context?.tableCell && changeData.type !== 'attribute') {
+      return this._describeTableCell(changeData.context.tableCell);
+    }
+    
+    // Several validation errors reported together on submit
+    if (changeData.type === 'form-errors' && changeData.formErrors) {
+      return this._describeFormErrors(changeData.formErrors, content.text);
+    }
+    
+    // Live regions that ask for removals to be announced get what was removed
+    if (changeData.type === 'removal' && changeData.context?.isLiveRegion && content.old) {
+      return `Removed: ${content.old}`;
+    }
+    
+    // Describe small edits as deltas instead of repeating the whole new text
+    const delta = this._describeDelta(changeData);
+    if (delta) {
+      return delta;
+    }
+    
     // Prefer new content over general text content
     if (content.new && content.new.length > 0) {
       return content.new;
@@ -255,6 +520,290 @@ class AISummarizationModule {
     return '';
   }
 
+  /**
+   * Describe a text or replacement change as a delta, e.g. "Price changed from $19.99 to $24.99"
+   * @private
+   * @param {Object} changeData - Change data object
+   * @returns {string} - Delta description, or empty string if the change is not a small edit
+   */
+  _describeDelta(changeData) {
+    if (!changeData.diff) {
+      return '';
+    }
+    
+    return this.textDiff.describe(changeData.diff, changeData.context?.subject || '');
+  }
+
+  /**
+   * Describe a dialog opening or closing, e.g. "Modal dialog opened: Delete order"
+   * @private
+   * @param {Object} dialog - Dialog information from the change
+   * @returns {string} - Dialog description
+   */
+  _describeDialog(dialog) {
+    if (dialog.state === 'opened') {
+      const kind = dialog.role === 'alertdialog' ? 'Alert dialog' :
+                   dialog.modal ? 'Modal dialog' : 'Dialog';
+      let description = dialog.name ? `${kind} opened: ${dialog.name}` : `${kind} opened`;
+      
+      if (dialog.description) {
+        description = this._joinSentences(description, dialog.description);
+      }
+      return description;
+    }
+    
+    let description = dialog.name ? `Dialog closed: ${dialog.name}` : 'Dialog closed';
+    
+    if (dialog.focusLost) {
+      description = this._joinSentences(description, 'Warning: focus was lost to the page body');
+    } else if (dialog.focusTarget) {
+      description = this._joinSentences(description, `Focus moved to ${dialog.focusTarget}`);
+    }
+    return description;
+  }
+
+  /**
+   * Describe a form's validation errors, e.g. "2 errors in Checkout form: Email: ...; Phone: ..."
+   * @private
+   * @param {Object} formErrors - Form error information from the change
+   * @param {string} text - Field errors joined together
+   * @returns {string} - Form error summary
+   */
+  _describeFormErrors(formErrors, text) {
+    const form = formErrors.formName ? `${formErrors.formName} form` : 'form';
+    return `${formErrors.count} errors in ${form}: ${text}`;
+  }
+
+  /**
+   * Describe a loading state, e.g. "Loading results…" or "Results loaded: 24 items"
+   * @private
+   * @param {Object} loading - Loading information from the change
+   * @returns {string} - Loading description
+   */
+  _describeLoading(loading) {
+    const label = loading.label || '';
+    
+    if (loading.state === 'started') {
+      // "Results" reads as "Loading results…", but acronyms such as "PDF" are kept as they are
+      const subject = /^[A-Z][a-z]/.test(label) ? label.charAt(0).toLowerCase() + label.slice(1) : label;
+      return subject ? `Loading ${subject}\u2026` : 'Loading\u2026';
+    }
+    
+    if (loading.state === 'progress') {
+      return `${label || 'Loading'}: ${loading.progress}%`;
+    }
+    
+    // Determinate progress completes; spinners and busy regions load something
+    if (loading.kind === 'progress') {
+      return `${label || 'Loading'} complete`;
+    }
+    
+    // Labels taken from indicator text ("Loading cart…") start lowercase
+    const loaded = label ? `${label.charAt(0).toUpperCase() + label.slice(1)} loaded` : 'Loaded';
+    if (typeof loading.itemCount !== 'number') {
+      return loaded;
+    }
+    
+    return `${loaded}: ${loading.itemCount} ${loading.itemCount === 1 ? 'item' : 'items'}`;
+  }
+
+  /**
+   * Describe updates skipped on an overloaded page, e.g. "Page too busy, summarising: 340 updates in the last 5 seconds"
+   * @private
+   * @param {Object} busy - Busy summary from the change
+   * @returns {string} - Busy description
+   */
+  _describeBusy(busy) {
+    const seconds = Math.max(1, Math.round(busy.duration / 1000));
+    const where = busy.regions.length > 0 ? `, mostly in ${busy.regions.join(' and ')}` : '';
+    return `Page too busy, summarising: ${busy.updateCount} updates in the last ${seconds} seconds${where}`;
+  }
+
+  /**
+   * Describe items added to a feed, e.g. "12 new posts loaded, first: Weekend plans"
+   * @private
+   * @param {Object} feed - Feed information from the change
+   * @returns {string} - Feed description
+   */
+  _describeFeed(feed) {
+    const where = feed.label ? ` in ${feed.label}` : '';
+    return `${feed.count} new ${feed.noun} loaded${where}, first: ${feed.first}`;
+  }
+
+  /**
+   * Describe a table cell update, e.g. "Row Server-3, column CPU: 42%"
+   * @private
+   * @param {Object} tableCell - Table cell information from the change context
+   * @returns {string} - Cell description
+   */
+  _describeTableCell(tableCell) {
+    const location = [
+      this._describeTableRowLocation(tableCell),
+      tableCell.columnHeader ? `column ${tableCell.columnHeader}` : `column ${tableCell.columnIndex}`
+    ].join(', ');
+    
+    return tableCell.value ? `${location}: ${tableCell.value}` : `${location} cleared`;
+  }
+
+  /**
+   * Describe several cell updates in one row, e.g. "Row Server-3: CPU 42%, Memory 80%"
+   * @private
+   * @param {Object} tableRow - Table row information from the change
+   * @returns {string} - Row description
+   */
+  _describeTableRow(tableRow) {
+    const cells = tableRow.cells
+      .map(cell => `${cell.columnHeader || `column ${cell.columnIndex}`} ${cell.value || 'cleared'}`)
+      .join(', ');
+    
+    return `${this._describeTableRowLocation(tableRow)}: ${cells}`;
+  }
+
+  /**
+   * Name the row of a table change
+   * @private
+   * @param {Object} rowInfo - Table cell or row information
+   * @returns {string} - Row name, e.g. "Row Server-3" or "Row 4"
+   */
+  _describeTableRowLocation(rowInfo) {
+    return rowInfo.rowHeader ? `Row ${rowInfo.rowHeader}` : `Row ${rowInfo.rowIndex}`;
+  }
+
+  /**
+   * Start a summary with where its change happened, if the user asked for location prefixes
+   * @private
+   * @param {Object} result - Processed summary data
+   * @returns {Object} - The same summary data, with the location prefixed to its summary
+   */
+  _addLocationPrefix(result) {
+    const changeData = result.original;
+    
+    // Page-wide changes have no location worth naming
+    if (!this.usesLocation() ||
+        ['navigation', 'busy', 'digest', 'dialog'].includes(changeData.type)) {
+      return result;
+    }
+    
+    const location = this._describeLocation(changeData.context?.location);
+    if (location) {
+      result.summary = `${location}: ${result.summary}`;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Describe where a change happened, e.g. 'In the right sidebar, under "Cart"' or
+   * "At the top right of the screen"
+   * @private
+   * @param {Object} location - Location information from the change context
+   * @returns {string} - Location description, or empty string if there is nothing to say
+   */
+  _describeLocation(location) {
+    if (!location) {
+      return '';
+    }
+    
+    const landmark = location.landmarks[location.landmarks.length - 1];
+    
+    if (this.options.locationPrefix && landmark) {
+      const landmarkName = this._describeLandmark(landmark);
+      const position = this.options.spatialPrefix && ['top', 'bottom'].includes(location.withinLandmark)
+        ? `At the ${location.withinLandmark} of the ${landmarkName}`
+        : `In the ${landmarkName}`;
+      
+      // A heading that repeats the landmark's name adds nothing
+      const heading = location.heading &&
+        location.heading.toLowerCase() !== (landmark.name || '').toLowerCase()
+        ? `, under "${location.heading}"`
+        : '';
+      
+      return `${position}${heading}`;
+    }
+    
+    if (this.options.locationPrefix && location.heading) {
+      return `Under "${location.heading}"`;
+    }
+    
+    if (this.options.spatialPrefix && location.viewport) {
+      const { vertical, horizontal } = location.viewport;
+      if (vertical === 'above' || vertical === 'below') {
+        return `${vertical === 'above' ? 'Above' : 'Below'} the visible area`;
+      }
+      if (vertical === 'middle' && horizontal === 'center') {
+        return 'In the middle of the screen';
+      }
+      
+      const area = [vertical === 'middle' ? '' : vertical, horizontal === 'center' ? '' : horizontal]
+        .filter(part => part)
+        .join(' ');
+      return vertical === 'middle' ? `On the ${area} of the screen` : `At the ${area} of the screen`;
+    }
+    
+    return '';
+  }
+
+  /**
+   * Name a landmark the way a user would refer to it, e.g. "right sidebar" or "main content"
+   * @private
+   * @param {Object} landmark - Landmark role, accessible name and side of the screen
+   * @returns {string} - Landmark name
+   */
+  _describeLandmark(landmark) {
+    const nouns = {
+      banner: 'header',
+      navigation: 'navigation',
+      main: 'main content',
+      complementary: 'sidebar',
+      contentinfo: 'footer',
+      region: 'region',
+      form: 'form',
+      search: 'search'
+    };
+    const noun = nouns[landmark.role] || landmark.role;
+    
+    if (landmark.role === 'complementary' && ['left', 'right'].includes(landmark.side)) {
+      return `${landmark.side} sidebar`;
+    }
+    
+    if (!landmark.name) {
+      return noun;
+    }
+    
+    // Names like "Main navigation" already say what the landmark is
+    return landmark.name.toLowerCase().includes(noun) ? landmark.name : `"${landmark.name}" ${noun}`;
+  }
+
+  /**
+   * Name the element a change happened to, e.g. "Save draft button" or "Email text field"
+   * @private
+   * @param {Object} context - Change context
+   * @param {string} [text] - Text of the change; a name that only repeats it is left out
+   * @returns {string} - Element name with its role, or just the role if the name adds nothing
+   */
+  _describeElement(context, text = '') {
+    const roleName = this.roleNames[context.role] ||
+                     (context.role && context.role !== 'generic' ? context.role : 'element');
+    const label = (context.label || '').trim();
+    
+    if (!label || label === text.trim()) {
+      return roleName.charAt(0).toUpperCase() + roleName.slice(1);
+    }
+    
+    return `${label} ${roleName}`;
+  }
+
+  /**
+   * Join two sentences, adding a full stop unless the first already ends with punctuation
+   * @private
+   * @param {string} first - First sentence
+   * @param {string} second - Second sentence
+   * @returns {string} - Joined text
+   */
+  _joinSentences(first, second) {
+    return /[.!?:]$/.test(first) ? `${first} ${second}` : `${first}. ${second}`;
+  }
+
   /**
    * Create a direct summary without AI processing
    * @private
@@ -272,17 +821,11 @@ class AISummarizationModule {
       
       // Add role information
       if (context.role) {
-        const roleMap = {
-          button: 'Button',
-          link: 'Link',
-          checkbox: 'Checkbox',
-          radio: 'Radio button',
-          textbox: 'Text field',
-          combobox: 'Dropdown',
-          heading: 'Heading'
-        };
+        // Additions are reported on their container, so only the role applies
+        const roleName = this._describeElement({ role: context.role });
         
-        const roleName = roleMap[context.role] || context.role;
+        // Otherwise name the element the way the user's screen reader does
+        const elementName = this._describeElement(context, text);
         
         // For interactive elements, describe the action
         if (context.isInteractive) {
@@ -291,16 +834,18 @@ class AISummarizationModule {
               summary = `${roleName} added: ${text}`;
               break;
             case 'removal':
-              summary = `${roleName} removed`;
+              summary = `${elementName} removed`;
               break;
             case 'text':
-              summary = `${roleName} updated to: ${text}`;
+              summary = this._describeDelta(changeData)
+                ? `${elementName}: ${text}`
+                : `${elementName} updated to: ${text}`;
               break;
             case 'attribute':
-              summary = `${roleName} state changed: ${text}`;
+              summary = `${elementName} state changed: ${text}`;
               break;
             default:
-              summary = `${roleName}: ${text}`;
+              summary = `${elementName}: ${text}`;
           }
         }
       }
@@ -308,7 +853,10 @@ class AISummarizationModule {
       // For form elements, add more specific context
       if (context.isForm) {
         const label = context.label;
-        if (label) {
+        if (this._describeDelta(changeData)) {
+          // The delta already names what changed
+          summary = text;
+        } else if (label) {
           summary = `Form field "${label}" updated to: ${text}`;
         }
       }
@@ -319,12 +867,83 @@ class AISummarizationModule {
       }
     }
     
+    // Route changes in single-page apps
+    if (changeData.type === 'navigation') {
+      summary = `Navigated to ${text}`;
+    }
+    
+    // Dialog, form error, loading, feed, busy and table changes are already phrased
+    if (['dialog', 'form-error', 'form-errors', 'loading', 'feed', 'busy', 'table-row'].includes(changeData.type) ||
+        (changeData.context?.tableCell && changeData.type !== 'attribute')) {
+      summary = text;
+    }
+    
     return {
       original: changeData,
       summary: summary,
       priority: this._determinePriority(changeData, summary),
+      urgency: changeData.urgency || null,
+      details: this._getExpandableDetails(changeData),
       timestamp: Date.now(),
-      isDirectSummary: true
+      isDirectSummary: true,
+      tier: 'direct',
+      supersedeKey: changeData.supersedeKey || null
+    };
+  }
+
+  /**
+   * Get a summary from the cache, generating and caching it on a miss
+   * @private
+   * @param {Object} changeData - Change data object
+   * @param {string} text - Relevant text from the change
+   * @param {number} priority - Priority of the change, which sets how long to wait for a remote provider
+   * @param {AbortSignal} signal - Cancellation signal for a summary superseded by a newer change
+   * @returns {Promise<Object>} - Summary and the tier that produced it
+   */
+  async _getCachedSummary(changeData, text, priority, signal) {
+    if (!this.options.cacheSummaries) {
+      return this._generateSummary(changeData, text, priority, signal);
+    }
+    
+    const key = this.summaryCache.getKey(text, this._getCacheFields(changeData));
+    const cached = this.summaryCache.get(key);
+    if (cached !== null) {
+      return { summary: cached, tier: 'cache' };
+    }
+    
+    const result = await this._generateSummary(changeData, text, priority, signal);
+    
+    // Fallback summaries aren't cached, so the provider gets another chance next time
+    if (!result.fallback) {
+      this.summaryCache.set(key, result.summary);
+    }
+    return result;
+  }
+
+  /**
+   * Get the context fields that change how a text is summarized, for the cache key
+   * @private
+   * @param {Object} changeData - Change data object
+   * @returns {Object} - Salient context fields
+   */
+  _getCacheFields(changeData) {
+    const context = changeData.context || {};
+    const backend = this.options.localProcessingOnly
+      ? 'local'
+      : `${this.options.provider}:${this.options.providerModel}:${this.options.providerEndpoint}`;
+    
+    return {
+      backend,
+      changeType: changeData.type,
+      role: context.role || '',
+      label: context.label || '',
+      isInteractive: Boolean(context.isInteractive),
+      isForm: Boolean(context.isForm),
+      isLiveRegion: Boolean(context.isLiveRegion),
+      tableCell: Boolean(context.tableCell),
+      delta: this._describeDelta(changeData),
+      removedText: changeData.content?.old || '',
+      maxSummaryLength: this.options.maxSummaryLength
     };
   }
 
@@ -333,20 +952,283 @@ class AISummarizationModule {
    * @private
    * @param {Object} changeData - Change data object
    * @param {string} text - Relevant text from the change
-   * @returns {Promise<string>} - Generated summary
+   * @param {number} priority - Priority of the change, which sets how long to wait for a remote provider
+   * @param {AbortSignal} [signal] - Cancellation signal for a summary superseded by a newer change
+   * @returns {Promise<Object>} - Summary, the tier that produced it ('provider', 'local' or 'direct')
+   *                              and whether it stands in for a provider summary
    */
-  async _generateSummary(changeData, text) {
+  async _generateSummary(changeData, text, priority, signal) {
+    // Table updates are already phrased with their row and column
+    if (changeData.type === 'table-row' ||
+        (changeData.context?.tableCell && changeData.type !== 'attribute')) {
+      return { summary: text, tier: 'direct', fallback: false };
+    }
+    
     // If local processing only is enabled, use rule-based summarization
     if (this.options.localProcessingOnly) {
-      return this._generateLocalSummary(changeData, text);
+      return { summary: this._generateLocalSummary(changeData, text), tier: 'local', fallback: false };
     }
     
     // Get context for the summarization
     const context = this._buildSummarizationContext(changeData);
     
-    // In a real implementation, this would call an AI service
-    // For this prototype, we'll use a simulated AI response
-    return this._simulateAISummarization(text, context, changeData);
+    const provider = this.getProvider();
+    const maxInputLength = provider.capabilities.maxInputLength;
+    const input = text.length > maxInputLength ? text.substring(0, maxInputLength) : text;
+    
+    if (!provider.capabilities.remote) {
+      return { summary: await provider.summarize(input, context, { signal }), tier: 'provider', fallback: false };
+    }
+    
+    return this._generateRemoteSummary(provider, changeData, text, { input, context, priority, signal });
+  }
+
+  /**
+   * Ask a remote provider for a summary, using a local one if it doesn't answer before the deadline
+   * @private
+   * @param {SummarizationProvider} provider - Remote provider
+   * @param {Object} changeData - Change data object
+   * @param {string} text - Relevant text from the change
+   * @param {Object} request - Text sent to the provider (limited to its input length), summarization
+   *                           context, change priority and cancellation signal
+   * @returns {Promise<Object>} - Summary, tier and whether it is a fallback
+   */
+  async _generateRemoteSummary(provider, changeData, text, request) {
+    const deadline = this._getProviderDeadline(request.priority);
+    const fallback = () => ({ summary: this._generateLocalSummary(changeData, text), tier: 'local', fallback: true });
+    
+    if (deadline <= 0 || this._isCircuitOpen()) {
+      return fallback();
+    }
+    
+    // Aborted when the change is superseded, or when the deadline passes and the answer is no longer wanted
+    const controller = this._createLinkedController(request.signal);
+    const attempt = { abandoned: false, signal: controller.signal };
+    const pending = this._summarizeWithRetry(provider, request.input, request.context, attempt);
+    let deadlineTimer = null;
+    
+    try {
+      const summary = await Promise.race([
+        pending,
+        new Promise(resolve => {
+          deadlineTimer = setTimeout(() => resolve(null), deadline);
+        })
+      ]);
+      
+      if (summary !== null) {
+        return { summary, tier: 'provider', fallback: false };
+      }
+      
+      // Too slow for this change; cancel the request in flight and stop retrying. A provider that
+      // keeps missing the deadline costs a request per change, so the miss counts as a failure
+      attempt.abandoned = true;
+      controller.abort();
+      pending.catch(() => {});
+      this._recordProviderResult(false);
+    } catch (error) {
+      // Superseded changes get no summary at all; a superseded test request tells nothing,
+      // so the provider is tested again after another cooldown
+      if (error.name === 'AbortError') {
+        if (this.circuit.state === 'half-open') {
+          this._openCircuit();
+        }
+        throw error;
+      }
+      console.warn('Summarization provider failed, using a local summary:', error.message);
+    } finally {
+      clearTimeout(deadlineTimer);
+    }
+    
+    return fallback();
+  }
+
+  /**
+   * Send a summarization request, retrying failures with exponential backoff
+   * @private
+   * @param {SummarizationProvider} provider - Remote provider
+   * @param {string} input - Text to summarize
+   * @param {Object} context - Summarization context
+   * @param {Object} attempt - Cancellation signal, and a flag set once the caller has stopped waiting
+   * @returns {Promise<string>} - Summary
+   */
+  async _summarizeWithRetry(provider, input, context, attempt) {
+    for (let retry = 0; ; retry++) {
+      const controller = this._createLinkedController(attempt.signal);
+      
+      try {
+        const summary = await this._withTimeout(
+          provider.summarize(input, context, { signal: controller.signal }),
+          this.options.providerTimeout,
+          controller
+        );
+        
+        // The caller has already used a local summary, so a late answer isn't counted
+        if (attempt.abandoned) {
+          return summary;
+        }
+        
+        this._recordProviderResult(true);
+        return summary;
+      } catch (error) {
+        // A cancelled request says nothing about the provider's health, and the caller has
+        // already counted the deadline miss of an abandoned one
+        if (error.name === 'AbortError' || attempt.abandoned) {
+          throw error;
+        }
+        
+        this._recordProviderResult(false);
+        
+        if (retry >= this.options.providerRetries || this.circuit.state !== 'closed') {
+          throw error;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, this.options.retryBaseDelay * 2 ** retry));
+        
+        if (attempt.signal.aborted) {
+          throw new DOMException('Summarization was cancelled', 'AbortError');
+        }
+      }
+    }
+  }
+
+  /**
+   * Reject a promise that doesn't settle in time, aborting the request behind it
+   * @private
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} timeout - Time limit in ms
+   * @param {AbortController} controller - Controller of the request, aborted when the time limit passes
+   * @returns {Promise} - Promise settling like the original, or rejecting after the time limit
+   */
+  _withTimeout(promise, timeout, controller) {
+    let timer = null;
+    
+    return Promise.race([
+      promise,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Summarization provider timed out after ${timeout}ms`));
+        }, timeout);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Create an abort controller that is also aborted when another signal is
+   * @private
+   * @param {AbortSignal} [signal] - Signal to follow
+   * @returns {AbortController} - New controller
+   */
+  _createLinkedController(signal) {
+    const controller = new AbortController();
+    
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    
+    return controller;
+  }
+
+  /**
+   * Get how long to wait for a remote provider before falling back to a local summary
+   * @private
+   * @param {number} priority - Priority of the change (1-10)
+   * @returns {number} - Deadline in ms; 0 means don't wait at all
+   */
+  _getProviderDeadline(priority) {
+    const deadlines = this.options.providerDeadlines;
+    
+    if (priority >= 8) {
+      return deadlines.high;
+    }
+    return priority >= 5 ? deadlines.medium : deadlines.low;
+  }
+
+  /**
+   * Check if the circuit breaker is stopping remote requests
+   * @private
+   * @returns {boolean} - True if requests should be skipped
+   */
+  _isCircuitOpen() {
+    if (this.circuit.state === 'closed') {
+      return false;
+    }
+    
+    // Once the cooldown is over the provider is tested, by its health check where it has one
+    // and otherwise by letting one request through
+    if (this.circuit.state === 'open' && Date.now() - this.circuit.openedAt >= this.options.breakerCooldown) {
+      const provider = this.getProvider();
+      if (provider.capabilities.healthCheck) {
+        this.circuit.state = 'checking';
+        this._checkProviderHealth(provider);
+        return true;
+      }
+      
+      this.circuit.state = 'half-open';
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Close the circuit if the provider's health check passes, and reopen it otherwise
+   * @private
+   * @param {SummarizationProvider} provider - Remote provider
+   * @returns {Promise<void>}
+   */
+  async _checkProviderHealth(provider) {
+    const circuit = this.circuit;
+    let result;
+    
+    try {
+      result = await this._withTimeout(provider.healthCheck(), this.options.providerTimeout, new AbortController());
+    } catch (error) {
+      result = { healthy: false, error: error.message };
+    }
+    
+    // The preferences changed, or a request sent before the circuit opened succeeded, while the check ran
+    if (this.circuit !== circuit || circuit.state !== 'checking') {
+      return;
+    }
+    
+    if (result.healthy) {
+      this.circuit = { state: 'closed', failures: 0, openedAt: 0 };
+    } else {
+      this._openCircuit();
+    }
+  }
+
+  /**
+   * Update the circuit breaker with the outcome of a remote request
+   * @private
+   * @param {boolean} success - Whether the request succeeded
+   */
+  _recordProviderResult(success) {
+    if (success) {
+      this.circuit = { state: 'closed', failures: 0, openedAt: 0 };
+      return;
+    }
+    
+    this.circuit.failures++;
+    
+    // A failed test request reopens the circuit straight away
+    if (this.circuit.state === 'half-open' || this.circuit.failures >= this.options.breakerThreshold) {
+      this._openCircuit();
+    }
+  }
+
+  /**
+   * Stop remote requests until the cooldown ends
+   * @private
+   */
+  _openCircuit() {
+    this.circuit.state = 'open';
+    this.circuit.openedAt = Date.now();
   }
 
   /**
@@ -357,16 +1239,17 @@ class AISummarizationModule {
    * @returns {string} - Generated summary
    */
   _generateLocalSummary(changeData, text) {
-    // Implement rule-based summarization
-    // This is a simplified version that would be expanded in a real implementation
+    const context = changeData.context;
     
-    // Truncate long text
+    // Long text is reduced to its most important sentences rather than cut off
     if (text.length > this.options.maxSummaryLength) {
-      return text.substring(0, this.options.maxSummaryLength - 3) + '...';
+      return this.extractiveSummarizer.summarize(text, {
+        label: context?.label || '',
+        maxLength: this.options.maxSummaryLength
+      });
     }
     
     // For shorter text, use it directly with context
-    const context = changeData.context;
     let summary = text;
     
     // Add context based on change type
@@ -382,11 +1265,15 @@ class AISummarizationModule {
         break;
         
       case 'removal':
-        summary = `Content removed: ${text}`;
+        summary = context.isInteractive
+          ? `${this._describeElement(context)} removed: ${text}`
+          : `Content removed: ${text}`;
         break;
         
       case 'text':
-        if (context.isForm) {
+        if (this._describeDelta(changeData)) {
+          summary = text; // Deltas are already phrased as a change
+        } else if (context.isForm) {
           summary = `Form updated: ${text}`;
         } else if (context.isLiveRegion) {
           summary = text; // Use the text directly for live regions
@@ -395,8 +1282,29 @@ class AISummarizationModule {
         }
         break;
         
+      case 'replacement':
+        if (this._describeDelta(changeData)) {
+          summary = text;
+        }
+        break;
+        
+      case 'navigation':
+        summary = `Navigated to ${text}`;
+        break;
+        
+      case 'dialog':
+      case 'form-error':
+      case 'form-errors':
+      case 'loading':
+      case 'feed':
+      case 'busy':
+        summary = text; // These change types are already phrased
+        break;
+        
       case 'attribute':
-        if (text.startsWith('aria-')) {
+        if (context.label) {
+          summary = `${this._describeElement(context)} state changed: ${text}`;
+        } else if (text.startsWith('aria-')) {
           summary = `Accessibility state changed: ${text}`;
         } else {
           summary = `Element state changed: ${text}`;
@@ -422,106 +1330,20 @@ class AISummarizationModule {
       changeType: changeData.type,
       elementRole: changeData.context?.role || '',
       elementLabel: changeData.context?.label || '',
+      elementDescription: changeData.context?.description || '',
+      elementName: this._describeElement(changeData.context || {}),
       isInteractive: changeData.context?.isInteractive || false,
       isForm: changeData.context?.isForm || false,
       isLiveRegion: changeData.context?.isLiveRegion || false,
       parentHeading: changeData.context?.parentContext?.heading || '',
       parentSection: changeData.context?.parentContext?.section || '',
+      removedText: changeData.content?.old || '',
+      delta: this._describeDelta(changeData),
+      diffHunks: changeData.diff?.isDelta ? changeData.diff.hunks : [],
       previousContext: this.contextHistory.slice(-2)
     };
   }
 
-  /**
-   * Simulate AI summarization (for prototype purposes)
-   * @private
-   * @param {string} text - Text to summarize
-   * @param {Object} context - Context information
-   * @param {Object} changeData - Original change data
-   * @returns {Promise<string>} - Simulated AI summary
-   */
-  async _simulateAISummarization(text, context, changeData) {
-    // This is a simulation of AI summarization for the prototype
-    // In a real implementation, this would call an actual AI service
-    
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 50));
-    
-    // Simple text truncation for very long content
-    if (text.length > this.options.maxSummaryLength * 2) {
-      text = text.substring(0, this.options.maxSummaryLength * 2);
-    }
-    
-    // Generate different summaries based on context
-    let summary = '';
-    
-    // Handle different change types
-    switch (changeData.type) {
-      case 'addition':
-        if (context.isLiveRegion) {
-          // For live regions, use the content directly
-          summary = text;
-        } else if (context.elementRole === 'heading') {
-          summary = `New section: ${text}`;
-        } else if (context.isForm) {
-          summary = `New form field added: ${context.elementLabel || text}`;
-        } else if (context.isInteractive) {
-          summary = `New ${context.elementRole || 'interactive element'} added: ${text}`;
-        } else if (text.includes('error') || text.includes('Error') || text.includes('failed')) {
-          summary = `Error message: ${text}`;
-        } else if (text.length > 100) {
-          // For longer additions, create a more concise summary
-          summary = `New content added: ${text.substring(0, 100)}...`;
-        } else {
-          summary = `New content: ${text}`;
-        }
-        break;
-        
-      case 'removal':
-        if (context.isInteractive) {
-          summary = `${context.elementRole || 'Element'} removed`;
-        } else {
-          summary = 'Content removed';
-        }
-        break;
-        
-      case 'text':
-        if (context.isForm) {
-          const label = context.elementLabel ? `"${context.elementLabel}"` : '';
-          summary = `Form field ${label} updated to: ${text}`;
-        } else if (context.isLiveRegion) {
-          // For live regions, prioritize the content directly
-          summary = text;
-        } else if (text.includes('error') || text.includes('Error') || text.includes('failed')) {
-          summary = `Error message: ${text}`;
-        } else {
-          summary = `Updated content: ${text}`;
-        }
-        break;
-        
-      case 'attribute':
-        if (text.startsWith('aria-')) {
-          summary = `Accessibility state changed: ${text}`;
-        } else {
-          summary = `Element state changed: ${text}`;
-        }
-        break;
-        
-      case 'group':
-        summary = `Multiple updates: ${text.substring(0, this.options.maxSummaryLength)}`;
-        break;
-        
-      default:
-        summary = text;
-    }
-    
-    // Ensure the summary isn't too long
-    if (summary.length > this.options.maxSummaryLength) {
-      summary = summary.substring(0, this.options.maxSummaryLength - 3) + '...';
-    }
-    
-    return summary;
-  }
-
   /**
    * Determine the priority of a change
    * @private
@@ -554,6 +1376,19 @@ class AISummarizationModule {
       if (changeData.context.role === 'heading') {
         priority += 2;
       }
+      
+      // Content in view matters more than content far below the fold,
+      // except for live regions, which the page wants announced wherever they are
+      const visibility = changeData.context.visibility;
+      if (visibility && !changeData.context.isLiveRegion) {
+        if (visibility.proximity === 'in-viewport') {
+          priority += 1;
+        } else if (visibility.proximity === 'far') {
+          priority -= 2;
+        } else if (visibility.proximity === 'hidden') {
+          priority -= 3;
+        }
+      }
     }
     
     // Content-based priority adjustments
@@ -574,6 +1409,23 @@ class AISummarizationModule {
       case 'group':
         priority += 1; // Groups of changes are slightly higher priority
         break;
+      case 'navigation':
+        priority += 3; // A new view replaces everything the user was reading
+        break;
+      case 'dialog':
+        priority += 2; // Dialogs take over the page, and closing one moves focus
+        break;
+      case 'form-error':
+        priority += 3; // The user can't continue until the field is fixed
+        break;
+      case 'form-errors':
+        priority += 4;
+        break;
+      case 'loading':
+        if (changeData.loading?.state === 'completed') {
+          priority += 1; // Results the user is waiting for
+        }
+        break;
     }
     
     // Ensure priority is within bounds
@@ -593,7 +1445,8 @@ class AISummarizationModule {
       summary: summary,
       changeType: changeData.type,
       elementRole: changeData.context?.role || '',
-      elementLabel: changeData.context?.label || ''
+      elementLabel: changeData.context?.label || '',
+      fingerprint: changeData.fingerprint || null
     });
     
     // Limit history size
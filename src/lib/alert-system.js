@@ -11,6 +11,7 @@ class AlertSystemModule {
       hapticEnabled: false, // whether to use haptic feedback (if available)
       queueAlerts: true, // whether to queue alerts or show immediately
       maxQueueSize: 10, // maximum number of alerts in the queue
+      dryRun: false, // whether to log alerts instead of delivering them (used by the replay harness)
       ...options
     };
     
@@ -20,6 +21,12 @@ class AlertSystemModule {
     this.audioContext = null;
     this.alertSounds = {};
     
+    // Alerts that would have been delivered in dry-run mode
+    this.announcementLog = [];
+    
+    // Last alert with details the user can ask to hear (e.g. the posts behind "12 new posts")
+    this.lastExpandable = null;
+    
     // Alert methods for different content types
     this.contentTypeAlertMethods = {
       text: 'screenreader',
@@ -171,17 +178,37 @@ class AlertSystemModule {
    * @param {number} alertData.priority - Alert priority (1-10)
    * @param {string} alertData.contentType - Type of content
    * @param {Object} alertData.original - Original change data
+   * @param {string} [alertData.frameContext] - Frame the change came from (e.g. "in support chat frame")
+   * @param {string} [alertData.urgency] - Politeness of the live region the change came from ('assertive' or 'polite')
+   * @param {string[]} [alertData.details] - Individual items behind a grouped alert, read by expandLastAlert()
+   * @param {string} [alertData.supersedeKey] - Element or live region the alert describes; a newer alert
+   *                                            with the same key replaces it in the queue
    * @returns {Promise<void>} - Promise that resolves when the alert is shown
    */
   async showAlert(alertData) {
+    if (alertData.details && alertData.details.length > 0) {
+      this.lastExpandable = alertData;
+    }
+    
     // Add to queue if queueing is enabled
     if (this.options.queueAlerts) {
-      // Add to queue
-      this.alertQueue.push(alertData);
+      // Only the current state of an element is worth hearing
+      if (alertData.supersedeKey) {
+        this.alertQueue = this.alertQueue.filter(queued => queued.supersedeKey !== alertData.supersedeKey);
+      }
       
-      // Limit queue size
+      if (alertData.urgency === 'assertive') {
+        // Assertive alerts go ahead of polite ones, behind earlier assertive alerts
+        const index = this.alertQueue.findIndex(queued => queued.urgency !== 'assertive');
+        this.alertQueue.splice(index === -1 ? this.alertQueue.length : index, 0, alertData);
+      } else {
+        this.alertQueue.push(alertData);
+      }
+      
+      // Limit queue size, dropping the oldest polite alert first
       if (this.alertQueue.length > this.options.maxQueueSize) {
-        this.alertQueue.shift();
+        const index = this.alertQueue.findIndex(queued => queued.urgency !== 'assertive');
+        this.alertQueue.splice(index === -1 ? 0 : index, 1);
       }
       
       // Process queue if not already processing
@@ -196,6 +223,40 @@ class AlertSystemModule {
     await this._showSingleAlert(alertData);
   }
 
+  /**
+   * Announce the individual items behind the last grouped alert
+   * @returns {Promise<boolean>} - False if no alert can be expanded
+   */
+  async expandLastAlert() {
+    if (!this.lastExpandable) {
+      return false;
+    }
+    
+    const { details, priority, contentType, frameContext } = this.lastExpandable;
+    const summary = details
+      .map((detail, index) => `${index + 1} of ${details.length}: ${detail}`)
+      .join('. ');
+    
+    // The user asked for this, so it goes ahead of queued updates
+    await this.showAlert({
+      summary,
+      priority,
+      contentType,
+      frameContext,
+      urgency: 'assertive'
+    });
+    
+    return true;
+  }
+
+  /**
+   * Get the alerts logged in dry-run mode
+   * @returns {Array} - Logged alerts with text, method, priority, urgency and content type
+   */
+  getAnnouncementLog() {
+    return [...this.announcementLog];
+  }
+
   /**
    * Process the alert queue
    * @private
@@ -221,6 +282,18 @@ class AlertSystemModule {
     // Determine alert method based on content type and priority
     const alertMethod = this._determineAlertMethod(alertData);
     
+    if (this.options.dryRun) {
+      this.announcementLog.push({
+        text: this._getAlertText(alertData),
+        method: alertMethod,
+        priority: alertData.priority,
+        urgency: this._getAlertPoliteness(alertData),
+        contentType: alertData.contentType || 'text',
+        timestamp: Date.now()
+      });
+      return;
+    }
+    
     // Show alert using the determined method
     switch (alertMethod) {
       case 'screenreader':
@@ -264,6 +337,20 @@ class AlertSystemModule {
     return methodForType;
   }
 
+  /**
+   * Determine how urgently the screen reader should speak an alert
+   * @private
+   * @param {Object} alertData - Alert data object
+   * @returns {string} - 'assertive' or 'polite'
+   */
+  _getAlertPoliteness(alertData) {
+    // The page's own live region politeness wins over our priority estimate
+    if (alertData.urgency === 'assertive' || alertData.urgency === 'polite') {
+      return alertData.urgency;
+    }
+    return alertData.priority >= 7 ? 'assertive' : 'polite';
+  }
+
   /**
    * Show a screen reader alert
    * @private
@@ -274,8 +361,9 @@ class AlertSystemModule {
     return new Promise(resolve => {
       // Create alert element
       const alertElement = document.createElement('div');
-      alertElement.setAttribute('aria-live', alertData.priority >= 7 ? 'assertive' : 'polite');
-      alertElement.setAttribute('role', 'alert');
+      const politeness = this._getAlertPoliteness(alertData);
+      alertElement.setAttribute('aria-live', politeness);
+      alertElement.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
       alertElement.style.position = 'absolute';
       alertElement.style.width = '1px';
       alertElement.style.height = '1px';
@@ -284,7 +372,7 @@ class AlertSystemModule {
       alertElement.style.whiteSpace = 'nowrap';
       
       // Set the alert text
-      alertElement.textContent = alertData.summary;
+      alertElement.textContent = this._getAlertText(alertData);
       
       // Add to document
       document.body.appendChild(alertElement);
@@ -332,7 +420,7 @@ class AlertSystemModule {
       });
       
       // Set the alert text
-      alertElement.textContent = alertData.summary;
+      alertElement.textContent = this._getAlertText(alertData);
       
       // Add to container
       this.alertContainer.appendChild(alertElement);
@@ -391,6 +479,20 @@ class AlertSystemModule {
     return sound();
   }
 
+  /**
+   * Get the text to announce for an alert
+   * @private
+   * @param {Object} alertData - Alert data object
+   * @returns {string} - Alert text including frame context, if any
+   */
+  _getAlertText(alertData) {
+    if (alertData.frameContext) {
+      return `${alertData.summary} (${alertData.frameContext})`;
+    }
+    
+    return alertData.summary;
+  }
+
   /**
    * Get color based on priority
    * @private
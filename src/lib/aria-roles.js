@@ -0,0 +1,357 @@
+// ARIA Role Module
+// Responsible for resolving the role assistive technology sees for an element:
+// valid explicit roles first, then the implicit role HTML-AAM gives its tag
+
+class AriaRoleModule {
+  constructor() {
+    // Concrete WAI-ARIA 1.2 roles, plus the graphics roles; abstract roles are not valid in markup
+    this.validRoles = [
+      'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+      'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'comment', 'complementary', 'contentinfo',
+      'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form',
+      'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox',
+      'listitem', 'log', 'main', 'mark', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+      'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph',
+      'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader',
+      'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong',
+      'subscript', 'suggestion', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+      'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
+      'graphics-document', 'graphics-object', 'graphics-symbol'
+    ];
+    
+    // Roles the user operates, standalone or composite
+    this.widgetRoles = [
+      'button', 'checkbox', 'combobox', 'grid', 'gridcell', 'link', 'listbox', 'menu', 'menubar',
+      'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'radiogroup', 'scrollbar',
+      'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'tablist', 'textbox', 'tree', 'treegrid',
+      'treeitem'
+    ];
+    
+    // Roles of controls that hold a value the user enters or picks
+    this.formControlRoles = [
+      'checkbox', 'combobox', 'listbox', 'radio', 'searchbox', 'slider', 'spinbutton', 'switch', 'textbox'
+    ];
+    
+    this.landmarkRoles = [
+      'banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'
+    ];
+    
+    // Implicit roles that don't depend on attributes or context
+    this.tagRoles = {
+      address: 'group',
+      article: 'article',
+      b: 'generic',
+      bdi: 'generic',
+      bdo: 'generic',
+      blockquote: 'blockquote',
+      body: 'generic',
+      button: 'button',
+      caption: 'caption',
+      code: 'code',
+      data: 'generic',
+      datalist: 'listbox',
+      dd: 'definition',
+      del: 'deletion',
+      details: 'group',
+      dfn: 'term',
+      dialog: 'dialog',
+      div: 'generic',
+      dt: 'term',
+      em: 'emphasis',
+      fieldset: 'group',
+      figure: 'figure',
+      h1: 'heading',
+      h2: 'heading',
+      h3: 'heading',
+      h4: 'heading',
+      h5: 'heading',
+      h6: 'heading',
+      hgroup: 'group',
+      hr: 'separator',
+      html: 'document',
+      i: 'generic',
+      ins: 'insertion',
+      li: 'listitem',
+      main: 'main',
+      mark: 'mark',
+      math: 'math',
+      menu: 'list',
+      meter: 'meter',
+      nav: 'navigation',
+      ol: 'list',
+      optgroup: 'group',
+      option: 'option',
+      output: 'status',
+      p: 'paragraph',
+      pre: 'generic',
+      progress: 'progressbar',
+      q: 'generic',
+      samp: 'generic',
+      search: 'search',
+      small: 'generic',
+      span: 'generic',
+      strong: 'strong',
+      sub: 'subscript',
+      // Browsers expose summary as the button that toggles its details
+      summary: 'button',
+      sup: 'superscript',
+      svg: 'graphics-document',
+      table: 'table',
+      tbody: 'rowgroup',
+      textarea: 'textbox',
+      tfoot: 'rowgroup',
+      thead: 'rowgroup',
+      time: 'time',
+      tr: 'row',
+      u: 'generic',
+      ul: 'list'
+    };
+    
+    // Input types and their roles; text-like types become comboboxes when they have a suggestion list
+    this.inputRoles = {
+      button: 'button',
+      checkbox: 'checkbox',
+      email: 'textbox',
+      image: 'button',
+      number: 'spinbutton',
+      radio: 'radio',
+      range: 'slider',
+      reset: 'button',
+      search: 'searchbox',
+      submit: 'button',
+      tel: 'textbox',
+      text: 'textbox',
+      url: 'textbox'
+    };
+    
+    // Sectioning content, which scopes headers, footers and asides to a section rather than the page
+    this.sectioningTags = ['article', 'aside', 'nav', 'section'];
+    this.sectioningRoles = ['article', 'complementary', 'navigation', 'region'];
+  }
+
+  /**
+   * Get the role of an element
+   * @param {Element} element - DOM element
+   * @returns {string} - Role, 'generic' for elements without semantics, or empty string if the element
+   *                     has no role at all (e.g. hidden inputs)
+   */
+  getRole(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const explicitRole = this.getExplicitRole(element);
+    
+    // Focusable or labelled elements can't be made presentational
+    if ((explicitRole === 'none' || explicitRole === 'presentation') && this._hasPresentationConflict(element)) {
+      return this.getImplicitRole(element);
+    }
+    
+    return explicitRole || this.getImplicitRole(element);
+  }
+
+  /**
+   * Get the first valid role from an element's role attribute
+   * @param {Element} element - DOM element
+   * @returns {string} - Explicit role, or empty string if the attribute is missing or holds no valid role
+   */
+  getExplicitRole(element) {
+    // The attribute is a fallback list; unknown and abstract roles are skipped
+    const tokens = (element.getAttribute('role') || '').trim().toLowerCase().split(/\s+/);
+    return tokens.find(token => this.validRoles.includes(token)) || '';
+  }
+
+  /**
+   * Get the implicit role of an element, following HTML-AAM
+   * @param {Element} element - DOM element
+   * @returns {string} - Implicit role, or empty string if the element has none
+   */
+  getImplicitRole(element) {
+    const tag = element.localName;
+    
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : 'generic';
+      
+      case 'aside':
+        // Asides inside other sections are only landmarks when they are named
+        return this._isScopedToSection(element, false) && !this._hasAuthorName(element) ? 'generic' : 'complementary';
+      
+      case 'header':
+        return this._isScopedToSection(element, true) ? 'generic' : 'banner';
+      
+      case 'footer':
+        return this._isScopedToSection(element, true) ? 'generic' : 'contentinfo';
+      
+      case 'section':
+        return this._hasAuthorName(element) ? 'region' : 'generic';
+      
+      case 'form':
+        return this._hasAuthorName(element) ? 'form' : 'generic';
+      
+      case 'img':
+        // An empty alt marks the image as decorative
+        return element.getAttribute('alt') === '' && !this._hasAuthorName(element) ? 'presentation' : 'img';
+      
+      case 'input':
+        return this._getInputRole(element);
+      
+      case 'select':
+        return element.hasAttribute('multiple') || Number(element.getAttribute('size')) > 1 ? 'listbox' : 'combobox';
+      
+      case 'td':
+        return this._isInInteractiveGrid(element) ? 'gridcell' : 'cell';
+      
+      case 'th':
+        return this._getHeaderCellRole(element);
+      
+      default:
+        return this.tagRoles[tag] || '';
+    }
+  }
+
+  /**
+   * Check if a role is a widget the user operates
+   * @param {string} role - Role
+   * @returns {boolean} - True for widget roles
+   */
+  isWidget(role) {
+    return this.widgetRoles.includes(role);
+  }
+
+  /**
+   * Check if a role is a form control holding a value
+   * @param {string} role - Role
+   * @returns {boolean} - True for text fields, comboboxes, checkboxes and the like
+   */
+  isFormControl(role) {
+    return this.formControlRoles.includes(role);
+  }
+
+  /**
+   * Check if a role is a landmark
+   * @param {string} role - Role
+   * @returns {boolean} - True for landmark roles
+   */
+  isLandmark(role) {
+    return this.landmarkRoles.includes(role);
+  }
+
+  /**
+   * Get the role of an input element from its type
+   * @private
+   * @param {Element} element - Input element
+   * @returns {string} - Role, or empty string for types without one (hidden, password, date pickers)
+   */
+  _getInputRole(element) {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    const hasList = element.hasAttribute('list');
+    
+    if (['email', 'search', 'tel', 'text', 'url'].includes(type) && hasList) {
+      return 'combobox';
+    }
+    
+    // Unknown types behave as text fields
+    if (!(type in this.inputRoles)) {
+      return ['color', 'date', 'datetime-local', 'file', 'hidden', 'month', 'password', 'time', 'week'].includes(type)
+        ? ''
+        : 'textbox';
+    }
+    
+    return this.inputRoles[type];
+  }
+
+  /**
+   * Get the role of a th element: row header or column header
+   * @private
+   * @param {Element} element - th element
+   * @returns {string} - 'rowheader' or 'columnheader'
+   */
+  _getHeaderCellRole(element) {
+    const scope = (element.getAttribute('scope') || '').toLowerCase();
+    if (scope === 'row' || scope === 'rowgroup') {
+      return 'rowheader';
+    }
+    if (scope === 'col' || scope === 'colgroup') {
+      return 'columnheader';
+    }
+    
+    // Headers in the table head, or in a row of headers, label columns
+    const row = element.parentElement;
+    if (!row || (row.parentElement && row.parentElement.localName === 'thead')) {
+      return 'columnheader';
+    }
+    
+    const rowHasDataCells = Array.from(row.children).some(cell => cell.localName === 'td');
+    return rowHasDataCells ? 'rowheader' : 'columnheader';
+  }
+
+  /**
+   * Check if a table cell belongs to a grid or treegrid
+   * @private
+   * @param {Element} element - Table cell
+   * @returns {boolean} - True if the table has an interactive grid role
+   */
+  _isInInteractiveGrid(element) {
+    const table = element.closest('table');
+    const role = table ? this.getExplicitRole(table) : '';
+    return role === 'grid' || role === 'treegrid';
+  }
+
+  /**
+   * Check if an element sits inside sectioning content, which scopes headers, footers and asides to it
+   * @private
+   * @param {Element} element - DOM element
+   * @param {boolean} includeMain - Whether main also counts, as it does for headers and footers
+   * @returns {boolean} - True if a sectioning ancestor exists
+   */
+  _isScopedToSection(element, includeMain) {
+    let current = element.parentElement;
+    
+    while (current) {
+      const role = this.getExplicitRole(current);
+      if (this.sectioningTags.includes(current.localName) || this.sectioningRoles.includes(role) ||
+          (includeMain && (current.localName === 'main' || role === 'main'))) {
+        return true;
+      }
+      current = current.parentElement;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Check if an element is named by the author, which some landmarks require
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if labelled by aria-label, aria-labelledby or title
+   */
+  _hasAuthorName(element) {
+    return ['aria-label', 'aria-labelledby', 'title']
+      .some(attribute => (element.getAttribute(attribute) || '').trim() !== '');
+  }
+
+  /**
+   * Check if role="none" or role="presentation" must be ignored
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element is focusable or has global ARIA properties
+   */
+  _hasPresentationConflict(element) {
+    const focusable = element.hasAttribute('tabindex') ||
+                      (element.localName === 'a' && element.hasAttribute('href')) ||
+                      (['button', 'input', 'select', 'textarea'].includes(element.localName) && !element.disabled);
+    if (focusable) {
+      return true;
+    }
+    
+    return ['aria-label', 'aria-labelledby', 'aria-describedby', 'aria-live', 'aria-controls']
+      .some(attribute => element.hasAttribute(attribute));
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AriaRoleModule;
+}
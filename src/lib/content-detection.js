@@ -9,6 +9,49 @@ class ContentDetectionModule {
       minTextLength: 5, // minimum text length to consider significant
       ignoredTags: ['SCRIPT', 'STYLE', 'NOSCRIPT', 'META', 'LINK'],
       ignoredClasses: ['hidden', 'visually-hidden', 'sr-only'],
+      observeShadowRoots: true, // whether to observe open shadow roots of web components
+      shadowRescanInterval: 2000, // ms between checks of custom elements that may still attach a shadow root
+      shadowRescanLimit: 5, // checks of a defined custom element without a shadow root before it is left alone
+      maxPendingShadowHosts: 500, // custom elements checked for a late shadow root at any one time
+      churnDetection: true, // whether to auto-mute elements that update on a regular cadence
+      churnMinSamples: 4, // changes to an element before its cadence is judged
+      churnMaxInterval: 60000, // ms; elements updating less often are never treated as churn
+      churnBurstInterval: 500, // ms; elements updating faster than this are churn even if irregular
+      churnCadenceTolerance: 0.35, // max variation of update intervals for a "regular" cadence
+      churnMode: 'digest', // 'digest' to summarise muted updates periodically, 'suppress' to drop them
+      churnDigestInterval: 120000, // ms between digests of muted updates
+      maxChurnEntries: 200, // maximum number of elements tracked for churn
+      treatZeroSizeAsHidden: true, // whether elements with no rendered size count as hidden
+      nearViewportDistance: 1, // viewport heights outside the viewport still considered "near"
+      maxTrackedIntersections: 500, // maximum number of elements tracked by the IntersectionObserver
+      detectNavigation: true, // whether to report single-page app route changes as navigation
+      navigationSettleTime: 400, // ms without mutations before a view swap is considered complete
+      navigationMaxWait: 3000, // ms after a route change before navigation is reported regardless
+      navigationEvent: 'dynamic-content-interpreter:navigation', // window event from the main-world history hook
+      detectDialogs: true, // whether to report dialogs and modals opening and closing
+      detectOverlayDialogs: true, // whether to treat "modal"/"lightbox" overlays without dialog semantics as dialogs
+      dialogFocusDelay: 100, // ms to wait after a dialog closes before checking where focus went
+      detectFormErrors: true, // whether to report validation errors against the field they belong to
+      formInvalidDelay: 150, // ms to collect native "invalid" events into one report
+      formSubmitSettleTime: 500, // ms after a submit to let the page render its errors before summarising them
+      detectLoading: true, // whether to track loading states (aria-busy, spinners, progress bars) per region
+      loadingStartDelay: 400, // ms a region must stay busy before "Loading..." is announced
+      loadingSettleTime: 300, // ms after loading ends to let results render before announcing completion
+      progressStep: 25, // percentage steps at which determinate progress is reported
+      detectFeeds: true, // whether to report runs of similar items added to a feed or list as one change
+      feedMinItems: 3, // similar sibling insertions needed before a container is treated as a feed
+      feedMaxDetails: 50, // maximum number of item titles kept for expanding a feed announcement
+      idleProcessing: true, // whether to analyse changes in idle-time chunks instead of all at once
+      idleBudget: 8, // ms of analysis per idle callback
+      idleTimeout: 500, // ms before queued analysis runs even if the page never goes idle
+      detectionChunkSize: 50, // mutations each detection step handles between idle budget checks
+      samplingRate: 200, // mutations per second above which only a sample of changes is analysed
+      overloadRate: 1000, // mutations per second above which changes are only counted and summarised
+      maxPendingGroups: 500, // queued mutation groups that count as overload regardless of rate
+      busySummaryInterval: 5000, // ms between "page too busy" summaries while overloaded
+      suppressTypingEcho: true, // whether to ignore changes the user causes by typing into a field or editor
+      typingEchoWindow: 300, // ms after an input event during which changes inside the edited field are its echo
+      describeLocation: false, // whether to work out the landmark, heading and screen region of each change
       ...options
     };
     
@@ -17,6 +60,92 @@ class ContentDetectionModule {
     this.lastProcessedTime = 0;
     this.pendingChanges = [];
     this.isProcessing = false;
+    
+    // Shadow DOM tracking
+    this.observedRoots = new Set();
+    this.pendingCustomElements = new Map(); // element -> checks made since it was defined
+    this.shadowRescanTimer = null;
+    this.awaitedDefinitions = new Set();
+    
+    // Word-level diffing of text and replacement changes
+    this.textDiff = new TextDiffModule();
+    
+    // Roles as assistive technology sees them, explicit or implied by the markup
+    this.roles = new AriaRoleModule();
+    
+    // Element identity that survives re-renders, for grouping, churn and mute rules
+    this.fingerprints = new ElementFingerprintModule();
+    
+    // Names and descriptions as the user's screen reader computes them
+    this.accessibleNames = new AccessibleNameModule();
+    
+    // Churn tracking (clocks, tickers, carousels, relative timestamps)
+    this.churnStats = new Map();
+    this.churnOverrides = {};
+    this.churnDigestTimer = null;
+    
+    // Viewport tracking for changed elements
+    this.intersectionObserver = null;
+    this.intersectionStates = new WeakMap();
+    this.trackedIntersections = new Set();
+    
+    // Single-page app navigation tracking
+    this.currentUrl = null;
+    this.navigationState = null;
+    this.navigationEventHandler = null;
+    
+    // Recorder for offline replay of the observed mutation stream
+    this.recorder = null;
+    
+    // Open dialogs and what was reported when they opened
+    this.openDialogs = new Map();
+    this.dialogCloseTimers = new Set();
+    
+    // Form validation errors, by field, and forms awaiting an error summary
+    this.fieldErrors = new WeakMap();
+    this.pendingInvalidForms = new Map();
+    this.submittedForms = new Map();
+    this.formEventHandler = null;
+    
+    // Field or editor the user last typed into, so the echo of their own typing isn't announced
+    this.userEdit = null;
+    this.inputEventHandler = null;
+    this.userInputEvents = ['keydown', 'beforeinput', 'input', 'paste', 'cut', 'drop',
+                            'compositionstart', 'compositionupdate', 'compositionend'];
+    
+    // Regions that are loading, keyed by region element
+    this.loadingRegions = new Map();
+    
+    // Mutation batches waiting for idle-time detection and analysis, one job per processed batch
+    this.analysisQueue = [];
+    
+    // Steps an analysis job goes through; each is split into small units of work
+    this.analysisPhases = ['dialogs', 'loading', 'grouping', 'groups', 'sampling', 'analysis', 'done'];
+    this.analysisHandle = null;
+    
+    // Backpressure: mutation rate over the last second and how the pipeline is coping
+    this.mutationTimes = [];
+    this.backpressure = {
+      level: 'normal', // 'normal', 'sampling' or 'overloaded'
+      mutationRate: 0,
+      pendingGroups: 0,
+      sampleStride: 1,
+      skippedGroups: 0
+    };
+    this.backpressureListeners = [];
+    this.backpressureTimer = null;
+    this.sampleCounter = 0;
+    this.busyTally = null;
+    this.busySummaryTimer = null;
+    
+    // Politeness of roles that are live regions without aria-live
+    this.liveRegionRolePoliteness = {
+      alert: 'assertive',
+      status: 'polite',
+      log: 'polite',
+      timer: 'off',
+      marquee: 'off'
+    };
   }
 
   /**
@@ -33,14 +162,39 @@ class ContentDetectionModule {
     this.observer = new MutationObserver(this._handleMutations.bind(this));
     
     // Configure and start the observer
-    this.observer.observe(target, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      characterData: true,
-      attributeOldValue: true,
-      characterDataOldValue: true
-    });
+    this._observeRoot(target);
+    
+    // Track whether changed elements are in or near the viewport
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(
+        this._handleIntersections.bind(this)
+      );
+    }
+    
+    // Web components render into shadow roots, which the observer
+    // on the light DOM cannot see into
+    if (this.options.observeShadowRoots) {
+      this._discoverShadowRoots(target);
+    }
+    
+    // Single-page apps change views through the history API rather than page loads
+    this.currentUrl = window.location.href;
+    if (this.options.detectNavigation) {
+      this._installNavigationHooks();
+    }
+    
+    // Native constraint validation reports errors through events, not mutations
+    if (this.options.detectFormErrors) {
+      this.formEventHandler = this._handleFormEvent.bind(this);
+      document.addEventListener('invalid', this.formEventHandler, true);
+      document.addEventListener('submit', this.formEventHandler, true);
+    }
+    
+    // Typing changes the DOM of the field being edited, which the user doesn't need read back
+    if (this.options.suppressTypingEcho) {
+      this.inputEventHandler = this._handleUserInput.bind(this);
+      this.userInputEvents.forEach(type => document.addEventListener(type, this.inputEventHandler, true));
+    }
     
     console.log('DOM observation started');
   }
@@ -54,168 +208,3226 @@ class ContentDetectionModule {
       this.observer = null;
       console.log('DOM observation stopped');
     }
+    
+    this.observedRoots.clear();
+    this.pendingCustomElements.clear();
+    this.awaitedDefinitions.clear();
+    
+    if (this.shadowRescanTimer) {
+      clearTimeout(this.shadowRescanTimer);
+      this.shadowRescanTimer = null;
+    }
+    
+    if (this.churnDigestTimer) {
+      clearTimeout(this.churnDigestTimer);
+      this.churnDigestTimer = null;
+    }
+    
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+      this.trackedIntersections.clear();
+    }
+    
+    this._removeNavigationHooks();
+    
+    this.dialogCloseTimers.forEach(timer => clearTimeout(timer));
+    this.dialogCloseTimers.clear();
+    this.openDialogs.clear();
+    
+    if (this.formEventHandler) {
+      document.removeEventListener('invalid', this.formEventHandler, true);
+      document.removeEventListener('submit', this.formEventHandler, true);
+      this.formEventHandler = null;
+    }
+    
+    if (this.inputEventHandler) {
+      this.userInputEvents.forEach(type => document.removeEventListener(type, this.inputEventHandler, true));
+      this.inputEventHandler = null;
+    }
+    this.userEdit = null;
+    this.pendingInvalidForms.forEach(pending => clearTimeout(pending.timer));
+    this.pendingInvalidForms.clear();
+    this.submittedForms.forEach(timer => clearTimeout(timer));
+    this.submittedForms.clear();
+    
+    this.loadingRegions.forEach(entry => clearTimeout(entry.timer));
+    this.loadingRegions.clear();
+    
+    this._cancelAnalysis();
+    this.analysisQueue = [];
+    if (this.backpressureTimer) {
+      clearTimeout(this.backpressureTimer);
+      this.backpressureTimer = null;
+    }
+    if (this.busySummaryTimer) {
+      clearTimeout(this.busySummaryTimer);
+      this.busySummaryTimer = null;
+    }
+    this.busyTally = null;
   }
 
   /**
-   * Register a callback for significant content changes
-   * @param {Function} callback - Function to call when significant changes are detected
+   * Attach the mutation observer to a root node (document subtree or shadow root)
+   * @private
+   * @param {Node} root - Element or ShadowRoot to observe
    */
-  onSignificantChange(callback) {
-    if (typeof callback === 'function') {
-      this.changeListeners.push(callback);
+  _observeRoot(root) {
+    if (!this.observer || !root || this.observedRoots.has(root)) {
+      return;
+    }
+    
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true,
+      attributeOldValue: true,
+      characterDataOldValue: true
+    });
+    
+    this.observedRoots.add(root);
+    
+    // Attaching a shadow root makes no mutation record, so a recording notes it when it is found
+    if (root.host && this.isRecording()) {
+      this.recorder.recordShadowRoot(root);
     }
   }
 
   /**
-   * Handle mutation records from the observer
+   * Find open shadow roots in a subtree and start observing them
+   * @private
+   * @param {Node} root - Element, document or ShadowRoot to search
+   */
+  _discoverShadowRoots(root) {
+    if (!root || !this.observer) {
+      return;
+    }
+    
+    const elements = [];
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      elements.push(root);
+    }
+    if (root.querySelectorAll) {
+      elements.push(...root.querySelectorAll('*'));
+    }
+    
+    for (const element of elements) {
+      if (element.shadowRoot) {
+        this._observeRoot(element.shadowRoot);
+        this._discoverShadowRoots(element.shadowRoot);
+      } else if (element.localName.includes('-')) {
+        this._trackPendingShadowHost(element);
+      }
+    }
+    
+    this._scheduleShadowRescan();
+  }
+
+  /**
+   * Keep checking a custom element without a shadow root, which it may attach once it is defined
+   * or after it has rendered
+   * @private
+   * @param {Element} element - Custom element
+   */
+  _trackPendingShadowHost(element) {
+    if (this.pendingCustomElements.has(element) ||
+        this.pendingCustomElements.size >= this.options.maxPendingShadowHosts) {
+      return;
+    }
+    
+    this.pendingCustomElements.set(element, 0);
+    
+    // In the content script's isolated world customElements is null, so only the rescan covers them
+    if (this._isUndefinedCustomElement(element)) {
+      this._awaitDefinition(element.localName);
+    }
+  }
+
+  /**
+   * Check if an element is a custom element that has not been upgraded yet
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element is an undefined custom element
+   */
+  _isUndefinedCustomElement(element) {
+    if (!element.tagName || !element.tagName.includes('-')) {
+      return false;
+    }
+    
+    if (typeof customElements !== 'undefined' && customElements) {
+      return !customElements.get(element.localName);
+    }
+    
+    try {
+      return !element.matches(':defined');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Periodically recheck custom elements that have no shadow root yet
+   * @private
+   */
+  _scheduleShadowRescan() {
+    if (this.shadowRescanTimer || this.pendingCustomElements.size === 0) {
+      return;
+    }
+    
+    this.shadowRescanTimer = setTimeout(() => {
+      this.shadowRescanTimer = null;
+      
+      for (const [element, checks] of Array.from(this.pendingCustomElements)) {
+        if (!element.isConnected) {
+          this.pendingCustomElements.delete(element);
+        } else if (element.shadowRoot) {
+          this.pendingCustomElements.delete(element);
+          this._discoverShadowRoots(element);
+        } else if (!this._isUndefinedCustomElement(element)) {
+          // A defined component still without a shadow root after a few checks renders into the light DOM
+          if (checks + 1 >= this.options.shadowRescanLimit) {
+            this.pendingCustomElements.delete(element);
+          } else {
+            this.pendingCustomElements.set(element, checks + 1);
+          }
+        }
+      }
+      
+      this._scheduleShadowRescan();
+    }, this.options.shadowRescanInterval);
+  }
+
+  /**
+   * Look for shadow roots as soon as a custom element is defined, which is when components
+   * usually attach them
+   * @private
+   * @param {string} name - Custom element name
+   */
+  _awaitDefinition(name) {
+    // Patching attachShadow from the content script's isolated world wouldn't see the page's calls,
+    // so shadow roots are found by walking upgraded elements instead
+    if (this.awaitedDefinitions.has(name) || typeof customElements === 'undefined' || !customElements) {
+      return;
+    }
+    this.awaitedDefinitions.add(name);
+    
+    customElements.whenDefined(name).then(() => {
+      this.awaitedDefinitions.delete(name);
+      if (!this.observer) {
+        return;
+      }
+      
+      // Elements that attach their shadow root later are left to the rescan
+      for (const element of Array.from(this.pendingCustomElements.keys())) {
+        if (element.localName === name && element.isConnected && element.shadowRoot) {
+          this.pendingCustomElements.delete(element);
+          this._discoverShadowRoots(element);
+        }
+      }
+    }).catch(() => {
+      // Invalid custom element names never get defined; the periodic rescan still covers them
+      this.awaitedDefinitions.delete(name);
+    });
+  }
+
+  /**
+   * Look for shadow roots inside nodes added by a batch of mutations
    * @private
    * @param {MutationRecord[]} mutations - Array of mutation records
    */
-  _handleMutations(mutations) {
-    // Throttle processing for high-frequency updates
+  _discoverShadowRootsInMutations(mutations) {
+    for (const mutation of mutations) {
+      if (mutation.type !== 'childList') continue;
+      
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          this._discoverShadowRoots(node);
+        }
+      }
+    }
+  }
+
+  /**
+   * Listen for navigation events to detect route changes
+   * @private
+   */
+  _installNavigationHooks() {
+    // pushState and replaceState are reported by content/navigation-hooks.js, which runs in the
+    // page's main world; wrapping history here would only wrap the content script's own copy
+    this.navigationEventHandler = (event) => {
+      this._handleLocationChange(event.type === this.options.navigationEvent ? String(event.detail) : event.type);
+    };
+    window.addEventListener(this.options.navigationEvent, this.navigationEventHandler);
+    window.addEventListener('popstate', this.navigationEventHandler);
+    window.addEventListener('hashchange', this.navigationEventHandler);
+  }
+
+  /**
+   * Remove navigation event listeners
+   * @private
+   */
+  _removeNavigationHooks() {
+    if (this.navigationEventHandler) {
+      window.removeEventListener(this.options.navigationEvent, this.navigationEventHandler);
+      window.removeEventListener('popstate', this.navigationEventHandler);
+      window.removeEventListener('hashchange', this.navigationEventHandler);
+      this.navigationEventHandler = null;
+    }
+    
+    if (this.navigationState) {
+      clearTimeout(this.navigationState.timer);
+      this.navigationState = null;
+    }
+  }
+
+  /**
+   * Handle a possible route change
+   * @private
+   * @param {string} trigger - What caused the check (pushState, popstate, hashchange, mutation, ...)
+   */
+  _handleLocationChange(trigger) {
+    const url = window.location.href;
+    if (url === this.currentUrl) {
+      return;
+    }
+    
+    const previousUrl = this.currentUrl;
+    this.currentUrl = url;
+    
+    // Jumping to an in-page anchor is not a view change
+    if (this._isInPageAnchorChange(previousUrl, url)) {
+      return;
+    }
+    
     const now = Date.now();
-    if (now - this.lastProcessedTime < this.options.throttleTime) {
-      // Add to pending changes and schedule processing
-      this.pendingChanges = this.pendingChanges.concat(mutations);
+    
+    if (this.navigationState) {
+      // Another route change during a swap (e.g. a redirect) extends the same navigation
+      this.navigationState.url = url;
+      this.navigationState.lastMutationTime = now;
+      return;
+    }
+    
+    // Mutations queued or still being analysed from before the route change belong to the old view,
+    // apart from the messages that are reported during a navigation as well
+    this.pendingChanges = this.pendingChanges.filter(mutation => this._isKeptDuringNavigation(mutation));
+    this._dropOldViewAnalysis();
+    
+    this.navigationState = {
+      trigger,
+      url,
+      previousUrl,
+      previousTitle: document.title,
+      startTime: now,
+      lastMutationTime: now,
+      suppressedMutations: 0,
+      timer: null
+    };
+    
+    this._scheduleNavigationSettle();
+  }
+
+  /**
+   * Replace the queued analysis jobs with one for the mutations of theirs that are kept during navigation
+   * @private
+   */
+  _dropOldViewAnalysis() {
+    if (this.analysisQueue.length === 0) {
+      return;
+    }
+    
+    // Jobs report nothing until they finish, so a job analysing only the kept mutations loses nothing
+    const keptMutations = this.analysisQueue.flatMap(job =>
+      job.mutations.filter(mutation => this._isKeptDuringNavigation(mutation))
+    );
+    
+    this.analysisQueue = keptMutations.length > 0 ? [this._createAnalysisJob(keptMutations)] : [];
+    if (this.analysisQueue.length === 0) {
+      this._cancelAnalysis();
+    }
+    this._updateBackpressure();
+  }
+
+  /**
+   * Check if a mutation still needs reporting while a view swap is in progress
+   * @private
+   * @param {MutationRecord} mutation - Mutation record
+   * @returns {boolean} - True for changes to live regions and form errors
+   */
+  _isKeptDuringNavigation(mutation) {
+    const target = this._resolveTargetElement(mutation.target);
+    if (!target) {
+      return false;
+    }
+    
+    // Messages in an existing live region, such as "Saved" or "Session expired"
+    if (this._isLiveRegion(target)) {
+      return true;
+    }
+    
+    if (mutation.type === 'attributes') {
+      return mutation.attributeName === 'aria-invalid';
+    }
+    
+    // A live region or error message inserted on its own; a new view merely containing one is part of the swap
+    return mutation.type === 'childList' && Array.from(mutation.addedNodes).some(node =>
+      node.nodeType === Node.ELEMENT_NODE && (this._isLiveRegion(node) || this._isErrorNode(node))
+    );
+  }
+
+  /**
+   * Check if a URL change only moves to an anchor on the same page
+   * @private
+   * @param {string} previousUrl - Previous URL
+   * @param {string} url - Current URL
+   * @returns {boolean} - True if only a non-route hash changed
+   */
+  _isInPageAnchorChange(previousUrl, url) {
+    if (!previousUrl) {
+      return false;
+    }
+    
+    const [previousBase] = previousUrl.split('#');
+    const [base, hash = ''] = url.split('#');
+    
+    // Hash-based routers use "#/path" or "#!/path"
+    return previousBase === base && !/^!?\//.test(hash);
+  }
+
+  /**
+   * Wait for the view swap to finish before reporting the navigation
+   * @private
+   */
+  _scheduleNavigationSettle() {
+    const state = this.navigationState;
+    
+    state.timer = setTimeout(() => {
+      const now = Date.now();
+      const quietTime = now - state.lastMutationTime;
       
-      if (!this.isProcessing) {
-        setTimeout(() => this._processPendingChanges(), this.options.throttleTime);
-        this.isProcessing = true;
+      if (quietTime < this.options.navigationSettleTime &&
+          now - state.startTime < this.options.navigationMaxWait) {
+        this._scheduleNavigationSettle();
+        return;
       }
+      
+      this.navigationState = null;
+      this._emitNavigationChange(state);
+    }, this.options.navigationSettleTime);
+  }
+
+  /**
+   * Notify listeners of a single navigation change for a completed view swap
+   * @private
+   * @param {Object} state - Navigation state
+   */
+  _emitNavigationChange(state) {
+    if (!this.observer) {
       return;
     }
     
-    this.lastProcessedTime = now;
-    this._processMutations(mutations);
+    const main = document.querySelector('main, [role="main"]') || document.body;
+    const title = (document.title || '').trim();
+    const heading = this._getMainHeading(main);
+    const name = heading || title || new URL(state.url).pathname;
+    
+    this._notifyChangeListeners([{
+      type: 'navigation',
+      content: {
+        text: name,
+        html: '',
+        old: state.previousTitle,
+        new: name
+      },
+      element: main,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(main, 'navigation'),
+      navigation: {
+        url: state.url,
+        previousUrl: state.previousUrl,
+        trigger: state.trigger,
+        title,
+        heading,
+        suppressedMutations: state.suppressedMutations
+      },
+      mutations: []
+    }]);
   }
 
   /**
-   * Process pending mutation records
+   * Get the text of the main heading of the current view
    * @private
+   * @param {Element} main - Main content element
+   * @returns {string} - Heading text, or empty string if there is none
    */
-  _processPendingChanges() {
-    if (this.pendingChanges.length > 0) {
-      this._processMutations(this.pendingChanges);
-      this.pendingChanges = [];
+  _getMainHeading(main) {
+    const heading = main.querySelector('h1') ||
+                    document.querySelector('h1') ||
+                    main.querySelector('h2, [role="heading"]');
+    
+    return heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  /**
+   * Detect dialogs opening and closing in a batch of mutations
+   * @private
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   * @returns {Object} - Dialog changes, and the dialogs that opened or closed
+   */
+  _detectDialogChanges(mutations) {
+    // Every open dialog is rechecked, since removing or hiding an ancestor closes it
+    const candidates = new Set(this.openDialogs.keys());
+    const inspectedTargets = new Set();
+    const relevantAttributes = ['open', 'role', 'aria-modal', 'hidden', 'aria-hidden', 'inert', 'class', 'style'];
+    
+    for (const mutation of mutations) {
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => this._collectDialogCandidates(node, candidates));
+      } else if (mutation.type === 'attributes' &&
+                 relevantAttributes.includes(mutation.attributeName) &&
+                 !inspectedTargets.has(mutation.target)) {
+        inspectedTargets.add(mutation.target);
+        this._collectDialogCandidates(mutation.target, candidates);
+        
+        const owner = this._getClosestDialog(mutation.target);
+        if (owner) {
+          candidates.add(owner);
+        }
+      }
     }
-    this.isProcessing = false;
+    
+    const changes = [];
+    const dialogs = [];
+    
+    for (const dialog of candidates) {
+      const isOpen = this._isDialogOpen(dialog);
+      const wasOpen = this.openDialogs.has(dialog);
+      
+      if (isOpen && !wasOpen) {
+        const info = this._getDialogInfo(dialog);
+        this.openDialogs.set(dialog, info);
+        changes.push(this._createDialogChange(dialog, 'opened', info));
+        dialogs.push(dialog);
+      } else if (!isOpen && wasOpen) {
+        const info = this.openDialogs.get(dialog);
+        this.openDialogs.delete(dialog);
+        this._scheduleDialogClose(dialog, info);
+        dialogs.push(dialog);
+      }
+    }
+    
+    return { changes, dialogs };
+  }
+
+  /**
+   * Add a node and its descendants that look like dialogs to a candidate set
+   * @private
+   * @param {Node} node - Added or changed node
+   * @param {Set<Element>} candidates - Candidate dialogs
+   */
+  _collectDialogCandidates(node, candidates) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+    
+    if (this._isDialogElement(node)) {
+      candidates.add(node);
+    }
+    
+    const selector = 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]' +
+      (this.options.detectOverlayDialogs ? ', [class*="modal" i], [class*="dialog" i], [class*="lightbox" i]' : '');
+    
+    for (const element of node.querySelectorAll(selector)) {
+      if (this._isDialogElement(element)) {
+        candidates.add(element);
+      }
+    }
+  }
+
+  /**
+   * Check if an element is a dialog, by semantics or by a common overlay pattern
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element is a dialog
+   */
+  _isDialogElement(element) {
+    const role = element.getAttribute('role');
+    if (role === 'dialog' || role === 'alertdialog' ||
+        element.tagName === 'DIALOG' ||
+        element.getAttribute('aria-modal') === 'true') {
+      return true;
+    }
+    
+    return this._isOverlayDialog(element);
+  }
+
+  /**
+   * Check if an element is a modal overlay without dialog semantics, e.g. <div class="modal">
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element follows a modal overlay pattern
+   */
+  _isOverlayDialog(element) {
+    // Elements with another explicit role are not dialogs
+    if (!this.options.detectOverlayDialogs || element.hasAttribute('role')) {
+      return false;
+    }
+    
+    // Match "modal", "c-modal", "app-dialog" but not parts like "modal-backdrop" or "modal-open"
+    const isOverlayClass = Array.from(element.classList).some(className =>
+      /^(?:[a-z0-9]+[-_])?(?:modal|dialog|lightbox)$/i.test(className)
+    );
+    if (!isOverlayClass) {
+      return false;
+    }
+    
+    // Wrappers of a semantic dialog and inner parts of another overlay report through that dialog
+    if (element.querySelector('dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]')) {
+      return false;
+    }
+    const parent = this._getComposedParent(element);
+    if (parent && parent.nodeType === Node.ELEMENT_NODE && this._getClosestDialog(parent)) {
+      return false;
+    }
+    
+    // A dialog has something to read or operate
+    return element.querySelector(
+      'h1, h2, h3, h4, h5, h6, [role="heading"], button, a[href], input, select, textarea, [tabindex]'
+    ) !== null;
+  }
+
+  /**
+   * Find the dialog containing a node
+   * @private
+   * @param {Node} node - DOM node
+   * @returns {Element|null} - Closest dialog, including the node itself
+   */
+  _getClosestDialog(node) {
+    let current = node;
+    while (current) {
+      if (current.nodeType === Node.ELEMENT_NODE && this._isDialogElement(current)) {
+        return current;
+      }
+      current = this._getComposedParent(current);
+    }
+    return null;
+  }
+
+  /**
+   * Check if a dialog is currently open
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @returns {boolean} - True if the dialog is connected and rendered
+   */
+  _isDialogOpen(dialog) {
+    if (!dialog.isConnected) {
+      return false;
+    }
+    
+    // show() and showModal() set the open attribute, close() removes it
+    if (dialog.tagName === 'DIALOG' && !dialog.hasAttribute('open')) {
+      return false;
+    }
+    
+    return !this._getHiddenReason(dialog);
+  }
+
+  /**
+   * Collect what is reported about a dialog
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @returns {Object} - Dialog role, name, description, modality and context
+   */
+  _getDialogInfo(dialog) {
+    return {
+      role: dialog.getAttribute('role') === 'alertdialog' ? 'alertdialog' : 'dialog',
+      name: this._getDialogName(dialog),
+      description: this._getDialogDescription(dialog),
+      modal: this._isModalDialog(dialog),
+      context: this._extractContextInfo(dialog, 'dialog')
+    };
+  }
+
+  /**
+   * Get the accessible name of a dialog
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @returns {string} - Dialog name, or empty string if it has none
+   */
+  _getDialogName(dialog) {
+    const label = this._getElementLabel(dialog);
+    if (label) {
+      return label.trim().replace(/\s+/g, ' ');
+    }
+    
+    // Unlabelled dialogs are usually titled by their first heading
+    const heading = dialog.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+    return heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  /**
+   * Get the description of a dialog
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @returns {string} - Dialog description, or empty string if it has none
+   */
+  _getDialogDescription(dialog) {
+    let description = this.accessibleNames.getDescription(dialog);
+    
+    if (!description) {
+      // Fall back to the first paragraph, as most dialogs open with their message
+      const paragraph = dialog.querySelector('p');
+      description = paragraph ? paragraph.textContent : '';
+    }
+    
+    description = description.trim().replace(/\s+/g, ' ');
+    return description.length > 150 ? description.substring(0, 147) + '...' : description;
+  }
+
+  /**
+   * Check if a dialog is modal
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @returns {boolean} - True if the dialog blocks the rest of the page
+   */
+  _isModalDialog(dialog) {
+    if (dialog.getAttribute('aria-modal') === 'true') {
+      return true;
+    }
+    
+    // Dialogs opened with showModal() match :modal
+    if (dialog.tagName === 'DIALOG') {
+      try {
+        return dialog.matches(':modal');
+      } catch (error) {
+        return false; // :modal is not supported
+      }
+    }
+    
+    // Overlays cover the page by design
+    return this._isOverlayDialog(dialog);
+  }
+
+  /**
+   * Report a closed dialog once the page has had a chance to move focus
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @param {Object} info - Dialog information recorded when it opened
+   */
+  _scheduleDialogClose(dialog, info) {
+    const timer = setTimeout(() => {
+      this.dialogCloseTimers.delete(timer);
+      if (!this.observer) {
+        return;
+      }
+      
+      const focused = this._getDeepActiveElement();
+      const focusLost = !focused || focused === document.body || focused === document.documentElement;
+      
+      this._notifyChangeListeners([this._createDialogChange(dialog, 'closed', info, {
+        focusTarget: focusLost ? null : this._describeFocusTarget(focused),
+        focusLost
+      })]);
+    }, this.options.dialogFocusDelay);
+    
+    this.dialogCloseTimers.add(timer);
+  }
+
+  /**
+   * Get the focused element, looking inside shadow roots
+   * @private
+   * @returns {Element|null} - Focused element
+   */
+  _getDeepActiveElement() {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active;
+  }
+
+  /**
+   * Describe a focused element, e.g. "Delete order button"
+   * @private
+   * @param {Element} element - Focused element
+   * @returns {string} - Description of the element
+   */
+  _describeFocusTarget(element) {
+    const label = (this._getElementLabel(element) || element.textContent || '')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .substring(0, 60);
+    const role = this.roles.getRole(element);
+    
+    return [label, role === 'generic' ? '' : role].filter(part => part).join(' ');
+  }
+
+  /**
+   * Create a dialog change object
+   * @private
+   * @param {Element} dialog - Dialog element
+   * @param {string} state - 'opened' or 'closed'
+   * @param {Object} info - Dialog information
+   * @param {Object} [focus] - Where focus went after the dialog closed
+   * @returns {Object} - Change data object
+   */
+  _createDialogChange(dialog, state, info, focus = {}) {
+    return {
+      type: 'dialog',
+      content: {
+        text: info.name,
+        html: '',
+        old: '',
+        new: info.name
+      },
+      element: dialog,
+      timestamp: Date.now(),
+      context: info.context,
+      dialog: {
+        state,
+        role: info.role,
+        name: info.name,
+        description: info.description,
+        modal: info.modal,
+        focusTarget: focus.focusTarget || null,
+        focusLost: Boolean(focus.focusLost)
+      },
+      mutations: []
+    };
+  }
+
+  /**
+   * Check if a mutation group only built or tore down a dialog that is reported on its own
+   * @private
+   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
+   * @param {Element[]} dialogs - Dialogs that opened or closed in this batch
+   * @returns {boolean} - True if the group belongs to a dialog transition
+   */
+  _isDialogTransitionGroup(mutationGroup, dialogs) {
+    if (dialogs.length === 0) {
+      return false;
+    }
+    
+    const target = this._resolveTargetElement(mutationGroup[0].target);
+    
+    return dialogs.some(dialog =>
+      (target && dialog.contains(target)) ||
+      mutationGroup.some(mutation =>
+        mutation.type === 'childList' &&
+        [...mutation.addedNodes, ...mutation.removedNodes].some(node => node.contains(dialog))
+      )
+    );
+  }
+
+  /**
+   * Find validation errors among grouped mutations
+   * @private
+   * @param {Array} groupedChanges - Groups of related mutation records
+   * @returns {Object} - Form error changes, and the groups they account for
+   */
+  _detectFormErrors(groupedChanges) {
+    const changes = [];
+    const groups = new Set();
+    
+    for (const group of groupedChanges) {
+      const error = this._findFormErrorInGroup(group);
+      if (!error) {
+        continue;
+      }
+      
+      groups.add(group);
+      
+      // A field still marked invalid keeps its error when the message goes away
+      if (!error.message && this._isFieldInvalid(error.field)) {
+        if (this.fieldErrors.has(error.field)) {
+          continue;
+        }
+        error.message = this._getInvalidFieldMessage(error.field);
+      }
+      
+      // An error cleared, or the same error rendered again
+      if (!error.message) {
+        this.fieldErrors.delete(error.field);
+        continue;
+      }
+      if (this.fieldErrors.get(error.field) === error.message) {
+        continue;
+      }
+      
+      // Errors rendered in response to a submit are summarised together
+      const form = error.field.form || error.field.closest('form');
+      if (form && this.submittedForms.has(form)) {
+        continue;
+      }
+      
+      this.fieldErrors.set(error.field, error.message);
+      changes.push(this._createFormErrorChange(error.field, error.message, error.source, group));
+    }
+    
+    return { changes, groups };
+  }
+
+  /**
+   * Check if a mutation group shows or clears a validation error
+   * @private
+   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
+   * @returns {Object|null} - Field, message (empty when cleared) and source, or null if unrelated to errors
+   */
+  _findFormErrorInGroup(mutationGroup) {
+    const target = this._resolveTargetElement(mutationGroup[0].target);
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+    
+    // The field's own invalid state or error references changed
+    const fieldAttributes = ['aria-invalid', 'aria-errormessage', 'aria-describedby'];
+    if (this._isFormField(target) &&
+        mutationGroup.some(m => m.type === 'attributes' && fieldAttributes.includes(m.attributeName))) {
+      return {
+        field: target,
+        message: this._getInvalidFieldMessage(target),
+        source: 'aria-invalid'
+      };
+    }
+    
+    // An element a field points to with aria-errormessage or aria-describedby changed
+    const reference = this._findFieldReferencingNode(target);
+    if (reference) {
+      const invalid = this._isFieldInvalid(reference.field);
+      
+      // Descriptions of valid fields are hints, not errors
+      if (reference.attribute === 'aria-describedby' && !invalid && !this._isErrorNode(target)) {
+        return null;
+      }
+      
+      return {
+        field: reference.field,
+        message: invalid || reference.attribute === 'aria-describedby'
+          ? this._getFieldErrorMessage(reference.field)
+          : '',
+        source: reference.attribute === 'aria-errormessage' ? 'errormessage' : 'describedby'
+      };
+    }
+    
+    // An inline error message appeared, changed or went away next to a field
+    for (const mutation of mutationGroup) {
+      if (mutation.type !== 'childList') {
+        continue;
+      }
+      
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && this._isErrorNode(node)) {
+          const field = this._findFieldNear(node);
+          if (field) {
+            return { field, message: this._getErrorNodeText(node), source: 'inline' };
+          }
+        }
+      }
+      
+      for (const node of mutation.removedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && this._isErrorNode(node)) {
+          const field = this._findFieldNear(target, true);
+          if (field) {
+            return { field, message: '', source: 'inline' };
+          }
+        }
+      }
+    }
+    
+    const errorNode = this._getClosestErrorNode(target);
+    if (errorNode) {
+      const field = this._findFieldNear(errorNode);
+      if (field) {
+        return { field, message: this._getErrorNodeText(errorNode), source: 'inline' };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Handle native constraint validation and submit events
+   * @private
+   * @param {Event} event - "invalid" or "submit" event
+   */
+  _handleFormEvent(event) {
+    const target = event.target;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+    
+    if (event.type === 'invalid') {
+      // A submit or checkValidity() fires one event per invalid field; report them together
+      const form = target.form || target.closest('form') || target;
+      let pending = this.pendingInvalidForms.get(form);
+      
+      if (!pending) {
+        pending = { fields: new Set(), timer: null };
+        pending.timer = setTimeout(() => {
+          this.pendingInvalidForms.delete(form);
+          this._reportFormErrors(form, Array.from(pending.fields)
+            .map(field => this._getFieldError(field, field.validationMessage))
+            .filter(error => error.message));
+        }, this.options.formInvalidDelay);
+        this.pendingInvalidForms.set(form, pending);
+      }
+      
+      pending.fields.add(target);
+      return;
+    }
+    
+    if (event.type === 'submit' && target.tagName === 'FORM') {
+      // Give script-validated forms time to render their errors, then summarise them
+      clearTimeout(this.submittedForms.get(target));
+      
+      this.submittedForms.set(target, setTimeout(() => {
+        this.submittedForms.delete(target);
+        this._reportFormErrors(target, this.getFormErrors(target));
+      }, this.options.formSubmitSettleTime));
+    }
+  }
+
+  /**
+   * Get all current validation errors in a form
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Array} - Errors with field, label and message
+   */
+  getFormErrors(form) {
+    if (!form) {
+      return [];
+    }
+    
+    const fields = Array.from(form.querySelectorAll(this._getFormFieldSelector()));
+    
+    return fields
+      .filter(field => {
+        if (this._isFieldInvalid(field)) {
+          return true;
+        }
+        
+        // Without novalidate the browser blocks the submit and shows its own messages
+        return !form.noValidate && field.willValidate && field.validity && !field.validity.valid;
+      })
+      .filter(field => !this._getHiddenReason(field))
+      .map(field => this._getFieldError(field, this._isFieldInvalid(field)
+        ? this._getInvalidFieldMessage(field)
+        : this._getFieldErrorMessage(field)))
+      .filter(error => error.message);
+  }
+
+  /**
+   * Report a form's errors as one error, or as a summary when there are several
+   * @private
+   * @param {Element} form - Form element (or the field itself outside a form)
+   * @param {Array} errors - Errors with field, label and message
+   */
+  _reportFormErrors(form, errors) {
+    if (!this.observer || errors.length === 0) {
+      return;
+    }
+    
+    for (const error of errors) {
+      this.fieldErrors.set(error.field, error.message);
+    }
+    
+    if (errors.length === 1) {
+      this._notifyChangeListeners([
+        this._createFormErrorChange(errors[0].field, errors[0].message, 'constraint', [])
+      ]);
+      return;
+    }
+    
+    const formName = (this._getElementLabel(form) || form.getAttribute('name') || '').trim();
+    const text = errors.map(error => this._formatFieldError(error.label, error.message)).join('; ');
+    
+    this._notifyChangeListeners([{
+      type: 'form-errors',
+      content: {
+        text,
+        html: '',
+        old: '',
+        new: text
+      },
+      element: form,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(form, 'form-errors'),
+      formErrors: {
+        formName,
+        count: errors.length,
+        errors: errors.map(error => ({ label: error.label, message: error.message }))
+      },
+      mutations: []
+    }]);
+  }
+
+  /**
+   * Create a form error change object
+   * @private
+   * @param {Element} field - Field the error belongs to
+   * @param {string} message - Error message
+   * @param {string} source - Where the error was found (aria-invalid, errormessage, describedby, inline, constraint)
+   * @param {MutationRecord[]} mutations - Mutation records that showed the error
+   * @returns {Object} - Change data object
+   */
+  _createFormErrorChange(field, message, source, mutations) {
+    const label = this._getFieldLabel(field);
+    const text = this._formatFieldError(label, message);
+    
+    return {
+      type: 'form-error',
+      content: {
+        text,
+        html: '',
+        old: '',
+        new: text
+      },
+      element: field,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(field, 'form-error'),
+      formError: {
+        label,
+        message,
+        source
+      },
+      mutations
+    };
+  }
+
+  /**
+   * Build an error entry for a field
+   * @private
+   * @param {Element} field - Form field
+   * @param {string} message - Error message
+   * @returns {Object} - Error with field, label and message
+   */
+  _getFieldError(field, message) {
+    return {
+      field,
+      label: this._getFieldLabel(field),
+      message: (message || '').trim().replace(/\s+/g, ' ')
+    };
+  }
+
+  /**
+   * Phrase a field error, e.g. "Email: enter a valid address"
+   * @private
+   * @param {string} label - Field label
+   * @param {string} message - Error message
+   * @returns {string} - Field error text
+   */
+  _formatFieldError(label, message) {
+    if (!label || message.toLowerCase().startsWith(label.toLowerCase())) {
+      return message;
+    }
+    
+    return `${label}: ${message.charAt(0).toLowerCase()}${message.slice(1)}`;
+  }
+
+  /**
+   * Get the label of a form field
+   * @private
+   * @param {Element} field - Form field
+   * @returns {string} - Field label
+   */
+  _getFieldLabel(field) {
+    let label = '';
+    
+    // Fields nested inside their label, leaving out the field and any error shown inside it
+    if (!field.hasAttribute('aria-label') && !field.hasAttribute('aria-labelledby')) {
+      const wrappingLabel = field.closest('label');
+      if (wrappingLabel) {
+        const labelCopy = wrappingLabel.cloneNode(true);
+        labelCopy.querySelectorAll('*').forEach(element => {
+          if (this._isFormField(element) || this._isErrorNode(element)) {
+            element.remove();
+          }
+        });
+        label = labelCopy.textContent;
+      }
+    }
+    
+    if (!label.trim()) {
+      label = this._getElementLabel(field);
+    }
+    
+    label = (label || field.getAttribute('placeholder') || field.getAttribute('name') || '')
+      .trim()
+      .replace(/\s+/g, ' ');
+    
+    // Required markers are not part of the name
+    return label.replace(/\s*[*:]+$/, '');
+  }
+
+  /**
+   * Get the error message for a field
+   * @private
+   * @param {Element} field - Form field
+   * @returns {string} - Error message, or empty string if none is found
+   */
+  _getFieldErrorMessage(field) {
+    const scope = this._getRootScope(field);
+    const getText = ids => ids
+      .map(id => scope.getElementById(id))
+      .filter(element => element && !this._getHiddenReason(element))
+      .map(element => element.textContent)
+      .join(' ')
+      .trim()
+      .replace(/\s+/g, ' ');
+    
+    const errorMessageIds = (field.getAttribute('aria-errormessage') || '').split(/\s+/).filter(id => id);
+    const errorMessage = getText(errorMessageIds);
+    if (errorMessage) {
+      return errorMessage;
+    }
+    
+    // Among described-by targets, prefer the ones that look like errors over hints
+    const describedByIds = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id);
+    const errorIds = describedByIds.filter(id => {
+      const element = scope.getElementById(id);
+      return element && this._isErrorNode(element);
+    });
+    const description = getText(errorIds.length > 0 ? errorIds : describedByIds);
+    if (description) {
+      return description;
+    }
+    
+    // Error messages rendered next to the field without being referenced
+    const container = field.parentElement;
+    if (container) {
+      for (const element of container.querySelectorAll('*')) {
+        if (this._isErrorNode(element) && !this._getHiddenReason(element) &&
+            this._findFieldNear(element) === field) {
+          const text = this._getErrorNodeText(element);
+          if (text) {
+            return text;
+          }
+        }
+      }
+    }
+    
+    return field.validationMessage || '';
+  }
+
+  /**
+   * Get the error message of a field marked invalid for assistive technology
+   * @private
+   * @param {Element} field - Form field
+   * @returns {string} - Error message, a generic one if the page gives none, or empty string if the field is valid
+   */
+  _getInvalidFieldMessage(field) {
+    if (!this._isFieldInvalid(field)) {
+      return '';
+    }
+    
+    return this._getFieldErrorMessage(field) || 'Invalid entry';
+  }
+
+  /**
+   * Check if a field is marked invalid for assistive technology
+   * @private
+   * @param {Element} field - Form field
+   * @returns {boolean} - True if aria-invalid is set
+   */
+  _isFieldInvalid(field) {
+    const invalid = field.getAttribute('aria-invalid');
+    return invalid !== null && invalid !== 'false' && invalid !== '';
+  }
+
+  /**
+   * Get the selector for fields that can have validation errors
+   * @private
+   * @returns {string} - CSS selector
+   */
+  _getFormFieldSelector() {
+    return 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]), ' +
+           'select, textarea, [role="textbox"], [role="combobox"], [role="checkbox"], [role="radiogroup"]';
+  }
+
+  /**
+   * Check if an element is a field that can have validation errors
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element is a form field
+   */
+  _isFormField(element) {
+    return element.matches(this._getFormFieldSelector());
+  }
+
+  /**
+   * Check if an element looks like an error message
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element is an error message
+   */
+  _isErrorNode(element) {
+    // Wrappers such as "has-error" contain the field rather than the message
+    if (this._isFormField(element) || element.querySelector(this._getFormFieldSelector())) {
+      return false;
+    }
+    
+    if (element.getAttribute('role') === 'alert') {
+      return true;
+    }
+    
+    const className = typeof element.className === 'string' ? element.className : '';
+    return /error|invalid/i.test(`${className} ${element.id}`);
+  }
+
+  /**
+   * Find the error message containing a node
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Element|null} - Error message element
+   */
+  _getClosestErrorNode(element) {
+    let current = element;
+    for (let depth = 0; current && depth < 3; depth++) {
+      if (current.nodeType === Node.ELEMENT_NODE && this._isErrorNode(current)) {
+        return current;
+      }
+      if (current.tagName === 'FORM') {
+        break;
+      }
+      current = current.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Get the visible text of an error message
+   * @private
+   * @param {Element} element - Error message element
+   * @returns {string} - Error text, or empty string if it is hidden or empty
+   */
+  _getErrorNodeText(element) {
+    if (!element.isConnected || this._getHiddenReason(element)) {
+      return '';
+    }
+    return (element.textContent || '').trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Find the field an element (usually an error message) sits next to
+   * @private
+   * @param {Element} element - Error message, or the container it was removed from
+   * @param {boolean} [isContainer] - Whether the element is the container to search from
+   * @returns {Element|null} - Nearest preceding field
+   */
+  _findFieldNear(element, isContainer = false) {
+    let container = isContainer ? element : element.parentElement;
+    
+    // A page-level message, such as an alert at the end of the body, isn't about one field
+    for (let depth = 0; container && depth < 3 && !this._isPageRoot(container); depth++) {
+      const fields = Array.from(container.querySelectorAll(this._getFormFieldSelector()));
+      
+      if (fields.length === 1) {
+        return fields[0];
+      }
+      
+      if (fields.length > 1) {
+        if (isContainer) {
+          return null; // Can't tell which field a removed message belonged to
+        }
+        
+        // Messages follow the field they describe
+        const preceding = fields.filter(field =>
+          field.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING
+        );
+        return preceding.length > 0 ? preceding[preceding.length - 1] : null;
+      }
+      
+      if (container.tagName === 'FORM') {
+        break;
+      }
+      container = container.parentElement;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find a field that references an element (or its ancestor) as its error message or description
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Object|null} - Field and the referencing attribute
+   */
+  _findFieldReferencingNode(element) {
+    const scope = this._getRootScope(element);
+    let current = element;
+    
+    for (let depth = 0; current && depth < 3; depth++) {
+      if (current.id) {
+        const id = current.id.replace(/["\\]/g, '\\$&');
+        
+        for (const attribute of ['aria-errormessage', 'aria-describedby']) {
+          const field = scope.querySelector(`[${attribute}~="${id}"]`);
+          if (field) {
+            return { field, attribute };
+          }
+        }
+      }
+      
+      if (current.tagName === 'FORM') {
+        break;
+      }
+      current = current.parentElement;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Track loading indicators in a batch of mutations
+   * @private
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   * @returns {Array} - Progress changes to report with this batch
+   */
+  _detectLoadingChanges(mutations) {
+    const changes = [];
+    const candidates = new Set();
+    const inspectedTargets = new Set();
+    const stateAttributes = ['aria-busy', 'role', 'class', 'style', 'hidden', 'aria-hidden'];
+    const valueAttributes = ['aria-valuenow', 'aria-valuemin', 'aria-valuemax', 'value', 'max'];
+    
+    for (const mutation of mutations) {
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => this._collectLoadingCandidates(node, candidates));
+      } else if (mutation.type === 'attributes') {
+        if (stateAttributes.includes(mutation.attributeName) && !inspectedTargets.has(mutation.target)) {
+          inspectedTargets.add(mutation.target);
+          this._collectLoadingCandidates(mutation.target, candidates);
+        }
+        
+        if (valueAttributes.includes(mutation.attributeName)) {
+          const progressChange = this._updateLoadingProgress(mutation.target);
+          if (progressChange) {
+            changes.push(progressChange);
+          }
+        }
+      }
+    }
+    
+    // Start tracking new busy regions and visible indicators
+    for (const candidate of candidates) {
+      if (candidate.getAttribute('aria-busy') === 'true') {
+        this._startLoading(candidate, 'busy', candidate);
+      } else if (this._isLoadingIndicator(candidate) && !this._getHiddenReason(candidate)) {
+        const kind = this._getProgressPercent(candidate) !== null ? 'progress' : 'spinner';
+        this._startLoading(this._getLoadingRegion(candidate), kind, candidate);
+      }
+    }
+    
+    // Finish regions whose busy state cleared or whose indicator went away
+    for (const [region, entry] of this.loadingRegions) {
+      // A page-level indicator stands for itself, so removing it finishes the load
+      if (!region.isConnected && region === entry.indicator && entry.kind !== 'busy') {
+        if (entry.state === 'busy') {
+          this._finishLoading(region, entry);
+        }
+        continue;
+      }
+      
+      if (!region.isConnected) {
+        clearTimeout(entry.timer);
+        this.loadingRegions.delete(region);
+        continue;
+      }
+      
+      if (entry.state === 'busy' && !this._isStillLoading(entry)) {
+        this._finishLoading(region, entry);
+      }
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Add a node and its descendants that may indicate loading to a candidate set
+   * @private
+   * @param {Node} node - Added or changed node
+   * @param {Set<Element>} candidates - Candidate elements
+   */
+  _collectLoadingCandidates(node, candidates) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+    
+    candidates.add(node);
+    node.querySelectorAll(
+      '[aria-busy="true"], [role="progressbar"], progress, ' +
+      '[class*="spinner" i], [class*="loader" i], [class*="loading" i]'
+    ).forEach(element => candidates.add(element));
+  }
+
+  /**
+   * Check if an element is a spinner or progress indicator
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True if the element indicates loading
+   */
+  _isLoadingIndicator(element) {
+    if (element.getAttribute('role') === 'progressbar' || element.tagName === 'PROGRESS') {
+      return true;
+    }
+    
+    // Match "spinner", "c-loader", "loading-indicator" but not "lazy-loaded" or "loading-complete"
+    return Array.from(element.classList).some(className =>
+      /^(?:[a-z0-9]+[-_])?(?:spinner|loader|loading)(?:[-_](?:indicator|icon|spinner|overlay))?$/i.test(className)
+    );
+  }
+
+  /**
+   * Get the region a loading indicator stands for
+   * @private
+   * @param {Element} indicator - Spinner or progress indicator
+   * @returns {Element} - Region that is loading, never the whole page
+   */
+  _getLoadingRegion(indicator) {
+    const parent = this._getComposedParent(indicator);
+    let current = parent;
+    
+    // Spinners usually sit inside, or next to, the container they fill
+    for (let depth = 0; depth < 3 && current && current.nodeType === Node.ELEMENT_NODE; depth++) {
+      if (this._isPageRoot(current)) {
+        break;
+      }
+      if (current.matches(
+        '[aria-busy], [aria-live], [role="region"], [role="feed"], [role="list"], [role="grid"], ' +
+        '[role="tabpanel"], section, form, table, ul, ol'
+      )) {
+        return current;
+      }
+      current = this._getComposedParent(current);
+    }
+    
+    // A page-level spinner would otherwise hide every change on the page while it shows
+    return parent && parent.nodeType === Node.ELEMENT_NODE && !this._isPageRoot(parent) ? parent : indicator;
+  }
+
+  /**
+   * Check if an element is the document's body or root element
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {boolean} - True for body and html
+   */
+  _isPageRoot(element) {
+    return element === document.body || element === document.documentElement;
+  }
+
+  /**
+   * Start tracking a loading region
+   * @private
+   * @param {Element} region - Region that is loading
+   * @param {string} kind - 'busy', 'spinner' or 'progress'
+   * @param {Element} indicator - Element indicating the loading state
+   */
+  _startLoading(region, kind, indicator) {
+    const existing = this.loadingRegions.get(region);
+    
+    if (existing) {
+      // Loading resumed before completion was announced
+      if (existing.state === 'settling') {
+        clearTimeout(existing.timer);
+        existing.state = 'busy';
+        existing.kind = kind;
+        existing.indicator = indicator;
+      }
+      return;
+    }
+    
+    const entry = {
+      kind,
+      indicator,
+      state: 'busy',
+      label: this._getLoadingLabel(region, indicator),
+      startTime: Date.now(),
+      announced: false,
+      lastStep: 0,
+      suppressedMutations: 0,
+      timer: null
+    };
+    
+    // Announce once, and only for loads that take long enough to notice
+    entry.timer = setTimeout(() => {
+      if (!this.observer || entry.state !== 'busy' || entry.announced || !this.loadingRegions.has(region)) {
+        return;
+      }
+      
+      entry.announced = true;
+      this._notifyChangeListeners([this._createLoadingChange(region, entry, 'started')]);
+    }, this.options.loadingStartDelay);
+    
+    this.loadingRegions.set(region, entry);
+  }
+
+  /**
+   * Check if a tracked region is still loading
+   * @private
+   * @param {Object} entry - Loading region entry
+   * @returns {boolean} - True if the region is still loading
+   */
+  _isStillLoading(entry) {
+    const indicator = entry.indicator;
+    
+    if (entry.kind === 'busy') {
+      return indicator.getAttribute('aria-busy') === 'true';
+    }
+    
+    if (!indicator.isConnected || this._getHiddenReason(indicator) || !this._isLoadingIndicator(indicator)) {
+      return false;
+    }
+    
+    if (entry.kind === 'progress') {
+      const percent = this._getProgressPercent(indicator);
+      return percent === null || percent < 100;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Report determinate progress at configured percentage steps
+   * @private
+   * @param {Element} indicator - Progress indicator whose value changed
+   * @returns {Object|null} - Progress change, or null if no new step was reached
+   */
+  _updateLoadingProgress(indicator) {
+    const percent = this._getProgressPercent(indicator);
+    if (percent === null) {
+      return null;
+    }
+    
+    let region = null;
+    for (const [trackedRegion, entry] of this.loadingRegions) {
+      if (entry.indicator === indicator) {
+        region = trackedRegion;
+        break;
+      }
+    }
+    
+    if (!region) {
+      region = this._getLoadingRegion(indicator);
+      this._startLoading(region, 'progress', indicator);
+    }
+    
+    const entry = this.loadingRegions.get(region);
+    const step = Math.floor(percent / this.options.progressStep) * this.options.progressStep;
+    
+    // Completion is announced separately
+    if (entry.state !== 'busy' || step <= entry.lastStep || percent >= 100) {
+      return null;
+    }
+    
+    entry.lastStep = step;
+    entry.announced = true;
+    
+    const change = this._createLoadingChange(region, entry, 'progress');
+    change.loading.progress = step;
+    return change;
+  }
+
+  /**
+   * Get the completion percentage of a progress indicator
+   * @private
+   * @param {Element} indicator - Progress indicator
+   * @returns {number|null} - Percentage, or null if the progress is indeterminate
+   */
+  _getProgressPercent(indicator) {
+    let value;
+    let min = 0;
+    let max = 100;
+    
+    if (indicator.tagName === 'PROGRESS') {
+      if (!indicator.hasAttribute('value')) {
+        return null;
+      }
+      value = indicator.value;
+      max = indicator.max || 1;
+    } else {
+      if (!indicator.hasAttribute('aria-valuenow')) {
+        return null;
+      }
+      value = parseFloat(indicator.getAttribute('aria-valuenow'));
+      min = parseFloat(indicator.getAttribute('aria-valuemin')) || 0;
+      max = parseFloat(indicator.getAttribute('aria-valuemax'));
+      max = isNaN(max) ? 100 : max;
+    }
+    
+    if (isNaN(value) || max <= min) {
+      return null;
+    }
+    
+    return Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100));
+  }
+
+  /**
+   * Mark a region as done loading, and announce it once the results have rendered
+   * @private
+   * @param {Element} region - Region that finished loading
+   * @param {Object} entry - Loading region entry
+   */
+  _finishLoading(region, entry) {
+    clearTimeout(entry.timer);
+    entry.state = 'settling';
+    
+    entry.timer = setTimeout(() => {
+      this.loadingRegions.delete(region);
+      if (!this.observer || (!region.isConnected && region !== entry.indicator)) {
+        return;
+      }
+      
+      // A brief unlabelled spinner that loaded nothing countable isn't worth announcing
+      const change = this._createLoadingChange(region, entry, 'completed');
+      if (!entry.announced && !entry.label && change.loading.itemCount === null) {
+        return;
+      }
+      
+      this._notifyChangeListeners([change]);
+    }, this.options.loadingSettleTime);
+  }
+
+  /**
+   * Check if a mutation group happened inside a region that is loading
+   * @private
+   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
+   * @returns {boolean} - True if the group is suppressed
+   */
+  _isInLoadingRegion(mutationGroup) {
+    if (this.loadingRegions.size === 0) {
+      return false;
+    }
+    
+    const target = this._resolveTargetElement(mutationGroup[0].target);
+    if (!target) {
+      return false;
+    }
+    
+    for (const [region, entry] of this.loadingRegions) {
+      // aria-busy on the body still gets its lifecycle announced, but doesn't silence the page
+      if (this._isPageRoot(region)) {
+        continue;
+      }
+      
+      // Inserting or removing a page-level indicator is part of its lifecycle too
+      const movesRegion = mutationGroup.every(mutation =>
+        mutation.type === 'childList' &&
+        [...mutation.addedNodes, ...mutation.removedNodes].every(node => node === region)
+      );
+      
+      if (movesRegion || region.contains(target)) {
+        entry.suppressedMutations += mutationGroup.length;
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Get a label for a loading region, e.g. "Results"
+   * @private
+   * @param {Element} region - Region that is loading
+   * @param {Element} indicator - Element indicating the loading state
+   * @returns {string} - Label, or empty string if none is found
+   */
+  _getLoadingLabel(region, indicator) {
+    const clean = text => (text || '').trim().replace(/\s+/g, ' ');
+    
+    // Progress bars are usually labelled with what is progressing ("Uploading photo")
+    let label = indicator !== region && indicator.hasAttribute('aria-valuenow')
+      ? clean(this._getElementLabel(indicator))
+      : '';
+    
+    if (!label) {
+      label = clean(this._getElementLabel(region));
+    }
+    
+    if (!label) {
+      const heading = region.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+      label = heading ? clean(heading.textContent) : '';
+    }
+    
+    // Indicators are often labelled "Loading results..."
+    if (!label && (indicator !== region || this._isLoadingIndicator(indicator))) {
+      label = clean(this._getElementLabel(indicator) || indicator.textContent)
+        .replace(/^(loading|fetching)\s*/i, '')
+        .replace(/(\.{3}|\u2026)$/, '')
+        .trim();
+    }
+    
+    return label.length > 60 ? '' : label;
+  }
+
+  /**
+   * Count the items a region contains after loading
+   * @private
+   * @param {Element} region - Region that finished loading
+   * @returns {number|null} - Item count, or null if the region has no item structure
+   */
+  _countLoadedItems(region) {
+    const itemSelectors = [
+      'li, [role="listitem"]',
+      'article, [role="article"]',
+      'tbody tr, [role="row"]',
+      '[role="option"]'
+    ];
+    
+    for (const selector of itemSelectors) {
+      const items = Array.from(region.querySelectorAll(selector))
+        .filter(item => !this._getHiddenReason(item));
+      if (items.length > 0) {
+        return items.length;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Create a loading change object
+   * @private
+   * @param {Element} region - Region that is loading
+   * @param {Object} entry - Loading region entry
+   * @param {string} state - 'started', 'progress' or 'completed'
+   * @returns {Object} - Change data object
+   */
+  _createLoadingChange(region, entry, state) {
+    return {
+      type: 'loading',
+      content: {
+        text: entry.label,
+        html: '',
+        old: '',
+        new: entry.label
+      },
+      element: region,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(region, 'loading'),
+      loading: {
+        state,
+        kind: entry.kind,
+        label: entry.label,
+        progress: null,
+        itemCount: state === 'completed' ? this._countLoadedItems(region) : null,
+        duration: Date.now() - entry.startTime,
+        suppressedMutations: entry.suppressedMutations
+      },
+      mutations: []
+    };
+  }
+
+  /**
+   * Register a callback for significant content changes
+   * @param {Function} callback - Function to call when significant changes are detected
+   */
+  onSignificantChange(callback) {
+    if (typeof callback === 'function') {
+      this.changeListeners.push(callback);
+    }
+  }
+
+  /**
+   * Get how the detection pipeline is coping with the page's mutation rate
+   * @returns {Object} - Level ('normal', 'sampling' or 'overloaded'), mutation rate per second,
+   *                     queued groups, sampling stride and groups skipped so far
+   */
+  getBackpressureState() {
+    return { ...this.backpressure };
+  }
+
+  /**
+   * Register a callback for changes of the backpressure level
+   * @param {Function} callback - Function called with the new backpressure state
+   */
+  onBackpressureChange(callback) {
+    if (typeof callback === 'function') {
+      this.backpressureListeners.push(callback);
+    }
+  }
+
+  /**
+   * Turn working out where each change is on the page on or off
+   * @param {boolean} enabled - Whether changes need a location, e.g. because summaries are prefixed with it
+   */
+  setDescribeLocation(enabled) {
+    this.options.describeLocation = Boolean(enabled);
+  }
+
+  /**
+   * Handle mutation records from the observer
+   * @private
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   */
+  _handleMutations(mutations) {
+    // Record everything the observer delivers, before any filtering
+    if (this.isRecording()) {
+      this.recorder.recordMutations(mutations);
+    }
+    
+    // Start observing shadow roots of newly added components
+    if (this.options.observeShadowRoots) {
+      this._discoverShadowRootsInMutations(mutations);
+    }
+    
+    // Drop the echo of the user's own typing; side effects outside the field are still reported
+    if (this.userEdit) {
+      mutations = mutations.filter(mutation => !this._isTypingEcho(mutation));
+      if (mutations.length === 0) {
+        return;
+      }
+    }
+    
+    if (this.options.detectNavigation) {
+      // Catches route changes made where the history API hooks can't see them
+      this._handleLocationChange('mutation');
+      
+      // Swallow the mutation storm of a view swap, which is reported as one navigation,
+      // but not alerts, live region messages or form errors that arrive during it
+      if (this.navigationState) {
+        const keptMutations = mutations.filter(mutation => this._isKeptDuringNavigation(mutation));
+        this.navigationState.lastMutationTime = Date.now();
+        this.navigationState.suppressedMutations += mutations.length - keptMutations.length;
+        
+        if (keptMutations.length === 0) {
+          return;
+        }
+        mutations = keptMutations;
+      }
+    }
+    
+    // The mutation rate decides how much of the page's activity gets analysed
+    this._trackMutationRate(mutations.length);
+    
+    // Throttle processing for high-frequency updates
+    const now = Date.now();
+    if (now - this.lastProcessedTime < this.options.throttleTime) {
+      // Add to pending changes and schedule processing
+      this.pendingChanges = this.pendingChanges.concat(mutations);
+      
+      if (!this.isProcessing) {
+        setTimeout(() => this._processPendingChanges(), this.options.throttleTime);
+        this.isProcessing = true;
+      }
+      return;
+    }
+    
+    this.lastProcessedTime = now;
+    this._processMutations(mutations);
+  }
+
+  /**
+   * Remember which field or editor the user is typing into
+   * @private
+   * @param {Event} event - Keyboard, input, clipboard or composition event
+   */
+  _handleUserInput(event) {
+    // Events from inside shadow roots are retargeted to the host by the time they reach the document
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    const editingHost = this._getEditingHost(target);
+    if (!editingHost) {
+      return;
+    }
+    
+    // IME composition lasts from compositionstart to compositionend, however long the pauses
+    let composing = this.userEdit !== null && this.userEdit.composing && this.userEdit.element === editingHost;
+    if (event.type === 'compositionstart' || event.type === 'compositionupdate') {
+      composing = true;
+    } else if (event.type === 'compositionend') {
+      composing = false;
+    }
+    
+    this.userEdit = {
+      element: editingHost,
+      time: Date.now(),
+      composing
+    };
+    
+    // Replays send the same events, so the echo is dropped there too
+    if (this.isRecording()) {
+      this.recorder.recordUserInput(editingHost, event.type);
+    }
+  }
+
+  /**
+   * Get the text field or contenteditable root an event target belongs to
+   * @private
+   * @param {Node} node - Event target
+   * @returns {Element|null} - Input, textarea or editing host, or null if the target isn't editable
+   */
+  _getEditingHost(node) {
+    const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    if (!element) {
+      return null;
+    }
+    
+    if (element.localName === 'textarea' || element.localName === 'input') {
+      return element;
+    }
+    
+    if (!element.isContentEditable) {
+      return null;
+    }
+    
+    // The editing host is the outermost editable ancestor
+    let host = element;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+
+  /**
+   * Check if a mutation is the user's own typing showing up in the field they are editing
+   * @private
+   * @param {MutationRecord} mutation - Mutation record
+   * @returns {boolean} - True if the mutation should be ignored
+   */
+  _isTypingEcho(mutation) {
+    const edit = this.userEdit;
+    
+    // Only changes right after an input event, or during composition, can be its echo
+    if (!edit.composing && Date.now() - edit.time > this.options.typingEchoWindow) {
+      return false;
+    }
+    
+    // Autocomplete lists, validation messages and character counters live outside the field
+    const target = mutation.target;
+    if (target !== edit.element && !edit.element.contains(target)) {
+      return false;
+    }
+    
+    // State the page sets on the field itself (aria-invalid, aria-expanded) is a side effect too
+    if (mutation.type === 'attributes' && mutation.attributeName.startsWith('aria-')) {
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Process pending mutation records
+   * @private
+   */
+  _processPendingChanges() {
+    if (this.pendingChanges.length > 0) {
+      this._processMutations(this.pendingChanges);
+      this.pendingChanges = [];
+    }
+    this.isProcessing = false;
   }
 
   /**
    * Process mutation records to identify significant changes
    * @private
-   * @param {MutationRecord[]} mutations - Array of mutation records
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   */
+  _processMutations(mutations) {
+    const job = this._createAnalysisJob(mutations);
+    
+    if (!this.options.idleProcessing) {
+      while (job.phase !== 'done') {
+        this._advanceAnalysisJob(job);
+      }
+      this._finishAnalysisJob(job);
+      return;
+    }
+    
+    // Detection and analysis read layout, so they run in idle time, in chunks, so the page stays responsive
+    this.analysisQueue.push(job);
+    this._scheduleAnalysis();
+  }
+
+  /**
+   * Create the job that detects and analyses the changes in a batch of mutations
+   * @private
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   * @returns {Object} - Analysis job, starting at the dialog detection phase
+   */
+  _createAnalysisJob(mutations) {
+    return {
+      phase: this.analysisPhases[0],
+      mutations,
+      mutationIndex: 0, // next mutation of the current detection or grouping phase
+      dialogChanges: [],
+      dialogs: [],
+      loadingChanges: [],
+      addedNodes: null,
+      groupMap: new Map(),
+      groups: null,
+      groupIndex: 0, // next group to classify
+      formErrorChanges: [],
+      feedChanges: [],
+      remainingGroups: [],
+      analysisGroups: null,
+      results: []
+    };
+  }
+
+  /**
+   * Do the next small step of an analysis job, so the idle budget can be checked between steps
+   * @private
+   * @param {Object} job - Analysis job from _createAnalysisJob
+   */
+  _advanceAnalysisJob(job) {
+    const chunkSize = this.options.detectionChunkSize;
+    
+    switch (job.phase) {
+      case 'dialogs':
+      case 'loading': {
+        const enabled = job.phase === 'dialogs' ? this.options.detectDialogs : this.options.detectLoading;
+        if (!enabled || job.mutationIndex >= job.mutations.length) {
+          this._nextAnalysisPhase(job);
+          return;
+        }
+        
+        const chunk = job.mutations.slice(job.mutationIndex, job.mutationIndex + chunkSize);
+        job.mutationIndex += chunk.length;
+        
+        if (job.phase === 'dialogs') {
+          // Dialogs opening or closing are reported as one dialog change each
+          const dialogTransitions = this._detectDialogChanges(chunk);
+          job.dialogChanges.push(...dialogTransitions.changes);
+          job.dialogs.push(...dialogTransitions.dialogs);
+        } else {
+          // Loading lifecycles are reported per region
+          job.loadingChanges.push(...this._detectLoadingChanges(chunk));
+        }
+        return;
+      }
+      
+      case 'grouping': {
+        if (!job.addedNodes) {
+          job.addedNodes = this._getAddedNodes(job.mutations);
+          return;
+        }
+        if (job.mutationIndex >= job.mutations.length) {
+          job.groups = Array.from(job.groupMap.values());
+          job.groupMap = null;
+          this._nextAnalysisPhase(job);
+          return;
+        }
+        
+        const chunk = job.mutations.slice(job.mutationIndex, job.mutationIndex + chunkSize);
+        job.mutationIndex += chunk.length;
+        this._addToMutationGroups(chunk, job.addedNodes, job.groupMap);
+        return;
+      }
+      
+      case 'groups':
+        if (job.groupIndex >= job.groups.length) {
+          this._nextAnalysisPhase(job);
+          return;
+        }
+        this._classifyMutationGroup(job, job.groups[job.groupIndex++]);
+        return;
+      
+      case 'sampling':
+        // Analysis reads layout, so under load only a sample of the groups is analysed
+        if (this.options.idleProcessing) {
+          this._updateBackpressure();
+          job.analysisGroups = this._sampleGroups(job.remainingGroups);
+        } else {
+          job.analysisGroups = job.remainingGroups;
+        }
+        this._nextAnalysisPhase(job);
+        return;
+      
+      case 'analysis':
+        if (job.results.length >= job.analysisGroups.length) {
+          this._nextAnalysisPhase(job);
+          return;
+        }
+        job.results.push(this._analyzeChangeGroup(job.analysisGroups[job.results.length]));
+        return;
+    }
+  }
+
+  /**
+   * Move an analysis job on to its next phase
+   * @private
+   * @param {Object} job - Analysis job
+   */
+  _nextAnalysisPhase(job) {
+    job.phase = this.analysisPhases[this.analysisPhases.indexOf(job.phase) + 1];
+    job.mutationIndex = 0;
+  }
+
+  /**
+   * Hand a mutation group to the specialised detector that reports it, or keep it for analysis
+   * @private
+   * @param {Object} job - Analysis job
+   * @param {MutationRecord[]} group - Group of related mutation records
+   */
+  _classifyMutationGroup(job, group) {
+    // Groups that built or tore down a dialog are covered by the dialog change
+    if (this._isDialogTransitionGroup(group, job.dialogs)) {
+      return;
+    }
+    
+    // Validation errors are reported against their field instead of as generic content,
+    // and are found before the loading filter so a spinner can't hide them
+    if (this.options.detectFormErrors) {
+      const formErrors = this._detectFormErrors([group]);
+      if (formErrors.groups.size > 0) {
+        job.formErrorChanges.push(...formErrors.changes);
+        return;
+      }
+    }
+    
+    // Leave out groups inside regions that are still loading, except alerts
+    if (!this._isLiveRegionGroup(group, ['assertive']) && this._isInLoadingRegion(group)) {
+      return;
+    }
+    
+    // Runs of similar items added to a feed or list are reported as one change
+    if (this.options.detectFeeds) {
+      const feedInsertions = this._detectFeedInsertions([group]);
+      if (feedInsertions.groups.size > 0) {
+        job.feedChanges.push(...feedInsertions.changes);
+        return;
+      }
+    }
+    
+    job.remainingGroups.push(group);
+  }
+
+  /**
+   * Report the changes found by a finished analysis job
+   * @private
+   * @param {Object} job - Analysis job in the 'done' phase
+   */
+  _finishAnalysisJob(job) {
+    const leadingChanges = job.dialogChanges.concat(job.loadingChanges, job.formErrorChanges, job.feedChanges);
+    this._finishAnalysis(leadingChanges, job.results);
+  }
+
+  /**
+   * Count the mutation groups a queued job still has to get through
+   * @private
+   * @param {Object} job - Analysis job
+   * @returns {number} - Groups left to analyse
+   */
+  _getPendingGroupCount(job) {
+    if (job.analysisGroups) {
+      return job.analysisGroups.length - job.results.length;
+    }
+    
+    // Before grouping, every mutation may still become a group of its own
+    return job.groups
+      ? job.groups.length - job.groupIndex + job.remainingGroups.length
+      : job.mutations.length;
+  }
+
+  /**
+   * Filter analysed changes and notify listeners of the significant ones
+   * @private
+   * @param {Array} leadingChanges - Changes already reported by the specialised detectors
+   * @param {Array} analyzedChanges - Results of _analyzeChangeGroup, null for insignificant groups
+   */
+  _finishAnalysis(leadingChanges, analyzedChanges) {
+    const significantChanges = leadingChanges.concat(analyzedChanges
+      .filter(change => change !== null)
+      .filter(change => !this._isChurnChange(change)))
+      .reduce((changes, change) => this._mergeTableRowChange(changes, change), []);
+    
+    // Notify listeners of significant changes
+    if (significantChanges.length > 0) {
+      this._notifyChangeListeners(significantChanges);
+    }
+  }
+
+  /**
+   * Schedule the next chunk of queued analysis for when the page is idle
+   * @private
+   */
+  _scheduleAnalysis() {
+    if (this.analysisHandle) {
+      return;
+    }
+    
+    const run = deadline => this._runAnalysisChunk(deadline);
+    
+    if (typeof requestIdleCallback === 'function') {
+      this.analysisHandle = { idle: requestIdleCallback(run, { timeout: this.options.idleTimeout }) };
+    } else {
+      this.analysisHandle = { timer: setTimeout(() => run(null), 0) };
+    }
+  }
+
+  /**
+   * Cancel scheduled analysis
+   * @private
+   */
+  _cancelAnalysis() {
+    if (!this.analysisHandle) {
+      return;
+    }
+    
+    if (this.analysisHandle.idle !== undefined) {
+      cancelIdleCallback(this.analysisHandle.idle);
+    } else {
+      clearTimeout(this.analysisHandle.timer);
+    }
+    this.analysisHandle = null;
+  }
+
+  /**
+   * Work through queued analysis jobs until the idle budget is used up
+   * @private
+   * @param {IdleDeadline|null} deadline - Idle deadline, or null when requestIdleCallback is unavailable
+   */
+  _runAnalysisChunk(deadline) {
+    this.analysisHandle = null;
+    
+    const start = performance.now();
+    const budget = deadline && !deadline.didTimeout
+      ? Math.min(deadline.timeRemaining(), this.options.idleBudget)
+      : this.options.idleBudget;
+    let steps = 0;
+    
+    while (this.analysisQueue.length > 0) {
+      const job = this.analysisQueue[0];
+      
+      // Batches are reported in the order they were observed, once fully analysed
+      if (job.phase === 'done') {
+        this.analysisQueue.shift();
+        this._finishAnalysisJob(job);
+        continue;
+      }
+      
+      // Always make some progress, even if the page never leaves any idle time
+      if (steps > 0 && performance.now() - start >= budget) {
+        break;
+      }
+      
+      this._advanceAnalysisJob(job);
+      steps++;
+    }
+    
+    this._updateBackpressure();
+    
+    if (this.analysisQueue.length > 0) {
+      this._scheduleAnalysis();
+    }
+  }
+
+  /**
+   * Count delivered mutations for the rate over the last second
+   * @private
+   * @param {number} count - Number of mutation records delivered
+   */
+  _trackMutationRate(count) {
+    const now = Date.now();
+    this.mutationTimes.push({ time: now, count });
+    
+    while (this.mutationTimes.length > 0 && now - this.mutationTimes[0].time > 1000) {
+      this.mutationTimes.shift();
+    }
+  }
+
+  /**
+   * Get the number of mutations delivered in the last second
+   * @private
+   * @returns {number} - Mutations per second
+   */
+  _getMutationRate() {
+    const now = Date.now();
+    return this.mutationTimes
+      .filter(entry => now - entry.time <= 1000)
+      .reduce((total, entry) => total + entry.count, 0);
+  }
+
+  /**
+   * Recompute the backpressure level and notify listeners when it changes
+   * @private
+   */
+  _updateBackpressure() {
+    const rate = this._getMutationRate();
+    const pendingGroups = this.analysisQueue
+      .reduce((total, job) => total + this._getPendingGroupCount(job), 0);
+    
+    // Levels are left only once the rate drops well below the threshold, so they don't flap
+    const current = this.backpressure.level;
+    const overloadRate = this.options.overloadRate * (current === 'overloaded' ? 0.8 : 1);
+    const samplingRate = this.options.samplingRate * (current === 'normal' ? 1 : 0.8);
+    
+    let level = 'normal';
+    if (rate >= overloadRate || pendingGroups >= this.options.maxPendingGroups) {
+      level = 'overloaded';
+    } else if (rate >= samplingRate || pendingGroups >= this.options.maxPendingGroups / 2) {
+      level = 'sampling';
+    }
+    
+    this.backpressure.mutationRate = rate;
+    this.backpressure.pendingGroups = pendingGroups;
+    this.backpressure.sampleStride = level === 'sampling'
+      ? Math.max(2, Math.ceil(rate / this.options.samplingRate))
+      : 1;
+    
+    if (level !== current) {
+      this.backpressure.level = level;
+      this._notifyBackpressureListeners();
+    }
+    
+    // The rate only falls as time passes, so keep checking until the page calms down
+    if (level !== 'normal' && !this.backpressureTimer) {
+      this.backpressureTimer = setTimeout(() => {
+        this.backpressureTimer = null;
+        this._updateBackpressure();
+      }, 1000);
+    }
+  }
+
+  /**
+   * Notify backpressure listeners of the current state
+   * @private
+   */
+  _notifyBackpressureListeners() {
+    const state = this.getBackpressureState();
+    
+    for (const listener of this.backpressureListeners) {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in backpressure listener:', error);
+      }
+    }
+  }
+
+  /**
+   * Choose which mutation groups to analyse at the current backpressure level
+   * @private
+   * @param {Array} groups - Groups of related mutation records
+   * @returns {Array} - Groups to analyse
+   */
+  _sampleGroups(groups) {
+    const level = this.backpressure.level;
+    if (level === 'normal') {
+      return groups;
+    }
+    
+    const kept = [];
+    
+    for (const group of groups) {
+      const target = this._resolveTargetElement(group[0].target);
+      
+      // Live regions ask for their updates to be announced, so they are never sampled away
+      if (target && target.nodeType === Node.ELEMENT_NODE && this._isLiveRegion(target)) {
+        kept.push(group);
+        continue;
+      }
+      
+      if (level === 'sampling' && this.sampleCounter++ % this.backpressure.sampleStride === 0) {
+        kept.push(group);
+        continue;
+      }
+      
+      this.backpressure.skippedGroups++;
+      
+      // Overloaded pages get a periodic summary of what was skipped instead
+      if (level === 'overloaded') {
+        this._tallyBusyGroup(target);
+      }
+    }
+    
+    return kept;
+  }
+
+  /**
+   * Count a skipped group towards the next "page too busy" summary
+   * @private
+   * @param {Node} target - Element the group's mutations happened in
+   */
+  _tallyBusyGroup(target) {
+    if (!this.busyTally) {
+      this.busyTally = { updates: 0, regions: new Map(), since: Date.now() };
+      this.busySummaryTimer = setTimeout(() => this._emitBusySummary(), this.options.busySummaryInterval);
+    }
+    
+    this.busyTally.updates++;
+    
+    const region = target && target.closest
+      ? target.closest('main, nav, aside, section, form, table, [role="main"], [role="region"], ' +
+                       '[role="grid"], [role="table"], [role="log"], [role="feed"], [role="complementary"]')
+      : null;
+    if (region) {
+      this.busyTally.regions.set(region, (this.busyTally.regions.get(region) || 0) + 1);
+    }
+  }
+
+  /**
+   * Report the updates skipped while the page was too busy to analyse
+   * @private
+   */
+  _emitBusySummary() {
+    const tally = this.busyTally;
+    this.busyTally = null;
+    this.busySummaryTimer = null;
+    
+    if (!tally || tally.updates === 0) {
+      return;
+    }
+    
+    // Name the regions that changed the most
+    const regions = Array.from(tally.regions.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([region]) => this._getBusyRegionLabel(region))
+      .filter(label => label)
+      .filter((label, index, labels) => labels.indexOf(label) === index)
+      .slice(0, 2);
+    
+    const text = `${tally.updates} updates`;
+    
+    this._notifyChangeListeners([{
+      type: 'busy',
+      content: {
+        text,
+        html: '',
+        old: '',
+        new: text
+      },
+      element: document.body,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(document.body, 'busy'),
+      busy: {
+        updateCount: tally.updates,
+        duration: Date.now() - tally.since,
+        regions
+      },
+      mutations: []
+    }]);
+  }
+
+  /**
+   * Get a name for a region of a busy page
+   * @private
+   * @param {Element} region - Landmark, section or table
+   * @returns {string} - Region label, or empty string if it has none
+   */
+  _getBusyRegionLabel(region) {
+    const label = (this._getElementLabel(region) || '').trim();
+    if (label) {
+      return label.replace(/\s+/g, ' ');
+    }
+    
+    const heading = region.querySelector('caption, h1, h2, h3, h4, h5, h6, [role="heading"]');
+    return heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  /**
+   * Group related mutations together
+   * @private
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   * @returns {Array} - Array of grouped mutation records
+   */
+  _groupRelatedMutations(mutations) {
+    const groups = new Map();
+    this._addToMutationGroups(mutations, this._getAddedNodes(mutations), groups);
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Collect the nodes added in a batch of mutations
+   * @private
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   * @returns {Set<Node>} - Added nodes
+   */
+  _getAddedNodes(mutations) {
+    const addedNodes = new Set();
+    for (const mutation of mutations) {
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => addedNodes.add(node));
+      }
+    }
+    return addedNodes;
+  }
+
+  /**
+   * Add mutations to groups of related mutations
+   * @private
+   * @param {MutationRecord[]} mutations - Mutation records to group
+   * @param {Set<Node>} addedNodes - Nodes added anywhere in the batch
+   * @param {Map} groups - Groups by element fingerprint and mutation kind, updated in place
+   */
+  _addToMutationGroups(mutations, addedNodes, groups) {
+    // Nodes added in this batch are read with their current subtree, so later
+    // mutations inside them (e.g. a list item being filled in) are already covered.
+    // The remaining mutations are grouped by the fingerprint of the element they changed, so
+    // text nodes of one element and a re-rendered copy of it land together; attribute changes
+    // are kept apart from content changes so neither hides the other
+    for (const mutation of mutations) {
+      if (addedNodes.size > 0 && this._isInsideAddedNode(mutation.target, addedNodes)) {
+        continue;
+      }
+      
+      const element = this._resolveTargetElement(mutation.target);
+      const key = `${this.fingerprints.getFingerprint(element)}|${mutation.type === 'attributes' ? 'attributes' : 'content'}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(mutation);
+    }
+  }
+
+  /**
+   * Check if a node is, or is inside, a node added in the same batch
+   * @private
+   * @param {Node} node - Mutation target
+   * @param {Set<Node>} addedNodes - Nodes added in the batch
+   * @returns {boolean} - True if the node was added along with an ancestor
+   */
+  _isInsideAddedNode(node, addedNodes) {
+    let current = node;
+    while (current) {
+      if (addedNodes.has(current)) {
+        return true;
+      }
+      current = current.parentNode || current.host || null;
+    }
+    return false;
+  }
+
+  /**
+   * Find runs of similar items added to the same container, such as posts loaded into a feed
+   * @private
+   * @param {Array} groupedChanges - Groups of related mutation records
+   * @returns {Object} - Feed changes, and the groups they were built from
+   */
+  _detectFeedInsertions(groupedChanges) {
+    const changes = [];
+    const groups = new Set();
+    
+    for (const group of groupedChanges) {
+      const container = this._resolveTargetElement(group[0].target);
+      if (!container || container.nodeType !== Node.ELEMENT_NODE || this._shouldIgnoreElement(container)) {
+        continue;
+      }
+      
+      const items = this._getFeedItems(group, container);
+      if (items.length === 0) {
+        continue;
+      }
+      
+      changes.push(this._createFeedChange(container, items, group));
+      groups.add(group);
+    }
+    
+    return { changes, groups };
+  }
+
+  /**
+   * Get the added items of a container that share the same structure
+   * @private
+   * @param {MutationRecord[]} group - Mutations on the container
+   * @param {Element} container - Container the items were added to
+   * @returns {Element[]} - Similar items in document order, or an empty array if this isn't a feed insertion
+   */
+  _getFeedItems(group, container) {
+    const added = [];
+    for (const mutation of group) {
+      if (mutation.type !== 'childList') {
+        continue;
+      }
+      
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.parentNode === mutation.target &&
+            !added.includes(node) && !this._getHiddenReason(node) && node.textContent.trim()) {
+          added.push(node);
+        }
+      }
+    }
+    
+    if (added.length < 2) {
+      return [];
+    }
+    
+    // Items of a feed are rendered from one template, so they share tag, role and classes
+    const bySignature = new Map();
+    for (const item of added) {
+      const signature = this._getFeedItemSignature(item);
+      if (!bySignature.has(signature)) {
+        bySignature.set(signature, []);
+      }
+      bySignature.get(signature).push(item);
+    }
+    
+    const items = Array.from(bySignature.values()).reduce((largest, candidate) =>
+      candidate.length > largest.length ? candidate : largest
+    );
+    
+    // An explicit feed needs no more evidence than two similar posts
+    const isFeed = container.getAttribute('role') === 'feed';
+    if (items.length < (isFeed ? 2 : this.options.feedMinItems)) {
+      return [];
+    }
+    
+    return items.sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+  }
+
+  /**
+   * Describe an item's structure, ignoring per-item details such as ids
+   * @private
+   * @param {Element} item - Added item
+   * @returns {string} - Structural signature
+   */
+  _getFeedItemSignature(item) {
+    // Classes with digits are usually per-item or state (e.g. "post-123", "col-4")
+    const classes = Array.from(item.classList)
+      .filter(name => !/\d/.test(name))
+      .sort()
+      .join('.');
+    
+    return `${item.localName}|${item.getAttribute('role') || ''}|${classes}`;
+  }
+
+  /**
+   * Create a change describing items added to a feed or list
+   * @private
+   * @param {Element} container - Container the items were added to
+   * @param {Element[]} items - Added items
+   * @param {MutationRecord[]} group - Mutations that added the items
+   * @returns {Object} - Feed change data object
+   */
+  _createFeedChange(container, items, group) {
+    const titles = items.map(item => this._getFeedItemTitle(item));
+    const context = this._extractContextInfo(container, 'feed');
+    const text = titles.join(' ');
+    
+    return {
+      type: 'feed',
+      content: {
+        text,
+        html: '',
+        old: '',
+        new: text
+      },
+      element: container,
+      timestamp: Date.now(),
+      context,
+      urgency: context.isLiveRegion ? context.liveRegion.politeness : null,
+      feed: {
+        count: items.length,
+        noun: this._getFeedItemNoun(container, items[0]),
+        label: (this._getElementLabel(container) || '').trim(),
+        first: titles[0],
+        items: titles.slice(0, this.options.feedMaxDetails)
+      },
+      mutations: group
+    };
+  }
+
+  /**
+   * Get a short title for a feed item: its label, its heading, or the start of its text
+   * @private
+   * @param {Element} item - Feed item
+   * @returns {string} - Item title
+   */
+  _getFeedItemTitle(item) {
+    const clean = text => (text || '').trim().replace(/\s+/g, ' ');
+    
+    const label = clean(item.getAttribute('aria-label'));
+    if (label) {
+      return label;
+    }
+    
+    const heading = item.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+    if (heading && clean(heading.textContent)) {
+      return clean(heading.textContent);
+    }
+    
+    const text = clean(item.textContent);
+    if (text.length <= 80) {
+      return text;
+    }
+    
+    // Cut long text at a word boundary
+    const cut = text.substring(0, 80);
+    return `${cut.substring(0, cut.lastIndexOf(' ') > 40 ? cut.lastIndexOf(' ') : 80)}…`;
+  }
+
+  /**
+   * Choose a word for the items of a feed, e.g. "posts" or "results"
+   * @private
+   * @param {Element} container - Feed container
+   * @param {Element} item - First added item
+   * @returns {string} - Plural noun
+   */
+  _getFeedItemNoun(container, item) {
+    const hints = [
+      container.id,
+      container.className,
+      container.getAttribute('aria-label'),
+      item.className
+    ].filter(hint => typeof hint === 'string').join(' ').toLowerCase();
+    
+    if (/result/.test(hints)) {
+      return 'results';
+    }
+    if (/comment|repl(y|ies)/.test(hints)) {
+      return 'comments';
+    }
+    if (/message|chat/.test(hints)) {
+      return 'messages';
+    }
+    if (item.localName === 'tr' || item.getAttribute('role') === 'row') {
+      return 'rows';
+    }
+    if (container.getAttribute('role') === 'feed' || item.localName === 'article' ||
+        item.getAttribute('role') === 'article' || /post|tweet|story|stories/.test(hints)) {
+      return 'posts';
+    }
+    return 'items';
+  }
+
+  /**
+   * Add a change to a list, merging updates to cells of the same table row into one change
+   * @private
+   * @param {Array} changes - Changes collected so far
+   * @param {Object} change - Change to add
+   * @returns {Array} - Updated list of changes
+   */
+  _mergeTableRowChange(changes, change) {
+    const tableCell = change.context?.tableCell;
+    if (!tableCell || change.type === 'attribute') {
+      changes.push(change);
+      return changes;
+    }
+    
+    const row = change.element.closest('tr, [role="row"]');
+    const cell = {
+      columnHeader: tableCell.columnHeader,
+      columnIndex: tableCell.columnIndex,
+      value: tableCell.value
+    };
+    
+    const rowChange = changes.find(existing =>
+      (existing.type === 'table-row' && existing.element === row) ||
+      (existing.context?.tableCell && existing.type !== 'attribute' &&
+       existing.type !== 'table-row' && existing.element.closest('tr, [role="row"]') === row)
+    );
+    
+    if (!rowChange) {
+      changes.push(change);
+      return changes;
+    }
+    
+    // Several cells in the row changed: report them together
+    if (rowChange.type === 'table-row') {
+      if (!rowChange.tableRow.cells.some(existing => existing.columnIndex === cell.columnIndex)) {
+        rowChange.tableRow.cells.push(cell);
+      }
+      rowChange.mutations = rowChange.mutations.concat(change.mutations);
+      rowChange.content.text = rowChange.content.new = this._getTableRowText(rowChange.tableRow);
+      return changes;
+    }
+    
+    const firstCell = rowChange.context.tableCell;
+    const tableRow = {
+      rowHeader: firstCell.rowHeader,
+      rowIndex: firstCell.rowIndex,
+      tableLabel: firstCell.tableLabel,
+      cells: [{
+        columnHeader: firstCell.columnHeader,
+        columnIndex: firstCell.columnIndex,
+        value: firstCell.value
+      }]
+    };
+    if (cell.columnIndex !== firstCell.columnIndex) {
+      tableRow.cells.push(cell);
+    }
+    
+    const text = this._getTableRowText(tableRow);
+    changes[changes.indexOf(rowChange)] = {
+      type: 'table-row',
+      content: {
+        text,
+        html: '',
+        old: '',
+        new: text
+      },
+      element: row,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(row, 'table-row'),
+      tableRow,
+      mutations: rowChange.mutations.concat(change.mutations)
+    };
+    
+    return changes;
+  }
+
+  /**
+   * Get the text of the changed cells in a row
+   * @private
+   * @param {Object} tableRow - Row information with changed cells
+   * @returns {string} - Cell values joined together
+   */
+  _getTableRowText(tableRow) {
+    return tableRow.cells.map(cell => cell.value).join(', ');
+  }
+
+  /**
+   * Analyze a group of related mutations to determine if they represent a significant change
+   * @private
+   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
+   * @returns {Object|null} - Change data object or null if not significant
+   */
+  _analyzeChangeGroup(mutationGroup) {
+    if (!mutationGroup || mutationGroup.length === 0) {
+      return null;
+    }
+    
+    // Extract the target element from the first mutation
+    const target = this._resolveTargetElement(mutationGroup[0].target);
+    
+    // Skip ignored elements
+    if (this._shouldIgnoreElement(target)) {
+      return null;
+    }
+    
+    // Categorize the change type
+    const changeType = this._categorizeChangeType(mutationGroup);
+    
+    // Extract content from the change
+    let content = this._extractContentFromChange(mutationGroup, changeType);
+    
+    // Live regions decide which of their changes are announced, and how much is read;
+    // regions switched off are treated like any other unmarked content
+    const liveRegion = this._getLiveRegionConfig(target);
+    if (liveRegion && liveRegion.politeness !== 'off') {
+      content = this._applyLiveRegionConfig(liveRegion, mutationGroup, changeType, content);
+      if (!content) {
+        return null;
+      }
+    }
+    
+    // Check if the change is significant
+    if (!this._isSignificantChange(content, changeType, target)) {
+      return null;
+    }
+    
+    const context = this._extractContextInfo(target, changeType);
+    
+    // Create change data object
+    return {
+      type: changeType,
+      content: content,
+      diff: this._computeTextDiff(content, changeType),
+      element: target,
+      timestamp: Date.now(),
+      context,
+      urgency: context.isLiveRegion ? context.liveRegion.politeness : null,
+      fingerprint: this.fingerprints.getFingerprint(target),
+      supersedeKey: this._getSupersedeKey(target, liveRegion, changeType),
+      mutations: mutationGroup
+    };
+  }
+
+  /**
+   * Apply a live region's aria-relevant and aria-atomic settings to a change
+   * @private
+   * @param {Object} liveRegion - Live region configuration from _getLiveRegionConfig
+   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
+   * @param {string} changeType - Type of change
+   * @param {Object} content - Extracted content
+   * @returns {Object|null} - Content to report, or null if the region doesn't want the change announced
+   */
+  _applyLiveRegionConfig(liveRegion, mutationGroup, changeType, content) {
+    const relevant = liveRegion.relevant;
+    
+    // Attribute changes are reported by the detector itself, not by the region
+    if (changeType === 'attribute') {
+      return content;
+    }
+    
+    // Replacing text nodes (e.g. setting textContent) is a text change to assistive technology
+    const isRelevant = {
+      addition: relevant.includes('additions'),
+      removal: relevant.includes('removals'),
+      text: relevant.includes('text'),
+      replacement: relevant.includes('additions') || relevant.includes('text') || relevant.includes('removals')
+    }[changeType];
+    if (isRelevant === false) {
+      return null;
+    }
+    
+    // A replacement in a region that only cares about removals reports what was removed
+    const reportRemoval = changeType === 'removal' ||
+                          (changeType === 'replacement' && !relevant.includes('additions') && !relevant.includes('text'));
+    
+    if (liveRegion.atomic) {
+      // Atomic regions are read as a whole, not just the part that changed,
+      // so there is no previous text to describe a delta against
+      const text = (liveRegion.atomicElement.textContent || '').trim().replace(/\s+/g, ' ');
+      return {
+        ...content,
+        text,
+        old: '',
+        new: text
+      };
+    }
+    
+    if (reportRemoval) {
+      const removedText = mutationGroup
+        .filter(mutation => mutation.type === 'childList')
+        .flatMap(mutation => Array.from(mutation.removedNodes))
+        .map(node => node.textContent || '')
+        .join(' ')
+        .trim()
+        .replace(/\s+/g, ' ');
+      
+      return {
+        ...content,
+        text: removedText || content.text,
+        old: removedText,
+        new: ''
+      };
+    }
+    
+    return content;
+  }
+
+  /**
+   * Resolve a mutation target to the element it should be reported against
+   * @private
+   * @param {Node} node - Mutation target
+   * @returns {Node} - Element representing the target
+   */
+  _resolveTargetElement(node) {
+    // Mutations directly under a shadow root are reported against its host
+    if (node && node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.host) {
+      return node.host;
+    }
+    
+    // Text changes are reported against the element containing the text
+    if (node && node.nodeType === Node.TEXT_NODE) {
+      return this._getComposedParent(node) || node;
+    }
+    
+    return node;
+  }
+
+  /**
+   * Determine if an element should be ignored
+   * @private
+   * @param {Element} element - DOM element to check
+   * @returns {boolean} - True if the element should be ignored
+   */
+  _shouldIgnoreElement(element) {
+    // Ignore elements that aren't in the DOM
+    if (!element || !element.tagName) {
+      return true;
+    }
+    
+    // Ignore specified tag types
+    if (this.options.ignoredTags.includes(element.tagName)) {
+      return true;
+    }
+    
+    // Ignore elements with specified classes
+    if (element.classList) {
+      for (const className of this.options.ignoredClasses) {
+        if (element.classList.contains(className)) {
+          return true;
+        }
+      }
+    }
+    
+    // Ignore elements that are not rendered or hidden from assistive technology
+    if (this._getHiddenReason(element)) {
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Determine why an element is hidden, checking rendering state and ancestors
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {string} - Reason the element is hidden, or empty string if it is visible
+   */
+  _getHiddenReason(element) {
+    // Attribute-based hiding applies to the whole subtree, across shadow boundaries
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.hasAttribute('hidden')) {
+        return 'hidden-attribute';
+      }
+      if (current.getAttribute('aria-hidden') === 'true') {
+        return 'aria-hidden';
+      }
+      if (current.hasAttribute('inert')) {
+        return 'inert';
+      }
+      current = this._getComposedParent(current);
+    }
+    
+    if (typeof window.getComputedStyle !== 'function') {
+      return '';
+    }
+    
+    // display: none on any ancestor hides the element
+    if (typeof element.checkVisibility === 'function') {
+      if (!element.checkVisibility()) {
+        return 'display-none';
+      }
+    } else {
+      current = element;
+      while (current && current.nodeType === Node.ELEMENT_NODE) {
+        if (window.getComputedStyle(current).display === 'none') {
+          return 'display-none';
+        }
+        current = this._getComposedParent(current);
+      }
+    }
+    
+    // visibility is inherited, so the element's own computed value is enough
+    const style = window.getComputedStyle(element);
+    if (style.visibility === 'hidden' || style.visibility === 'collapse') {
+      return 'visibility-hidden';
+    }
+    
+    if (this.options.treatZeroSizeAsHidden && style.display !== 'contents') {
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) {
+        return 'zero-size';
+      }
+    }
+    
+    return '';
+  }
+
+  /**
+   * Get the rendering and viewport state of an element
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Object} - Visibility information
    */
-  _processMutations(mutations) {
-    // Group related mutations
-    const groupedChanges = this._groupRelatedMutations(mutations);
-    
-    // Analyze each group for significance
-    const significantChanges = groupedChanges
-      .map(group => this._analyzeChangeGroup(group))
-      .filter(change => change !== null);
-    
-    // Notify listeners of significant changes
-    if (significantChanges.length > 0) {
-      this._notifyChangeListeners(significantChanges);
+  _getVisibilityState(element) {
+    const hiddenReason = this._getHiddenReason(element);
+    if (hiddenReason) {
+      return {
+        visible: false,
+        reason: hiddenReason,
+        inViewport: false,
+        intersectionRatio: 0,
+        proximity: 'hidden'
+      };
     }
+    
+    return {
+      visible: true,
+      reason: '',
+      ...this._getViewportState(element)
+    };
   }
 
   /**
-   * Group related mutations together
+   * Get whether an element is in, near or far from the viewport
    * @private
-   * @param {MutationRecord[]} mutations - Array of mutation records
-   * @returns {Array} - Array of grouped mutation records
+   * @param {Element} element - DOM element
+   * @returns {Object} - Viewport state
    */
-  _groupRelatedMutations(mutations) {
-    // Simple grouping by target node for now
-    // This could be enhanced with more sophisticated grouping logic
-    const groups = new Map();
+  _getViewportState(element) {
+    this._trackIntersection(element);
     
-    for (const mutation of mutations) {
-      const key = mutation.target;
-      if (!groups.has(key)) {
-        groups.set(key, []);
-      }
-      groups.get(key).push(mutation);
+    // Prefer the IntersectionObserver's last report, which avoids forcing layout
+    const tracked = this.intersectionStates.get(element);
+    if (tracked) {
+      return tracked;
     }
     
-    return Array.from(groups.values());
+    const rect = element.getBoundingClientRect();
+    return this._computeViewportState(rect, {
+      top: 0,
+      left: 0,
+      bottom: window.innerHeight,
+      right: window.innerWidth,
+      height: window.innerHeight
+    });
   }
 
   /**
-   * Analyze a group of related mutations to determine if they represent a significant change
+   * Classify an element's position relative to the viewport
    * @private
-   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
-   * @returns {Object|null} - Change data object or null if not significant
+   * @param {DOMRect} rect - Element bounds
+   * @param {Object} viewport - Viewport bounds
+   * @param {number|null} [intersectionRatio] - Visible fraction reported by the IntersectionObserver
+   * @returns {Object} - Viewport state
    */
-  _analyzeChangeGroup(mutationGroup) {
-    if (!mutationGroup || mutationGroup.length === 0) {
-      return null;
-    }
+  _computeViewportState(rect, viewport, intersectionRatio = null) {
+    const inViewport = rect.bottom > viewport.top && rect.top < viewport.bottom &&
+                       rect.right > viewport.left && rect.left < viewport.right;
     
-    // Extract the target element from the first mutation
-    const target = mutationGroup[0].target;
-    
-    // Skip ignored elements
-    if (this._shouldIgnoreElement(target)) {
-      return null;
+    let distance = 0;
+    if (!inViewport) {
+      if (rect.top >= viewport.bottom) {
+        distance = rect.top - viewport.bottom;
+      } else if (rect.bottom <= viewport.top) {
+        distance = viewport.top - rect.bottom;
+      }
     }
     
-    // Categorize the change type
-    const changeType = this._categorizeChangeType(mutationGroup);
-    
-    // Extract content from the change
-    const content = this._extractContentFromChange(mutationGroup, changeType);
-    
-    // Check if the change is significant
-    if (!this._isSignificantChange(content, changeType)) {
-      return null;
+    let proximity = 'in-viewport';
+    if (!inViewport) {
+      proximity = distance <= viewport.height * this.options.nearViewportDistance ? 'near' : 'far';
     }
     
-    // Create change data object
     return {
-      type: changeType,
-      content: content,
-      element: target,
-      timestamp: Date.now(),
-      context: this._extractContextInfo(target, changeType),
-      mutations: mutationGroup
+      inViewport,
+      intersectionRatio: intersectionRatio !== null ? intersectionRatio : (inViewport ? 1 : 0),
+      proximity
     };
   }
 
   /**
-   * Determine if an element should be ignored
+   * Start tracking an element with the IntersectionObserver
    * @private
-   * @param {Element} element - DOM element to check
-   * @returns {boolean} - True if the element should be ignored
+   * @param {Element} element - DOM element
    */
-  _shouldIgnoreElement(element) {
-    // Ignore elements that aren't in the DOM
-    if (!element || !element.tagName) {
-      return true;
-    }
-    
-    // Ignore specified tag types
-    if (this.options.ignoredTags.includes(element.tagName)) {
-      return true;
+  _trackIntersection(element) {
+    if (!this.intersectionObserver || this.trackedIntersections.has(element)) {
+      return;
     }
     
-    // Ignore elements with specified classes
-    if (element.classList) {
-      for (const className of this.options.ignoredClasses) {
-        if (element.classList.contains(className)) {
-          return true;
-        }
-      }
+    // Stop tracking the oldest element when the limit is reached
+    if (this.trackedIntersections.size >= this.options.maxTrackedIntersections) {
+      const oldest = this.trackedIntersections.values().next().value;
+      this.intersectionObserver.unobserve(oldest);
+      this.trackedIntersections.delete(oldest);
     }
     
-    // Ignore hidden elements
-    if (element.style && element.style.display === 'none') {
-      return true;
+    this.intersectionObserver.observe(element);
+    this.trackedIntersections.add(element);
+  }
+
+  /**
+   * Record viewport state reported by the IntersectionObserver
+   * @private
+   * @param {IntersectionObserverEntry[]} entries - Intersection entries
+   */
+  _handleIntersections(entries) {
+    for (const entry of entries) {
+      const viewport = entry.rootBounds || {
+        top: 0,
+        left: 0,
+        bottom: window.innerHeight,
+        right: window.innerWidth,
+        height: window.innerHeight
+      };
+      
+      const state = this._computeViewportState(
+        entry.boundingClientRect,
+        viewport,
+        entry.intersectionRatio
+      );
+      state.inViewport = entry.isIntersecting;
+      
+      this.intersectionStates.set(entry.target, state);
     }
-    
-    return false;
   }
 
   /**
@@ -280,6 +3492,10 @@ class ContentDetectionModule {
         for (const mutation of mutationGroup) {
           if (mutation.type === 'childList') {
             for (const node of mutation.addedNodes) {
+              // Skip added content that is not rendered
+              if (node.nodeType === Node.ELEMENT_NODE && this._getHiddenReason(node)) {
+                continue;
+              }
               if (node.textContent) {
                 textContent += node.textContent + ' ';
               }
@@ -320,16 +3536,27 @@ class ContentDetectionModule {
         textContent = newContent.trim();
         break;
         
-      case 'text':
-        // Extract old and new text content
+      case 'text': {
+        // Keep the first old value of each changed text node
+        const oldValues = new Map();
         for (const mutation of mutationGroup) {
-          if (mutation.type === 'characterData') {
-            oldContent = mutation.oldValue || '';
-            newContent = mutation.target.textContent || '';
-            textContent = newContent;
+          if (mutation.type === 'characterData' && !oldValues.has(mutation.target)) {
+            oldValues.set(mutation.target, mutation.oldValue || '');
           }
         }
+        
+        // Compare the whole element's text so the diff has surrounding context
+        const element = this._resolveTargetElement(mutationGroup[0].target);
+        if (element && element.nodeType === Node.ELEMENT_NODE) {
+          oldContent = this._getPreviousText(element, oldValues);
+          newContent = element.textContent || '';
+        } else {
+          oldContent = oldValues.get(mutationGroup[0].target) || '';
+          newContent = mutationGroup[0].target.textContent || '';
+        }
+        textContent = newContent;
         break;
+      }
         
       case 'attribute':
         // Extract attribute changes
@@ -375,19 +3602,60 @@ class ContentDetectionModule {
     };
   }
 
+  /**
+   * Rebuild an element's text as it was before its text nodes changed
+   * @private
+   * @param {Element} element - Element containing the changed text nodes
+   * @param {Map} oldValues - Previous values keyed by text node
+   * @returns {string} - Previous text content
+   */
+  _getPreviousText(element, oldValues) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let text = '';
+    
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      text += oldValues.has(node) ? oldValues.get(node) : node.data;
+    }
+    
+    return text;
+  }
+
+  /**
+   * Compute a word-level diff for changes that have old and new text
+   * @private
+   * @param {Object} content - Extracted content
+   * @param {string} changeType - Type of change
+   * @returns {Object|null} - Diff result, or null if the change has no previous text
+   */
+  _computeTextDiff(content, changeType) {
+    if ((changeType !== 'text' && changeType !== 'replacement') || !content.old || !content.new) {
+      return null;
+    }
+    
+    return this.textDiff.diff(content.old, content.new);
+  }
+
   /**
    * Determine if a change is significant enough to report
    * @private
    * @param {Object} content - Extracted content
    * @param {string} changeType - Type of change
+   * @param {Element} [element] - Element that changed
    * @returns {boolean} - True if the change is significant
    */
-  _isSignificantChange(content, changeType) {
+  _isSignificantChange(content, changeType, element) {
     // Always consider ARIA attribute changes significant
     if (changeType === 'attribute' && content.text.startsWith('aria-')) {
       return true;
     }
     
+    // Table cell values are short but meaningful, e.g. "42%"
+    if (changeType !== 'attribute' && content.old !== content.new &&
+        this._getTableCellInfo(element)) {
+      return true;
+    }
+    
     // Check text length for significance
     if (content.text.length < this.options.minTextLength && 
         content.new.length < this.options.minTextLength) {
@@ -413,152 +3681,475 @@ class ContentDetectionModule {
    */
   _extractContextInfo(element, changeType) {
     // Get element role
-    const role = element.getAttribute('role') || this._inferRole(element);
+    const role = this.roles.getRole(element);
     
-    // Get element label
+    // Get element name and description, as a screen reader would read them
     const label = this._getElementLabel(element);
+    const description = this.accessibleNames.getDescription(element);
     
     // Get parent context
     const parentContext = this._getParentContext(element);
     
-    // Get position information
-    const position = this._getElementPosition(element);
+    // Get position information
+    const position = this._getElementPosition(element);
+    
+    // Where the change is in the page's structure and on screen, only looked up when something says it
+    const location = this.options.describeLocation ? this._getLocation(element) : null;
+    
+    // Get rendering state and viewport proximity
+    const visibility = this._getVisibilityState(element);
+    
+    return {
+      role,
+      label,
+      subject: this._getChangeSubject(element, label),
+      description,
+      parentContext,
+      position,
+      location,
+      visibility,
+      tableCell: this._getTableCellInfo(element),
+      liveRegion: this._describeLiveRegion(element),
+      isForm: this._isFormElement(element),
+      isInteractive: this._isInteractiveElement(element),
+      isLiveRegion: this._isLiveRegion(element)
+    };
+  }
+
+  /**
+   * Get a label for an element: its accessible name
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {string} - Element label
+   */
+  _getElementLabel(element) {
+    return this.accessibleNames.getName(element);
+  }
+
+  /**
+   * Find what a changed element describes, e.g. "Price" for a value labelled "Price" or listed under that term
+   * @private
+   * @param {Element} element - The element that changed
+   * @param {string} label - Accessible name of the element
+   * @returns {string} - Subject, or empty string if nothing names the element apart from its own text
+   */
+  _getChangeSubject(element, label) {
+    const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+    const name = normalize(label);
+    
+    // A name computed from the element's own content is the changed text, not what it describes
+    if (name && name.toLowerCase() !== normalize(element.textContent).toLowerCase()) {
+      return name;
+    }
+    
+    // Values in a description list are named by the term before them
+    const definition = element.closest ? element.closest('dd, [role="definition"]') : null;
+    if (definition) {
+      let term = definition.previousElementSibling;
+      while (term && !term.matches('dt, [role="term"]')) {
+        term = term.previousElementSibling;
+      }
+      if (term) {
+        return normalize(term.textContent);
+      }
+    }
+    
+    return '';
+  }
+
+  /**
+   * Get contextual information from parent elements
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Object} - Parent context information
+   */
+  _getParentContext(element) {
+    let heading = '';
+    let section = '';
+    let current = this._getComposedParent(element);
+    
+    // Look up the DOM tree for context, crossing shadow boundaries
+    while (current && current !== document.body) {
+      // Check for headings
+      if (!heading && /^H[1-6]$/.test(current.tagName)) {
+        heading = current.textContent;
+      }
+      
+      // Check for section elements
+      if (!section) {
+        const role = this.roles.getRole(current);
+        if (role === 'region' || role === 'article') {
+          section = this._getElementLabel(current) || current.textContent.substring(0, 50);
+        }
+        
+        if (current.tagName === 'SECTION' || current.tagName === 'ARTICLE') {
+          section = this._getElementLabel(current) || current.textContent.substring(0, 50);
+        }
+      }
+      
+      // Move up the tree
+      current = this._getComposedParent(current);
+    }
+    
+    return { heading, section };
+  }
+
+  /**
+   * Resolve the row and column headers of a table or grid cell
+   * @private
+   * @param {Element} element - DOM element, possibly inside a cell
+   * @returns {Object|null} - Cell information, or null if the element is not in a data cell
+   */
+  _getTableCellInfo(element) {
+    if (!element || !element.closest) {
+      return null;
+    }
+    
+    const cellSelector = 'td, th, [role="cell"], [role="gridcell"], [role="rowheader"], [role="columnheader"]';
+    const cell = element.closest(cellSelector);
+    if (!cell || cell.matches('th, [role="rowheader"], [role="columnheader"]')) {
+      return null; // Not in a cell, or a header changed rather than data
+    }
+    
+    const row = cell.closest('tr, [role="row"]');
+    const table = cell.closest('table, [role="table"], [role="grid"], [role="treegrid"]');
+    if (!row || !table) {
+      return null;
+    }
+    
+    const scope = this._getRootScope(cell);
+    const getText = node => node ? node.textContent.trim().replace(/\s+/g, ' ') : '';
+    const getTextByIds = ids => (ids || '').split(/\s+/)
+      .map(id => id ? scope.getElementById(id) : null)
+      .filter(node => node !== null)
+      .map(getText)
+      .join(' ');
+    
+    let rowHeader = '';
+    let columnHeader = '';
+    
+    // The headers attribute names both row and column headers explicitly
+    for (const id of (cell.getAttribute('headers') || '').split(/\s+/).filter(id => id)) {
+      const header = scope.getElementById(id);
+      if (!header) {
+        continue;
+      }
+      
+      const isRowHeader = header.getAttribute('scope') === 'row' ||
+                          header.getAttribute('role') === 'rowheader' ||
+                          header.closest('tr, [role="row"]') === row;
+      if (isRowHeader) {
+        rowHeader = rowHeader || getText(header);
+      } else {
+        columnHeader = columnHeader || getText(header);
+      }
+    }
+    
+    const columnIndex = this._getTableColumnIndex(cell, row);
+    
+    if (!columnHeader) {
+      columnHeader = getText(this._findColumnHeader(table, row, columnIndex)) ||
+                     getTextByIds(cell.getAttribute('aria-labelledby'));
+    }
+    
+    if (!rowHeader) {
+      rowHeader = getTextByIds(row.getAttribute('aria-labelledby')) ||
+                  getText(this._findRowHeader(row, cell));
+    }
+    
+    const ariaRowIndex = parseInt(cell.getAttribute('aria-rowindex') || row.getAttribute('aria-rowindex'), 10);
+    const rows = this._getTableRows(table);
+    
+    return {
+      rowHeader,
+      columnHeader,
+      rowIndex: isNaN(ariaRowIndex) ? rows.indexOf(row) + 1 : ariaRowIndex,
+      columnIndex,
+      value: getText(cell),
+      tableLabel: (this._getElementLabel(table) || getText(table.querySelector('caption'))).trim()
+    };
+  }
+
+  /**
+   * Get the rows belonging to a table, excluding rows of nested tables
+   * @private
+   * @param {Element} table - Table or grid element
+   * @returns {Element[]} - Rows in document order
+   */
+  _getTableRows(table) {
+    return Array.from(table.querySelectorAll('tr, [role="row"]')).filter(row =>
+      row.parentElement && row.parentElement.closest('table, [role="table"], [role="grid"], [role="treegrid"]') === table
+    );
+  }
+
+  /**
+   * Get the cells of a row
+   * @private
+   * @param {Element} row - Row element
+   * @returns {Element[]} - Cells in order
+   */
+  _getRowCells(row) {
+    return Array.from(row.children).filter(child => child.matches(
+      'td, th, [role="cell"], [role="gridcell"], [role="rowheader"], [role="columnheader"]'
+    ));
+  }
+
+  /**
+   * Get the 1-based column index of a cell, honouring aria-colindex and colspan
+   * @private
+   * @param {Element} cell - Cell element
+   * @param {Element} row - Row containing the cell
+   * @returns {number} - Column index
+   */
+  _getTableColumnIndex(cell, row) {
+    const ariaColIndex = parseInt(cell.getAttribute('aria-colindex'), 10);
+    if (!isNaN(ariaColIndex)) {
+      return ariaColIndex;
+    }
+    
+    let index = 1;
+    for (const sibling of this._getRowCells(row)) {
+      if (sibling === cell) {
+        break;
+      }
+      index += sibling.colSpan || 1;
+    }
+    return index;
+  }
+
+  /**
+   * Find the column header covering a column
+   * @private
+   * @param {Element} table - Table or grid element
+   * @param {Element} row - Row of the changed cell
+   * @param {number} columnIndex - 1-based column index
+   * @returns {Element|null} - Column header cell
+   */
+  _findColumnHeader(table, row, columnIndex) {
+    for (const headerRow of this._getTableRows(table)) {
+      if (headerRow === row) {
+        break; // Column headers come before the data they describe
+      }
+      
+      const cells = this._getRowCells(headerRow);
+      const isHeaderRow = cells.some(cell =>
+        cell.getAttribute('role') === 'columnheader' ||
+        (cell.tagName === 'TH' && cell.getAttribute('scope') !== 'row')
+      );
+      if (!isHeaderRow) {
+        continue;
+      }
+      
+      for (const cell of cells) {
+        const start = this._getTableColumnIndex(cell, headerRow);
+        const span = cell.colSpan || 1;
+        if (columnIndex >= start && columnIndex < start + span) {
+          return cell;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find the header of a row
+   * @private
+   * @param {Element} row - Row element
+   * @param {Element} cell - Changed cell, which can't be its own header
+   * @returns {Element|null} - Row header cell
+   */
+  _findRowHeader(row, cell) {
+    const cells = this._getRowCells(row);
+    
+    const header = cells.find(candidate =>
+      candidate !== cell &&
+      (candidate.getAttribute('role') === 'rowheader' ||
+       (candidate.tagName === 'TH' && candidate.getAttribute('scope') !== 'col'))
+    );
+    if (header) {
+      return header;
+    }
+    
+    // Data tables without row headers usually identify rows by their first column
+    return cells.length > 1 && cells[0] !== cell ? cells[0] : null;
+  }
+
+  /**
+   * Get the parent of a node in the composed (flattened) tree
+   * @private
+   * @param {Node} node - DOM node
+   * @returns {Element|null} - Slot, parent element or shadow host
+   */
+  _getComposedParent(node) {
+    if (!node) {
+      return null;
+    }
+    
+    // Slotted content is rendered inside the slot it is assigned to
+    if (node.assignedSlot) {
+      return node.assignedSlot;
+    }
+    
+    if (node.parentElement) {
+      return node.parentElement;
+    }
     
-    return {
-      role,
-      label,
-      parentContext,
-      position,
-      isForm: this._isFormElement(element),
-      isInteractive: this._isInteractiveElement(element),
-      isLiveRegion: this._isLiveRegion(element)
-    };
+    // Cross from the top of a shadow tree to its host
+    const parent = node.parentNode;
+    if (parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parent.host) {
+      return parent.host;
+    }
+    
+    return null;
   }
 
   /**
-   * Infer the role of an element based on its tag
+   * Get the document or shadow root an element belongs to
    * @private
    * @param {Element} element - DOM element
-   * @returns {string} - Inferred role
+   * @returns {Document|ShadowRoot} - Root used for ID and selector lookups
    */
-  _inferRole(element) {
-    if (!element || !element.tagName) {
-      return 'unknown';
+  _getRootScope(element) {
+    const root = element.getRootNode ? element.getRootNode() : null;
+    if (root && root.getElementById && root.querySelector) {
+      return root;
     }
     
-    switch (element.tagName.toLowerCase()) {
-      case 'button':
-        return 'button';
-      case 'a':
-        return 'link';
-      case 'input':
-        return element.type || 'textbox';
-      case 'select':
-        return 'combobox';
-      case 'textarea':
-        return 'textbox';
-      case 'img':
-        return 'image';
-      case 'table':
-        return 'table';
-      case 'ul':
-      case 'ol':
-        return 'list';
-      case 'h1':
-      case 'h2':
-      case 'h3':
-      case 'h4':
-      case 'h5':
-      case 'h6':
-        return 'heading';
-      default:
-        return '';
-    }
+    return document;
   }
 
   /**
-   * Get a label for an element
+   * Describe where an element is: the landmarks around it, the heading it falls under
+   * and the part of the screen it is shown in
    * @private
    * @param {Element} element - DOM element
-   * @returns {string} - Element label
+   * @returns {Object|null} - Location information, or null for the page as a whole
    */
-  _getElementLabel(element) {
-    // Check for aria-label
-    const ariaLabel = element.getAttribute('aria-label');
-    if (ariaLabel) {
-      return ariaLabel;
+  _getLocation(element) {
+    if (!element || element === document.body || element === document.documentElement) {
+      return null;
     }
     
-    // Check for aria-labelledby
-    const ariaLabelledBy = element.getAttribute('aria-labelledby');
-    if (ariaLabelledBy) {
-      const labelElement = document.getElementById(ariaLabelledBy);
-      if (labelElement) {
-        return labelElement.textContent;
+    // Landmarks containing the element, outermost first
+    const landmarks = [];
+    let innermostLandmark = null;
+    let current = element;
+    while (current && current !== document.body) {
+      const role = this.roles.getRole(current);
+      if (this.roles.isLandmark(role)) {
+        landmarks.unshift({
+          role,
+          name: this._getElementLabel(current),
+          side: role === 'complementary' || role === 'navigation' ? this._getHorizontalSide(current) : ''
+        });
+        innermostLandmark = innermostLandmark || current;
       }
+      current = this._getComposedParent(current);
     }
     
-    // Check for label element (for form controls)
-    if (element.id) {
-      const labelElement = document.querySelector(`label[for="${element.id}"]`);
-      if (labelElement) {
-        return labelElement.textContent;
-      }
+    return {
+      landmarks,
+      heading: this._getSectionHeading(element, innermostLandmark || document.body),
+      viewport: this._getViewportRegion(element),
+      withinLandmark: innermostLandmark ? this._getVerticalPositionWithin(element, innermostLandmark) : null
+    };
+  }
+
+  /**
+   * Find the heading an element falls under: the last visible one before it in its landmark
+   * @private
+   * @param {Element} element - DOM element
+   * @param {Element} container - Innermost landmark around the element, or the body
+   * @returns {string} - Heading text, or empty string if no heading precedes the element
+   */
+  _getSectionHeading(element, container) {
+    // Elements in shadow trees are compared by the host in the container's tree
+    let anchor = element;
+    while (anchor.getRootNode() !== container.getRootNode() && anchor.getRootNode().host) {
+      anchor = anchor.getRootNode().host;
     }
     
-    // Use title attribute
-    if (element.title) {
-      return element.title;
+    // Walk back through the document from the element, so only the headings before it are looked at
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_ELEMENT);
+    walker.currentNode = anchor;
+    
+    for (let node = walker.previousNode(); node; node = walker.previousNode()) {
+      // A changed heading is the change itself, not what it falls under
+      if (node.contains(anchor) || !node.matches('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+        continue;
+      }
+      if (!this._getHiddenReason(node)) {
+        return this._getElementLabel(node).substring(0, 60);
+      }
     }
     
-    // Use alt text for images
-    if (element.tagName === 'IMG' && element.alt) {
-      return element.alt;
+    return '';
+  }
+
+  /**
+   * Get the coarse part of the viewport an element is shown in
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Object|null} - Vertical ('top', 'middle', 'bottom', 'above' or 'below') and horizontal
+   *                          ('left', 'center' or 'right') region, or null if the element has no layout
+   */
+  _getViewportRegion(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+      return null;
     }
     
-    // Use text content for buttons and links
-    if (element.tagName === 'BUTTON' || element.tagName === 'A') {
-      return element.textContent;
+    const centerY = rect.top + rect.height / 2;
+    const height = window.innerHeight;
+    let vertical;
+    if (centerY < 0) {
+      vertical = 'above';
+    } else if (centerY > height) {
+      vertical = 'below';
+    } else {
+      vertical = ['top', 'middle', 'bottom'][Math.min(2, Math.floor(centerY / (height / 3)))];
     }
     
-    return '';
+    return {
+      vertical,
+      horizontal: this._getHorizontalSide(element) || 'center'
+    };
   }
 
   /**
-   * Get contextual information from parent elements
+   * Get which side of the viewport an element sits on
    * @private
    * @param {Element} element - DOM element
-   * @returns {Object} - Parent context information
+   * @returns {string} - 'left', 'right', 'center', or empty string if the element has no layout
    */
-  _getParentContext(element) {
-    let heading = '';
-    let section = '';
-    let current = element.parentElement;
+  _getHorizontalSide(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+      return '';
+    }
     
-    // Look up the DOM tree for context
-    while (current && current !== document.body) {
-      // Check for headings
-      if (!heading && /^H[1-6]$/.test(current.tagName)) {
-        heading = current.textContent;
-      }
-      
-      // Check for section elements
-      if (!section) {
-        const role = current.getAttribute('role');
-        if (role === 'region' || role === 'article' || role === 'section') {
-          section = this._getElementLabel(current) || current.textContent.substring(0, 50);
-        }
-        
-        if (current.tagName === 'SECTION' || current.tagName === 'ARTICLE') {
-          section = this._getElementLabel(current) || current.textContent.substring(0, 50);
-        }
-      }
-      
-      // Move up the tree
-      current = current.parentElement;
+    const centerX = rect.left + rect.width / 2;
+    const third = window.innerWidth / 3;
+    return centerX < third ? 'left' : centerX > third * 2 ? 'right' : 'center';
+  }
+
+  /**
+   * Get how far down its landmark an element is
+   * @private
+   * @param {Element} element - DOM element
+   * @param {Element} landmark - Landmark containing the element
+   * @returns {string|null} - 'top', 'middle' or 'bottom', or null if either has no layout
+   */
+  _getVerticalPositionWithin(element, landmark) {
+    const rect = element.getBoundingClientRect();
+    const landmarkRect = landmark.getBoundingClientRect();
+    if (landmarkRect.height === 0 || (rect.width === 0 && rect.height === 0)) {
+      return null;
     }
     
-    return { heading, section };
+    const offset = (rect.top + rect.height / 2 - landmarkRect.top) / landmarkRect.height;
+    return offset < 1 / 3 ? 'top' : offset > 2 / 3 ? 'bottom' : 'middle';
   }
 
   /**
@@ -594,7 +4185,12 @@ class ContentDetectionModule {
    */
   _isFormElement(element) {
     const formElements = ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'];
-    return formElements.includes(element.tagName);
+    if (formElements.includes(element.tagName)) {
+      return element.type !== 'hidden';
+    }
+    
+    // Custom controls (role="combobox", role="switch" and the like)
+    return this.roles.isFormControl(this.roles.getRole(element));
   }
 
   /**
@@ -604,19 +4200,13 @@ class ContentDetectionModule {
    * @returns {boolean} - True if the element is interactive
    */
   _isInteractiveElement(element) {
-    // Check tag name
-    const interactiveTags = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
-    if (interactiveTags.includes(element.tagName)) {
+    // Widget roles, explicit or implied by native controls
+    if (this.roles.isWidget(this.roles.getRole(element))) {
       return true;
     }
     
-    // Check role
-    const interactiveRoles = [
-      'button', 'link', 'checkbox', 'radio', 'textbox', 'combobox',
-      'menu', 'menuitem', 'tab', 'tabpanel', 'slider', 'switch'
-    ];
-    const role = element.getAttribute('role');
-    if (role && interactiveRoles.includes(role)) {
+    // Focusable elements the page made operable without a widget role
+    if (element.getAttribute('tabindex') !== null && Number(element.getAttribute('tabindex')) >= 0) {
       return true;
     }
     
@@ -629,13 +4219,429 @@ class ContentDetectionModule {
   }
 
   /**
-   * Check if an element is a live region
+   * Check if an element is in a live region that announces its changes
    * @private
    * @param {Element} element - DOM element
-   * @returns {boolean} - True if the element is a live region
+   * @returns {boolean} - True if the element is in an active live region
    */
   _isLiveRegion(element) {
-    return element.getAttribute('aria-live') !== null;
+    const liveRegion = this._getLiveRegionConfig(element);
+    return liveRegion !== null && liveRegion.politeness !== 'off';
+  }
+
+  /**
+   * Check if a mutation group changed, or added, a live region of the given politeness
+   * @private
+   * @param {MutationRecord[]} mutationGroup - Group of related mutation records
+   * @param {string[]} politenessLevels - Politeness levels to look for, e.g. ['assertive']
+   * @returns {boolean} - True if the group belongs to such a live region
+   */
+  _isLiveRegionGroup(mutationGroup, politenessLevels) {
+    const roles = Object.keys(this.liveRegionRolePoliteness)
+      .filter(role => politenessLevels.includes(this.liveRegionRolePoliteness[role]));
+    const selector = roles.map(role => `[role="${role}"]`)
+      .concat(politenessLevels.map(politeness => `[aria-live="${politeness}"]`))
+      .join(', ');
+    
+    return mutationGroup.some(mutation => {
+      const target = this._resolveTargetElement(mutation.target);
+      const liveRegion = target ? this._getLiveRegionConfig(target) : null;
+      if (liveRegion && politenessLevels.includes(liveRegion.politeness)) {
+        return true;
+      }
+      
+      // A region inserted with its message already in it
+      return mutation.type === 'childList' && Array.from(mutation.addedNodes).some(node =>
+        node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || node.querySelector(selector) !== null)
+      );
+    });
+  }
+
+  /**
+   * Resolve the live region an element belongs to and how the region is configured
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Object|null} - Politeness, atomic and relevant settings, or null if not in a live region
+   */
+  _getLiveRegionConfig(element) {
+    let atomic = null;
+    let atomicElement = null;
+    let relevant = null;
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      // The nearest aria-atomic and aria-relevant values apply, even below the region root
+      const atomicValue = current.getAttribute('aria-atomic');
+      if (atomic === null && (atomicValue === 'true' || atomicValue === 'false')) {
+        atomic = atomicValue === 'true';
+        atomicElement = current;
+      }
+      
+      if (relevant === null && current.hasAttribute('aria-relevant')) {
+        relevant = current.getAttribute('aria-relevant');
+      }
+      
+      const role = (current.getAttribute('role') || '').trim().split(/\s+/)[0];
+      const live = (current.getAttribute('aria-live') || '').trim().toLowerCase();
+      const politeness = ['off', 'polite', 'assertive'].includes(live)
+        ? live
+        : this.liveRegionRolePoliteness[role];
+      
+      if (politeness) {
+        // Alerts and status messages are read as a whole unless the page says otherwise
+        if (atomic === null && (role === 'alert' || role === 'status')) {
+          atomic = true;
+          atomicElement = current;
+        }
+        
+        const tokens = (relevant || 'additions text').trim().toLowerCase().split(/\s+/);
+        
+        return {
+          element: current,
+          role: role || null,
+          politeness,
+          atomic: atomic === true,
+          atomicElement: atomic === true ? atomicElement : null,
+          relevant: tokens.includes('all')
+            ? ['additions', 'removals', 'text']
+            : tokens.filter(token => ['additions', 'removals', 'text'].includes(token))
+        };
+      }
+      
+      current = this._getComposedParent(current);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Describe the live region an element belongs to, for the change context
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Object|null} - Serializable live region settings, or null if not in a live region
+   */
+  _describeLiveRegion(element) {
+    const liveRegion = this._getLiveRegionConfig(element);
+    if (!liveRegion) {
+      return null;
+    }
+    
+    return {
+      politeness: liveRegion.politeness,
+      role: liveRegion.role,
+      atomic: liveRegion.atomic,
+      relevant: liveRegion.relevant
+    };
+  }
+
+  /**
+   * Get the key under which a newer change replaces this one's pending summary and alert
+   * @private
+   * @param {Element} target - Changed element
+   * @param {Object|null} liveRegion - Live region configuration from _getLiveRegionConfig
+   * @param {string} changeType - Type of change
+   * @returns {string|null} - Supersede key, or null if later changes add to this one rather than replace it
+   */
+  _getSupersedeKey(target, liveRegion, changeType) {
+    // Atomic regions (status messages, counters) are always read whole, so only the latest matters
+    if (liveRegion && liveRegion.politeness !== 'off' && liveRegion.atomic) {
+      return `live|${this.fingerprints.getFingerprint(liveRegion.element)}`;
+    }
+    
+    // New items in a list or log each need announcing; edits to an element's text or state replace each other
+    if (!['text', 'replacement', 'attribute'].includes(changeType)) {
+      return null;
+    }
+    
+    return `${this.fingerprints.getFingerprint(target)}|${changeType === 'attribute' ? 'attributes' : 'content'}`;
+  }
+
+  /**
+   * Record a change for churn tracking and check if it should be muted
+   * @private
+   * @param {Object} change - Change data object
+   * @returns {boolean} - True if the change belongs to a muted element
+   */
+  _isChurnChange(change) {
+    if (!this.options.churnDetection) {
+      return false;
+    }
+    
+    const key = change.fingerprint || this.fingerprints.getFingerprint(change.element);
+    const stats = this._recordChurnSample(key, change);
+    
+    const override = this.churnOverrides[key];
+    const muted = override === 'mute' || (override !== 'unmute' && stats.isChurn);
+    if (!muted) {
+      return false;
+    }
+    
+    stats.suppressedCount++;
+    stats.lastText = change.content.text;
+    
+    if (this.options.churnMode === 'digest') {
+      this._scheduleChurnDigest();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Add a change to an element's update history and classify its cadence
+   * @private
+   * @param {string} key - Element fingerprint
+   * @param {Object} change - Change data object
+   * @returns {Object} - Churn statistics for the element
+   */
+  _recordChurnSample(key, change) {
+    let stats = this.churnStats.get(key);
+    
+    if (!stats) {
+      // Forget the least recently updated element when the limit is reached
+      if (this.churnStats.size >= this.options.maxChurnEntries) {
+        this.churnStats.delete(this.churnStats.keys().next().value);
+      }
+      
+      stats = {
+        key,
+        label: '',
+        timestamps: [],
+        changeCount: 0,
+        suppressedCount: 0,
+        lastText: '',
+        averageInterval: 0,
+        isChurn: false
+      };
+    } else {
+      // Re-insert to keep the map ordered by most recent update
+      this.churnStats.delete(key);
+    }
+    this.churnStats.set(key, stats);
+    
+    stats.label = this._getChurnLabel(change);
+    stats.changeCount++;
+    stats.timestamps.push(change.timestamp);
+    if (stats.timestamps.length > this.options.churnMinSamples * 3) {
+      stats.timestamps.shift();
+    }
+    
+    if (stats.timestamps.length < this.options.churnMinSamples) {
+      return stats;
+    }
+    
+    const intervals = [];
+    for (let i = 1; i < stats.timestamps.length; i++) {
+      intervals.push(stats.timestamps[i] - stats.timestamps[i - 1]);
+    }
+    
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    const variance = intervals.reduce((sum, interval) => sum + Math.pow(interval - mean, 2), 0) / intervals.length;
+    const variation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+    
+    // A stream that has paused for longer than the max interval is no longer churning
+    const sinceLast = Date.now() - stats.timestamps[stats.timestamps.length - 2];
+    
+    stats.averageInterval = mean;
+    stats.isChurn = sinceLast <= this.options.churnMaxInterval && (
+      mean <= this.options.churnBurstInterval ||
+      (mean <= this.options.churnMaxInterval && variation <= this.options.churnCadenceTolerance)
+    );
+    
+    return stats;
+  }
+
+  /**
+   * Get a human-readable name for an element tracked for churn
+   * @private
+   * @param {Object} change - Change data object
+   * @returns {string} - Element name
+   */
+  _getChurnLabel(change) {
+    const context = change.context || {};
+    const label = context.label ||
+                  context.parentContext?.section ||
+                  context.parentContext?.heading ||
+                  change.content.text;
+    
+    return (label || 'Unnamed element').trim().substring(0, 40);
+  }
+
+  /**
+   * Schedule a digest of muted updates
+   * @private
+   */
+  _scheduleChurnDigest() {
+    if (this.churnDigestTimer) {
+      return;
+    }
+    
+    this.churnDigestTimer = setTimeout(() => {
+      this.churnDigestTimer = null;
+      this._emitChurnDigest();
+    }, this.options.churnDigestInterval);
+  }
+
+  /**
+   * Notify listeners of a single change summarising muted updates
+   * @private
+   */
+  _emitChurnDigest() {
+    const entries = Array.from(this.churnStats.values())
+      .filter(stats => stats.suppressedCount > 0);
+    
+    if (entries.length === 0 || !this.observer) {
+      return;
+    }
+    
+    const text = 'Frequently updating content: ' + entries
+      .map(stats => `${stats.label} updated ${stats.suppressedCount} times, now ${stats.lastText}`)
+      .join('; ');
+    
+    const digest = {
+      type: 'digest',
+      content: {
+        text: text,
+        html: '',
+        old: '',
+        new: text
+      },
+      element: document.body,
+      timestamp: Date.now(),
+      context: this._extractContextInfo(document.body, 'digest'),
+      churn: entries.map(stats => ({
+        key: stats.key,
+        label: stats.label,
+        suppressedCount: stats.suppressedCount,
+        lastText: stats.lastText
+      })),
+      mutations: []
+    };
+    
+    for (const stats of entries) {
+      stats.suppressedCount = 0;
+    }
+    
+    this._notifyChangeListeners([digest]);
+  }
+
+  /**
+   * Get the elements tracked for churn, including whether they are muted
+   * @returns {Array} - Churn information per element
+   */
+  getChurnElements() {
+    return Array.from(this.churnStats.values())
+      .filter(stats => stats.isChurn || this.churnOverrides[stats.key])
+      .map(stats => {
+        const override = this.churnOverrides[stats.key] || null;
+        return {
+          key: stats.key,
+          label: stats.label,
+          autoMuted: stats.isChurn,
+          override: override,
+          muted: override === 'mute' || (override !== 'unmute' && stats.isChurn),
+          averageInterval: Math.round(stats.averageInterval),
+          changeCount: stats.changeCount,
+          suppressedCount: stats.suppressedCount
+        };
+      });
+  }
+
+  /**
+   * Find the updating element that contains an element, e.g. one the user right-clicked
+   * @param {Element} element - DOM element
+   * @returns {Object|null} - Key, label and mute state of the nearest tracked element, or null if none has updated
+   */
+  getChurnElementFor(element) {
+    for (let current = element; current && !this._isPageRoot(current); current = current.parentElement) {
+      if (current.nodeType !== Node.ELEMENT_NODE) {
+        continue;
+      }
+      
+      const key = this.fingerprints.getFingerprint(current);
+      const stats = this.churnStats.get(key);
+      const override = this.churnOverrides[key] || null;
+      
+      if (stats || override) {
+        return {
+          key,
+          label: stats ? stats.label : this._getChurnLabel({ content: { text: current.textContent } }),
+          override,
+          muted: override === 'mute' || (override !== 'unmute' && Boolean(stats && stats.isChurn))
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Override automatic churn classification for an element
+   * @param {string} key - Element fingerprint from getChurnElements()
+   * @param {string|null} override - 'mute', 'unmute', or null to restore automatic behaviour
+   */
+  setChurnOverride(key, override) {
+    if (override === 'mute' || override === 'unmute') {
+      this.churnOverrides[key] = override;
+    } else {
+      delete this.churnOverrides[key];
+    }
+  }
+
+  /**
+   * Replace all churn overrides (e.g. when loading them from storage)
+   * @param {Object} overrides - Overrides keyed by stable element key
+   */
+  setChurnOverrides(overrides) {
+    this.churnOverrides = { ...(overrides || {}) };
+  }
+
+  /**
+   * Get the current churn overrides
+   * @returns {Object} - Overrides keyed by stable element key
+   */
+  getChurnOverrides() {
+    return { ...this.churnOverrides };
+  }
+
+  /**
+   * Start recording observed mutations, DOM snapshots and reported changes
+   * @param {Object} [options] - Mutation recorder options
+   */
+  startRecording(options = {}) {
+    this.recorder = new MutationRecorderModule(options);
+    this.recorder.start(document.documentElement, this.options);
+  }
+
+  /**
+   * Stop recording and return the recording for export as JSON
+   * @returns {Object|null} - Recording, or null if nothing was being recorded
+   */
+  stopRecording() {
+    if (!this.recorder) {
+      return null;
+    }
+    
+    const recording = this.recorder.stop();
+    this.recorder = null;
+    return recording;
+  }
+
+  /**
+   * Check if a recording is in progress
+   * @returns {boolean} - True if recording
+   */
+  isRecording() {
+    return this.recorder !== null;
+  }
+
+  /**
+   * Add a change forwarded from a sub-frame to the recording in progress, if any
+   * @param {Object} frameChange - Forwarded change data, with the id of the frame it came from
+   */
+  recordFrameChange(frameChange) {
+    if (this.isRecording()) {
+      this.recorder.recordFrameChange(frameChange);
+    }
   }
 
   /**
@@ -644,6 +4650,17 @@ class ContentDetectionModule {
    * @param {Array} changes - Array of change data objects
    */
   _notifyChangeListeners(changes) {
+    // Every change carries the identity of its element, for consumers that outlive the node
+    for (const change of changes) {
+      if (!change.fingerprint) {
+        change.fingerprint = this.fingerprints.getFingerprint(change.element);
+      }
+    }
+    
+    if (this.isRecording()) {
+      this.recorder.recordChanges(changes);
+    }
+    
     for (const listener of this.changeListeners) {
       try {
         listener(changes);
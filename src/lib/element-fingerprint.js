@@ -0,0 +1,244 @@
+// Element Fingerprint Module
+// Responsible for identifying elements in a way that survives framework re-renders
+
+class ElementFingerprintModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxNameLength: 60, // characters of the accessible name included in a fingerprint
+      maxPathDepth: 12, // ancestors walked for the structural path
+      ...options
+    };
+    
+    // Landmarks that anchor the landmark path and end the structural path
+    this.landmarkRoles = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search', 'dialog', 'alertdialog'];
+    
+    // Roles whose accessible name comes from their content
+    this.nameFromContentRoles = ['button', 'link', 'heading', 'tab', 'menuitem', 'option', 'columnheader', 'rowheader'];
+    
+    // Explicit and implicit roles
+    this.roles = new AriaRoleModule();
+  }
+
+  /**
+   * Get a fingerprint for an element that stays the same when the element is re-rendered
+   * @param {Element} element - DOM element
+   * @returns {string} - Fingerprint, e.g. "fp-1a2b3c4d"
+   */
+  getFingerprint(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return 'fp-none';
+    }
+    
+    const description = this.describe(element);
+    const source = [
+      description.role,
+      description.name,
+      description.landmarkPath,
+      description.structuralPath
+    ].join('|');
+    
+    return `fp-${this._hash(source)}`;
+  }
+
+  /**
+   * Describe the parts a fingerprint is built from
+   * @param {Element} element - DOM element
+   * @returns {Object} - Role, accessible name, landmark path and structural path
+   */
+  describe(element) {
+    const role = this._getRole(element);
+    
+    return {
+      role,
+      name: this._normalizeName(this._getName(element, role)),
+      landmarkPath: this._getLandmarkPath(element),
+      structuralPath: this._getStructuralPath(element)
+    };
+  }
+
+  /**
+   * Get the explicit or implicit role of an element
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {string} - Role, or the tag name for elements without one
+   */
+  _getRole(element) {
+    // Elements without semantics are told apart by their tag
+    const role = this.roles.getRole(element);
+    return role && role !== 'generic' ? role : element.localName;
+  }
+
+  /**
+   * Get an element's accessible name, from attributes or, for roles named by content, from text
+   * @private
+   * @param {Element} element - DOM element
+   * @param {string} role - Element role
+   * @returns {string} - Accessible name, or empty string
+   */
+  _getName(element, role) {
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) {
+      return ariaLabel;
+    }
+    
+    const root = element.getRootNode ? element.getRootNode() : document;
+    const scope = root.getElementById ? root : document;
+    
+    const labelledBy = (element.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map(id => id ? scope.getElementById(id) : null)
+      .filter(label => label !== null)
+      .map(label => label.textContent)
+      .join(' ');
+    if (labelledBy.trim()) {
+      return labelledBy;
+    }
+    
+    // Form fields are named by their label
+    if (element.labels && element.labels.length > 0) {
+      return element.labels[0].textContent;
+    }
+    
+    const attributeName = element.getAttribute('alt') || element.getAttribute('title') ||
+                          element.getAttribute('placeholder') || element.getAttribute('name');
+    if (attributeName) {
+      return attributeName;
+    }
+    
+    // Other elements' text is the content that changes, so it can't identify them
+    if (this.nameFromContentRoles.includes(role)) {
+      return element.textContent || '';
+    }
+    
+    return '';
+  }
+
+  /**
+   * Normalise a name so counters and timestamps in it don't change the fingerprint
+   * @private
+   * @param {string} name - Accessible name
+   * @returns {string} - Normalised name
+   */
+  _normalizeName(name) {
+    return (name || '')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .replace(/\d+([.,:]\d+)*/g, '#')
+      .toLowerCase()
+      .substring(0, this.options.maxNameLength);
+  }
+
+  /**
+   * Get the landmarks containing an element, outermost first, e.g. "main>region:order book"
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {string} - Landmark path
+   */
+  _getLandmarkPath(element) {
+    const landmarks = [];
+    let current = this._getParent(element);
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      const role = this._getRole(current);
+      if (this.landmarkRoles.includes(role)) {
+        const name = this._normalizeName(this._getName(current, role));
+        landmarks.unshift(name ? `${role}:${name}` : role);
+      }
+      current = this._getParent(current);
+    }
+    
+    return landmarks.join('>');
+  }
+
+  /**
+   * Get the element's position below its nearest landmark or stably identified ancestor,
+   * e.g. "ul:1>li:3>span:1"
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {string} - Structural path
+   */
+  _getStructuralPath(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE && parts.length < this.options.maxPathDepth) {
+      if (this._isStableId(current.id)) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+      
+      // Position among siblings of the same tag
+      let index = 1;
+      let sibling = current.previousElementSibling;
+      while (sibling) {
+        if (sibling.localName === current.localName) {
+          index++;
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      parts.unshift(`${current.localName}:${index}`);
+      
+      // The landmark path already places everything above the nearest landmark
+      if (current !== element && this.landmarkRoles.includes(this._getRole(current))) {
+        break;
+      }
+      
+      current = this._getParent(current);
+    }
+    
+    return parts.join('>');
+  }
+
+  /**
+   * Check if an id is likely to be the same after a re-render
+   * @private
+   * @param {string} id - Element id
+   * @returns {boolean} - True if the id looks hand-written rather than generated
+   */
+  _isStableId(id) {
+    if (!id) {
+      return false;
+    }
+    
+    // Generated ids carry counters or framework prefixes (e.g. ":r5:", "ember123", "mui-42")
+    return !/\d{2,}|^:|^(ember|react|vue|ng|mui|radix|headlessui)[-_:]?/i.test(id);
+  }
+
+  /**
+   * Get the parent of an element, crossing from shadow roots to their hosts
+   * @private
+   * @param {Element} element - DOM element
+   * @returns {Element|null} - Parent element
+   */
+  _getParent(element) {
+    if (element.parentElement) {
+      return element.parentElement;
+    }
+    
+    const parent = element.parentNode;
+    return parent && parent.host ? parent.host : null;
+  }
+
+  /**
+   * Hash a string with 32-bit FNV-1a
+   * @private
+   * @param {string} text - Text to hash
+   * @returns {string} - Hash as 8 hex digits
+   */
+  _hash(text) {
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementFingerprintModule;
+}
@@ -0,0 +1,282 @@
+// Extractive Summarizer Module
+// Responsible for shortening long changes on the device: picks the sentences that matter most
+// (TextRank-style centrality, keyword salience, numbers, errors, the element's label) instead of
+// cutting the text off at a fixed length
+
+class ExtractiveSummarizerModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxLength: 150, // characters in a summary
+      maxSentences: 40, // sentences ranked; the rest of a very long text is ignored
+      damping: 0.85, // TextRank damping factor
+      iterations: 30, // maximum ranking iterations
+      tolerance: 0.0001, // ranking stops once scores change less than this
+      ...options
+    };
+    
+    // How much each signal adds to a sentence's score
+    this.weights = {
+      rank: 0.5, // centrality: how much the sentence shares with the others
+      salience: 0.3, // how many of the text's frequent keywords it contains
+      number: 0.15, // prices, counts, dates
+      error: 0.35, // errors and warnings are what the user most needs to hear
+      label: 0.2, // mentions the element the change happened in
+      lead: 0.1 // opening sentences tend to say what the rest is about
+    };
+    
+    // Words that carry no meaning on their own
+    this.stopWords = [
+      'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+      'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+      'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+      'me', 'more', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'some', 'than', 'that', 'the', 'their',
+      'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we', 'were',
+      'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+    ];
+    
+    // Abbreviations whose full stop doesn't end a sentence
+    this.abbreviations = [
+      'approx', 'dept', 'dr', 'e.g', 'etc', 'i.e', 'inc', 'jr', 'ltd', 'mr', 'mrs', 'ms', 'no', 'prof',
+      'sr', 'st', 'vs'
+    ];
+    
+    this.errorPattern = /\b(error|errors|failed|failure|invalid|required|denied|declined|unable|cannot|can't|warning|expired|incorrect|missing)\b/i;
+  }
+
+  /**
+   * Summarize a text by extracting its most important sentences
+   * @param {string} text - Text to summarize
+   * @param {Object} [options] - Summary options
+   * @param {string} [options.label] - Label of the element the text belongs to
+   * @param {number} [options.maxLength] - Characters in the summary, overriding the module option
+   * @returns {string} - Summary, in the text's own words and sentence order
+   */
+  summarize(text, options = {}) {
+    const maxLength = options.maxLength || this.options.maxLength;
+    const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+    
+    if (cleaned.length <= maxLength) {
+      return cleaned;
+    }
+    
+    const sentences = this.segmentSentences(cleaned).slice(0, this.options.maxSentences);
+    if (sentences.length <= 1) {
+      return this._truncate(cleaned, maxLength);
+    }
+    
+    const scores = this._scoreSentences(sentences, options.label || '');
+    return this._selectSentences(sentences, scores, maxLength);
+  }
+
+  /**
+   * Split a text into sentences
+   * @param {string} text - Text, with whitespace collapsed
+   * @returns {string[]} - Sentences
+   */
+  segmentSentences(text) {
+    const sentences = [];
+    // End punctuation and any closing quotes or brackets, then a space before the next sentence
+    const boundary = /([.!?…]+)["'”’)\]]*\s+(?=["'“‘(\[]?[\p{Lu}\p{N}])/gu;
+    let start = 0;
+    let match;
+    
+    while ((match = boundary.exec(text)) !== null) {
+      const end = match.index + match[0].trimEnd().length;
+      if (match[1] === '.' && this._endsWithAbbreviation(text.substring(start, match.index))) {
+        continue;
+      }
+      
+      sentences.push(text.substring(start, end).trim());
+      start = match.index + match[0].length;
+    }
+    
+    sentences.push(text.substring(start).trim());
+    return sentences.filter(sentence => sentence);
+  }
+
+  /**
+   * Score sentences by centrality, keyword salience and content the user needs to hear
+   * @private
+   * @param {string[]} sentences - Sentences
+   * @param {string} label - Label of the element the text belongs to
+   * @returns {number[]} - Score of each sentence
+   */
+  _scoreSentences(sentences, label) {
+    const tokens = sentences.map(sentence => this._tokenize(sentence));
+    const ranks = this._normalize(this._rankSentences(tokens));
+    const salience = this._normalize(this._getSalience(tokens));
+    const labelTokens = this._tokenize(label);
+    
+    return sentences.map((sentence, index) => {
+      const mentionsLabel = labelTokens.length > 0 && labelTokens.every(token => tokens[index].includes(token));
+      
+      return this.weights.rank * ranks[index] +
+             this.weights.salience * salience[index] +
+             (/\d/.test(sentence) ? this.weights.number : 0) +
+             (this.errorPattern.test(sentence) ? this.weights.error : 0) +
+             (mentionsLabel ? this.weights.label : 0) +
+             (index === 0 ? this.weights.lead : 0);
+    });
+  }
+
+  /**
+   * Rank sentences with TextRank: PageRank over a graph weighted by shared words
+   * @private
+   * @param {Array<string[]>} tokens - Content words of each sentence
+   * @returns {number[]} - Rank of each sentence
+   */
+  _rankSentences(tokens) {
+    const count = tokens.length;
+    const similarity = tokens.map((first, i) => tokens.map((second, j) => (i === j ? 0 : this._similarity(first, second))));
+    const totals = similarity.map(row => row.reduce((sum, weight) => sum + weight, 0));
+    let ranks = new Array(count).fill(1 / count);
+    
+    for (let iteration = 0; iteration < this.options.iterations; iteration++) {
+      const next = ranks.map((rank, i) => {
+        let incoming = 0;
+        for (let j = 0; j < count; j++) {
+          if (totals[j] > 0) {
+            incoming += (similarity[j][i] / totals[j]) * ranks[j];
+          }
+        }
+        return (1 - this.options.damping) / count + this.options.damping * incoming;
+      });
+      
+      const change = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+      ranks = next;
+      if (change < this.options.tolerance) {
+        break;
+      }
+    }
+    
+    return ranks;
+  }
+
+  /**
+   * Measure how much two sentences share, normalised by their length (Mihalcea and Tarau)
+   * @private
+   * @param {string[]} first - Content words of one sentence
+   * @param {string[]} second - Content words of the other
+   * @returns {number} - Similarity, 0 if they share nothing
+   */
+  _similarity(first, second) {
+    if (first.length === 0 || second.length === 0) {
+      return 0;
+    }
+    
+    const shared = new Set(first.filter(token => second.includes(token))).size;
+    return shared / (Math.log(first.length + 1) + Math.log(second.length + 1));
+  }
+
+  /**
+   * Score sentences by how many of the text's frequent keywords they contain
+   * @private
+   * @param {Array<string[]>} tokens - Content words of each sentence
+   * @returns {number[]} - Salience of each sentence
+   */
+  _getSalience(tokens) {
+    const frequencies = new Map();
+    for (const token of tokens.flat()) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    
+    // Longer sentences contain more keywords, so the total is damped by length
+    return tokens.map(sentenceTokens => {
+      const unique = Array.from(new Set(sentenceTokens));
+      const total = unique.reduce((sum, token) => sum + frequencies.get(token), 0);
+      return unique.length > 0 ? total / Math.sqrt(unique.length) : 0;
+    });
+  }
+
+  /**
+   * Pick the best sentences that fit in the summary, keeping them in text order
+   * @private
+   * @param {string[]} sentences - Sentences
+   * @param {number[]} scores - Score of each sentence
+   * @param {number} maxLength - Characters in the summary
+   * @returns {string} - Summary
+   */
+  _selectSentences(sentences, scores, maxLength) {
+    const ranked = sentences
+      .map((sentence, index) => ({ sentence, index, score: scores[index] }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+    
+    const selected = [];
+    let length = 0;
+    
+    for (const candidate of ranked) {
+      const added = candidate.sentence.length + (selected.length > 0 ? 1 : 0);
+      if (length + added <= maxLength) {
+        selected.push(candidate);
+        length += added;
+      }
+    }
+    
+    // Even the best sentence is too long, so it is shortened rather than skipped
+    if (selected.length === 0) {
+      return this._truncate(ranked[0].sentence, maxLength);
+    }
+    
+    return selected
+      .sort((a, b) => a.index - b.index)
+      .map(candidate => candidate.sentence)
+      .join(' ');
+  }
+
+  /**
+   * Split a sentence into lowercase content words, without stop words or plural endings
+   * @private
+   * @param {string} sentence - Sentence
+   * @returns {string[]} - Content words
+   */
+  _tokenize(sentence) {
+    return (sentence.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [])
+      .filter(word => !this.stopWords.includes(word))
+      .map(word => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Check if a text ends with an abbreviation or an initial, so its full stop doesn't end a sentence
+   * @private
+   * @param {string} text - Text before the full stop
+   * @returns {boolean} - True if the last word is an abbreviation
+   */
+  _endsWithAbbreviation(text) {
+    const lastWord = (text.split(' ').pop() || '').toLowerCase();
+    return this.abbreviations.includes(lastWord) || /^\p{L}$/u.test(lastWord);
+  }
+
+  /**
+   * Scale scores so the highest is 1
+   * @private
+   * @param {number[]} values - Scores
+   * @returns {number[]} - Scaled scores
+   */
+  _normalize(values) {
+    const max = Math.max(...values);
+    return max > 0 ? values.map(value => value / max) : values.map(() => 0);
+  }
+
+  /**
+   * Shorten a text at a word boundary
+   * @private
+   * @param {string} text - Text
+   * @param {number} maxLength - Characters allowed, including the ellipsis
+   * @returns {string} - Shortened text
+   */
+  _truncate(text, maxLength) {
+    if (text.length <= maxLength) {
+      return text;
+    }
+    
+    const cut = text.substring(0, maxLength - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s,;:]+$/, '') + '...';
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExtractiveSummarizerModule;
+}
@@ -0,0 +1,87 @@
+// Frame Relay Module
+// Responsible for turning changes forwarded from sub-frames into alerts in the top frame,
+// dropping copies of one change that reach it twice
+
+class FrameRelayModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      duplicateWindow: 2000, // ms within which the same change from another script in the frame is a copy
+      ...options
+    };
+    
+    // Arrival time of accepted changes, by change id
+    this.seenIds = new Map();
+    
+    // Source and arrival time of the last accepted change, by frame and summary
+    this.recentSummaries = new Map();
+  }
+
+  /**
+   * Check if a forwarded change should be announced
+   * @param {Object} frameChange - Forwarded change data, with the id of the frame it came from
+   * @returns {boolean} - False if the change is a copy of one already accepted
+   */
+  accept(frameChange) {
+    const now = Date.now();
+    this._expire(now);
+    
+    // The same message can be delivered twice
+    if (this.seenIds.has(frameChange.id)) {
+      return false;
+    }
+    
+    // A second copy of the content script in the same frame (e.g. re-injected into an about:blank
+    // frame) reporting the same change; repeats from one script, or from other frames, are real updates
+    const summaryKey = `${frameChange.frameId}|${frameChange.summary}`;
+    const recent = this.recentSummaries.get(summaryKey);
+    if (recent && recent.source !== frameChange.source) {
+      return false;
+    }
+    
+    this.seenIds.set(frameChange.id, now);
+    this.recentSummaries.set(summaryKey, { source: frameChange.source, timestamp: now });
+    return true;
+  }
+
+  /**
+   * Build the alert for a forwarded change
+   * @param {Object} frameChange - Forwarded change data
+   * @returns {Object} - Alert data object
+   */
+  getAlertData(frameChange) {
+    return {
+      summary: frameChange.summary,
+      priority: frameChange.priority,
+      contentType: frameChange.contentType,
+      urgency: frameChange.urgency,
+      details: frameChange.details,
+      supersedeKey: frameChange.supersedeKey,
+      frameContext: frameChange.frameContext
+    };
+  }
+
+  /**
+   * Forget changes older than the duplicate window
+   * @private
+   * @param {number} now - Current time in ms
+   */
+  _expire(now) {
+    for (const [id, timestamp] of this.seenIds) {
+      if (now - timestamp > this.options.duplicateWindow) {
+        this.seenIds.delete(id);
+      }
+    }
+    
+    for (const [summaryKey, recent] of this.recentSummaries) {
+      if (now - recent.timestamp > this.options.duplicateWindow) {
+        this.recentSummaries.delete(summaryKey);
+      }
+    }
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrameRelayModule;
+}
@@ -0,0 +1,505 @@
+// Mutation Recorder Module
+// Responsible for serializing observed DOM mutations so a session can be replayed offline
+
+class MutationRecorderModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxBatches: 5000, // maximum number of mutation batches kept in a recording
+      maxChanges: 2000, // maximum number of change objects kept in a recording
+      omitScriptContent: true, // whether to drop the source of inline scripts from snapshots
+      ...options
+    };
+    
+    this.recording = null;
+    this.startTime = 0;
+    this.lastUrl = null;
+    this.lastTitle = null;
+    
+    // Node identity shared between the snapshot and later mutation batches
+    this.nodeIds = new WeakMap();
+    this.nextNodeId = 1;
+    
+    // Nodes by id, used when restoring a recording
+    this.nodesById = new Map();
+  }
+
+  /**
+   * Start recording: snapshot the document and reset the mutation log
+   * @param {Element} root - Root element to snapshot (usually document.documentElement)
+   * @param {Object} [detectorOptions] - Options of the content detector being recorded
+   */
+  start(root, detectorOptions = {}) {
+    this.startTime = Date.now();
+    this.nodeIds = new WeakMap();
+    this.nextNodeId = 1;
+    
+    this.recording = {
+      version: 1,
+      url: window.location.href,
+      title: document.title,
+      userAgent: navigator.userAgent,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight
+      },
+      startedAt: new Date(this.startTime).toISOString(),
+      duration: 0,
+      options: this._toSerializable(detectorOptions),
+      snapshot: this._serializeNode(root),
+      batches: [],
+      changes: [],
+      frameChanges: [],
+      truncated: false
+    };
+    
+    this.lastUrl = this.recording.url;
+    this.lastTitle = this.recording.title;
+  }
+
+  /**
+   * Stop recording and return the recording
+   * @returns {Object|null} - Recording, or null if nothing was being recorded
+   */
+  stop() {
+    const recording = this.recording;
+    if (!recording) {
+      return null;
+    }
+    
+    recording.duration = Date.now() - this.startTime;
+    this.recording = null;
+    
+    return recording;
+  }
+
+  /**
+   * Check if a recording is in progress
+   * @returns {boolean} - True if recording
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Record a batch of mutation records as delivered by the MutationObserver
+   * @param {MutationRecord[]} mutations - Array of mutation records
+   */
+  recordMutations(mutations) {
+    if (!this.recording) {
+      return;
+    }
+    
+    if (this.recording.batches.length >= this.options.maxBatches) {
+      this.recording.truncated = true;
+      return;
+    }
+    
+    // Nodes added in this batch are serialized with their current subtree, so
+    // additions nested inside another addition are already covered by it
+    const addedNodes = new Set();
+    for (const mutation of mutations) {
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => addedNodes.add(node));
+      }
+    }
+    
+    const batch = {
+      time: Date.now() - this.startTime,
+      mutations: mutations.map(mutation => this._serializeMutation(mutation, addedNodes))
+    };
+    
+    // Route and title changes are not visible to an observer on the body
+    if (window.location.href !== this.lastUrl) {
+      batch.url = this.lastUrl = window.location.href;
+    }
+    if (document.title !== this.lastTitle) {
+      batch.title = this.lastTitle = document.title;
+    }
+    
+    this.recording.batches.push(batch);
+  }
+
+  /**
+   * Record a shadow root found on an element already in the recording
+   * @param {ShadowRoot} shadowRoot - Shadow root, with the contents it has when found
+   */
+  recordShadowRoot(shadowRoot) {
+    if (!this.recording || !this.nodeIds.has(shadowRoot.host) || this.nodeIds.has(shadowRoot)) {
+      return; // Roots of hosts added in a recorded batch are serialized with them
+    }
+    
+    if (this.recording.batches.length >= this.options.maxBatches) {
+      this.recording.truncated = true;
+      return;
+    }
+    
+    this.recording.batches.push({
+      time: Date.now() - this.startTime,
+      mutations: [{
+        type: 'shadowRoot',
+        target: this._getNodeId(shadowRoot.host),
+        shadowRoot: {
+          id: this._getNodeId(shadowRoot),
+          children: Array.from(shadowRoot.childNodes).map(child => this._serializeNode(child))
+        }
+      }]
+    });
+  }
+
+  /**
+   * Record an input event on a field or editor, which tells the detector what is the echo of typing
+   * @param {Element} element - Field or editing host the event was for
+   * @param {string} type - Event type (input, keydown, compositionstart, ...)
+   */
+  recordUserInput(element, type) {
+    if (!this.recording || !this.nodeIds.has(element)) {
+      return;
+    }
+    
+    if (this.recording.batches.length >= this.options.maxBatches) {
+      this.recording.truncated = true;
+      return;
+    }
+    
+    this.recording.batches.push({
+      time: Date.now() - this.startTime,
+      mutations: [{ type: 'userInput', target: this._getNodeId(element), event: type }]
+    });
+  }
+
+  /**
+   * Record change objects reported by the content detector
+   * @param {Array} changes - Array of change data objects
+   */
+  recordChanges(changes) {
+    if (!this.recording) {
+      return;
+    }
+    
+    for (const change of changes) {
+      if (this.recording.changes.length >= this.options.maxChanges) {
+        this.recording.truncated = true;
+        return;
+      }
+      
+      const { element, mutations, ...rest } = change;
+      
+      this.recording.changes.push({
+        ...this._toSerializable(rest),
+        time: Date.now() - this.startTime,
+        elementId: element ? this.nodeIds.get(element) || null : null,
+        mutationCount: mutations ? mutations.length : 0
+      });
+    }
+  }
+
+  /**
+   * Record a change forwarded to the top frame by a sub-frame
+   * @param {Object} frameChange - Forwarded change data, with the id of the frame it came from
+   */
+  recordFrameChange(frameChange) {
+    if (!this.recording) {
+      return;
+    }
+    
+    if (this.recording.frameChanges.length >= this.options.maxChanges) {
+      this.recording.truncated = true;
+      return;
+    }
+    
+    this.recording.frameChanges.push({
+      time: Date.now() - this.startTime,
+      change: this._toSerializable(frameChange)
+    });
+  }
+
+  /**
+   * Rebuild a recorded snapshot as the document's root element
+   * @param {Document} doc - Document to restore into
+   * @param {Object} snapshot - Serialized root element from a recording
+   */
+  restoreSnapshot(doc, snapshot) {
+    this.nodesById = new Map();
+    
+    const root = this._deserializeNode(doc, snapshot);
+    doc.replaceChild(root, doc.documentElement);
+  }
+
+  /**
+   * Apply a recorded mutation batch to a restored document
+   * @param {Document} doc - Document the snapshot was restored into
+   * @param {Object} batch - Recorded mutation batch
+   */
+  applyBatch(doc, batch) {
+    for (const mutation of batch.mutations) {
+      const target = this.nodesById.get(mutation.target);
+      if (!target) {
+        continue; // Node was never seen by the recorder
+      }
+      
+      switch (mutation.type) {
+        case 'attributes':
+          if (mutation.value === null) {
+            target.removeAttribute(mutation.name);
+          } else {
+            target.setAttribute(mutation.name, mutation.value);
+          }
+          break;
+        
+        case 'characterData':
+          target.data = mutation.value;
+          break;
+        
+        case 'childList':
+          this._applyChildList(doc, target, mutation);
+          break;
+        
+        case 'shadowRoot':
+          this._attachShadowRoot(doc, target, mutation.shadowRoot);
+          break;
+        
+        case 'userInput':
+          target.dispatchEvent(new doc.defaultView.Event(mutation.event, { bubbles: true, composed: true }));
+          break;
+      }
+    }
+  }
+
+  /**
+   * Serialize a mutation record
+   * @private
+   * @param {MutationRecord} mutation - Mutation record
+   * @param {Set<Node>} addedNodes - All nodes added in the same batch
+   * @returns {Object} - Serialized mutation
+   */
+  _serializeMutation(mutation, addedNodes) {
+    const serialized = {
+      type: mutation.type,
+      target: this._getNodeId(mutation.target)
+    };
+    
+    switch (mutation.type) {
+      case 'attributes':
+        serialized.name = mutation.attributeName;
+        serialized.value = mutation.target.getAttribute(mutation.attributeName);
+        serialized.oldValue = mutation.oldValue;
+        break;
+      
+      case 'characterData':
+        serialized.value = mutation.target.data;
+        serialized.oldValue = mutation.oldValue;
+        break;
+      
+      case 'childList':
+        serialized.removed = Array.from(mutation.removedNodes)
+          .map(node => this.nodeIds.get(node))
+          .filter(id => id !== undefined);
+        serialized.added = Array.from(mutation.addedNodes)
+          .filter(node => !this._hasAddedAncestor(node, addedNodes))
+          .map(node => this._serializeNode(node));
+        serialized.next = mutation.nextSibling ? this._getNodeId(mutation.nextSibling) : null;
+        break;
+    }
+    
+    return serialized;
+  }
+
+  /**
+   * Check if a node is inside another node added in the same batch
+   * @private
+   * @param {Node} node - Added node
+   * @param {Set<Node>} addedNodes - All nodes added in the batch
+   * @returns {boolean} - True if an ancestor was also added
+   */
+  _hasAddedAncestor(node, addedNodes) {
+    let current = node.parentNode;
+    while (current) {
+      if (addedNodes.has(current)) {
+        return true;
+      }
+      current = current.parentNode || current.host || null;
+    }
+    return false;
+  }
+
+  /**
+   * Serialize a node and its subtree, assigning ids in document order
+   * @private
+   * @param {Node} node - Node to serialize
+   * @returns {Object} - Serialized node
+   */
+  _serializeNode(node) {
+    const serialized = { id: this._getNodeId(node) };
+    
+    if (node.nodeType === Node.TEXT_NODE) {
+      serialized.text = node.data;
+      return serialized;
+    }
+    
+    if (node.nodeType === Node.COMMENT_NODE) {
+      serialized.comment = node.data;
+      return serialized;
+    }
+    
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      serialized.comment = '';
+      return serialized;
+    }
+    
+    serialized.tag = node.localName;
+    if (node.namespaceURI && node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      serialized.namespace = node.namespaceURI;
+    }
+    
+    serialized.attributes = {};
+    for (const attribute of Array.from(node.attributes)) {
+      serialized.attributes[attribute.name] = attribute.value;
+    }
+    
+    const omitChildren = this.options.omitScriptContent && node.localName === 'script';
+    serialized.children = omitChildren
+      ? []
+      : Array.from(node.childNodes).map(child => this._serializeNode(child));
+    
+    if (node.shadowRoot) {
+      serialized.shadowRoot = {
+        id: this._getNodeId(node.shadowRoot),
+        children: Array.from(node.shadowRoot.childNodes).map(child => this._serializeNode(child))
+      };
+    }
+    
+    return serialized;
+  }
+
+  /**
+   * Rebuild a serialized node and its subtree
+   * @private
+   * @param {Document} doc - Document to create nodes in
+   * @param {Object} serialized - Serialized node
+   * @returns {Node} - Rebuilt node
+   */
+  _deserializeNode(doc, serialized) {
+    let node;
+    
+    if (serialized.text !== undefined) {
+      node = doc.createTextNode(serialized.text);
+    } else if (serialized.comment !== undefined) {
+      node = doc.createComment(serialized.comment);
+    } else {
+      node = serialized.namespace
+        ? doc.createElementNS(serialized.namespace, serialized.tag)
+        : doc.createElement(serialized.tag);
+      
+      for (const [name, value] of Object.entries(serialized.attributes || {})) {
+        try {
+          node.setAttribute(name, value);
+        } catch (error) {
+          // Attribute names valid in the page may be rejected by setAttribute
+        }
+      }
+      
+      for (const child of serialized.children || []) {
+        node.appendChild(this._deserializeNode(doc, child));
+      }
+      
+      if (serialized.shadowRoot) {
+        this._attachShadowRoot(doc, node, serialized.shadowRoot);
+      }
+    }
+    
+    this.nodesById.set(serialized.id, node);
+    return node;
+  }
+
+  /**
+   * Rebuild a serialized shadow root on its host
+   * @private
+   * @param {Document} doc - Document to create nodes in
+   * @param {Element} host - Host element
+   * @param {Object} serialized - Serialized shadow root
+   */
+  _attachShadowRoot(doc, host, serialized) {
+    try {
+      const shadowRoot = host.attachShadow({ mode: 'open' });
+      this.nodesById.set(serialized.id, shadowRoot);
+      
+      for (const child of serialized.children) {
+        shadowRoot.appendChild(this._deserializeNode(doc, child));
+      }
+    } catch (error) {
+      // Element can't host a shadow root in this environment
+    }
+  }
+
+  /**
+   * Apply a recorded childList mutation
+   * @private
+   * @param {Document} doc - Document being replayed
+   * @param {Node} target - Parent node
+   * @param {Object} mutation - Serialized childList mutation
+   */
+  _applyChildList(doc, target, mutation) {
+    for (const id of mutation.removed) {
+      const node = this.nodesById.get(id);
+      if (node && node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+    }
+    
+    let reference = mutation.next !== null ? this.nodesById.get(mutation.next) : null;
+    if (reference && reference.parentNode !== target) {
+      reference = null;
+    }
+    
+    for (const serialized of mutation.added) {
+      const existing = this.nodesById.get(serialized.id);
+      if (existing && existing.parentNode) {
+        existing.parentNode.removeChild(existing);
+      }
+      
+      target.insertBefore(this._deserializeNode(doc, serialized), reference);
+    }
+  }
+
+  /**
+   * Get the id of a node, assigning one if it has none
+   * @private
+   * @param {Node} node - DOM node or shadow root
+   * @returns {number} - Node id
+   */
+  _getNodeId(node) {
+    let id = this.nodeIds.get(node);
+    if (id === undefined) {
+      id = this.nextNodeId++;
+      this.nodeIds.set(node, id);
+    }
+    return id;
+  }
+
+  /**
+   * Copy a value into plain JSON data, dropping DOM references
+   * @private
+   * @param {*} value - Value to copy
+   * @returns {*} - JSON-safe copy
+   */
+  _toSerializable(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      if (typeof Node !== 'undefined' && item instanceof Node) {
+        return undefined;
+      }
+      if (item instanceof Map) {
+        return Object.fromEntries(item);
+      }
+      if (item instanceof Set) {
+        return Array.from(item);
+      }
+      return item;
+    }) || 'null');
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MutationRecorderModule;
+}
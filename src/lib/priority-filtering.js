@@ -52,6 +52,11 @@ class PriorityFilteringModule {
    * @returns {Object|Array|null} - Filtered changes or null if filtered out
    */
   filterChanges(changes, siteUrl = '') {
+    // Summaries superseded by newer changes leave nothing to filter
+    if (!changes) {
+      return null;
+    }
+    
     // Handle array of changes
     if (Array.isArray(changes)) {
       const filteredChanges = changes
@@ -156,6 +161,12 @@ class PriorityFilteringModule {
    * @returns {string} - Content type
    */
   _determineContentType(change) {
+    // Validation errors tied to form fields
+    const changeType = change.original?.type || change.type;
+    if (changeType === 'form-error' || changeType === 'form-errors') {
+      return 'error';
+    }
+    
     // Check for error messages
     const summary = change.summary || '';
     if (summary.toLowerCase().includes('error') || 
@@ -164,6 +175,17 @@ class PriorityFilteringModule {
       return 'error';
     }
     
+    // Route changes in single-page apps, and dialogs taking over the page
+    if (changeType === 'navigation' || changeType === 'dialog') {
+      return 'navigation';
+    }
+    
+    // Loading states, feed batches and busy-page summaries, whose wording ("loaded", region names)
+    // would otherwise match advertisement checks
+    if (changeType === 'loading' || changeType === 'feed' || changeType === 'busy') {
+      return 'text';
+    }
+    
     // Check context information
     const context = change.original?.context || change.context || {};
     
@@ -171,21 +193,18 @@ class PriorityFilteringModule {
       return 'form';
     }
     
-    if (context.role === 'navigation' || 
-        context.role === 'link' || 
-        context.role === 'button') {
+    if (['navigation', 'link', 'button', 'menuitem', 'tab'].includes(context.role)) {
       return 'navigation';
     }
     
     // Check for media content
-    if (context.role === 'img' || 
-        context.role === 'video' || 
-        context.role === 'audio') {
+    if (['img', 'figure', 'graphics-document'].includes(context.role)) {
       return 'media';
     }
     
-    // Check for chat-like content
-    if (summary.includes('message') || 
+    // Check for chat-like content; chat transcripts are usually logs
+    if (context.role === 'log' ||
+        summary.includes('message') || 
         context.parentContext?.section?.toLowerCase().includes('chat') ||
         context.parentContext?.section?.toLowerCase().includes('message')) {
       return 'chat';
@@ -243,11 +262,18 @@ class PriorityFilteringModule {
     // Check the last few items in interaction history
     const recentItems = this.interactionHistory.slice(-5);
     
+    const fingerprint = this._getFingerprint(change);
+    
     for (const item of recentItems) {
       if (item.summary === change.summary) {
         return true;
       }
       
+      // Similar wording only counts as a repeat when it comes from the same element
+      if (fingerprint && item.fingerprint && item.fingerprint !== fingerprint) {
+        continue;
+      }
+      
       // Check for high similarity
       if (this._calculateSimilarity(item.summary, change.summary) > 0.8) {
         return true;
@@ -257,6 +283,16 @@ class PriorityFilteringModule {
     return false;
   }
 
+  /**
+   * Get the fingerprint of the element a change happened in
+   * @private
+   * @param {Object} change - Change data object
+   * @returns {string|null} - Element fingerprint, or null if unknown
+   */
+  _getFingerprint(change) {
+    return change.original?.fingerprint || change.fingerprint || null;
+  }
+
   /**
    * Calculate similarity between two strings
    * @private
@@ -312,6 +348,7 @@ class PriorityFilteringModule {
       summary: change.summary,
       contentType: this._determineContentType(change),
       priority: change.priority,
+      fingerprint: this._getFingerprint(change),
       interaction: interaction
     });
     
@@ -0,0 +1,475 @@
+// Summarization Providers
+// Backends that turn a content change into a short spoken summary: a simulated one for
+// offline use, an OpenAI-compatible chat-completions client, and a relay that hands the
+// text to another context (the background script) running one of them
+
+class SummarizationProvider {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxSummaryLength: 150, // characters in a summary
+      maxInputLength: 2000, // characters of changed text sent for summarization
+      ...options
+    };
+  }
+
+  /**
+   * Create the provider selected in preferences
+   * @param {string} name - Provider name ('simulated' or 'openai-compatible')
+   * @param {Object} [options] - Provider options
+   * @returns {SummarizationProvider} - Provider instance
+   */
+  static create(name, options = {}) {
+    switch (name) {
+      case 'openai-compatible':
+        return new OpenAICompatibleProvider(options);
+      default:
+        return new SimulatedProvider(options);
+    }
+  }
+
+  /**
+   * Check if a provider sends text off the device
+   * @param {string} name - Provider name
+   * @returns {boolean} - True for providers that call a remote service
+   */
+  static isRemote(name) {
+    return name === 'openai-compatible';
+  }
+
+  /**
+   * What the provider can do
+   * @returns {Object} - Provider name, whether it sends text off the device, whether healthCheck()
+   *   really contacts it, and input/output limits
+   */
+  get capabilities() {
+    return {
+      name: 'base',
+      remote: false,
+      healthCheck: false,
+      maxInputLength: this.options.maxInputLength,
+      maxSummaryLength: this.options.maxSummaryLength
+    };
+  }
+
+  /**
+   * Summarize the text of a change
+   * @param {string} text - Relevant text from the change
+   * @param {Object} context - Summarization context (change type, element, delta, recent summaries)
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request, e.g. when a newer change supersedes it
+   * @returns {Promise<string>} - Summary; rejects with an AbortError if cancelled
+   */
+  async summarize(text, context, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement summarize()`);
+  }
+
+  /**
+   * Check that the provider can currently be reached
+   * @returns {Promise<Object>} - Whether it is healthy, how long the check took and any error
+   */
+  async healthCheck() {
+    return { healthy: true, latency: 0, error: null };
+  }
+
+  /**
+   * Throw if a request has been cancelled
+   * @private
+   * @param {AbortSignal} [signal] - Cancellation signal
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Summarization was cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Limit a summary to the configured length
+   * @private
+   * @param {string} summary - Summary
+   * @returns {string} - Summary, cut with an ellipsis if it was too long
+   */
+  _truncate(summary) {
+    if (summary.length > this.options.maxSummaryLength) {
+      return summary.substring(0, this.options.maxSummaryLength - 3) + '...';
+    }
+    return summary;
+  }
+}
+
+class SimulatedProvider extends SummarizationProvider {
+  constructor(options = {}) {
+    super({
+      delay: 50, // ms of simulated processing time
+      ...options
+    });
+  }
+
+  /**
+   * What the provider can do
+   * @returns {Object} - Provider capabilities
+   */
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      name: 'simulated'
+    };
+  }
+
+  /**
+   * Summarize with templates chosen by change type and element context
+   * @param {string} text - Relevant text from the change
+   * @param {Object} context - Summarization context
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancellation signal
+   * @returns {Promise<string>} - Simulated AI summary
+   */
+  async summarize(text, context, options = {}) {
+    const signal = options.signal;
+    this._throwIfAborted(signal);
+    
+    // Simulate processing delay, cut short by cancellation
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, this.options.delay);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
+    this._throwIfAborted(signal);
+    
+    // Simple text truncation for very long content
+    const maxLength = this.options.maxSummaryLength;
+    if (text.length > maxLength * 2) {
+      text = text.substring(0, maxLength * 2);
+    }
+    
+    // Generate different summaries based on context
+    let summary = '';
+    
+    // Handle different change types
+    switch (context.changeType) {
+      case 'addition':
+        if (context.isLiveRegion) {
+          // For live regions, use the content directly
+          summary = text;
+        } else if (context.elementRole === 'heading') {
+          summary = `New section: ${text}`;
+        } else if (context.isForm) {
+          summary = `New form field added: ${context.elementLabel || text}`;
+        } else if (context.isInteractive) {
+          summary = `New ${context.elementRole || 'interactive element'} added: ${text}`;
+        } else if (text.includes('error') || text.includes('Error') || text.includes('failed')) {
+          summary = `Error message: ${text}`;
+        } else if (text.length > 100) {
+          // For longer additions, create a more concise summary
+          summary = `New content added: ${text.substring(0, 100)}...`;
+        } else {
+          summary = `New content: ${text}`;
+        }
+        break;
+      
+      case 'removal':
+        if (context.isLiveRegion && context.removedText) {
+          // Live regions that announce removals say what was removed
+          summary = text;
+        } else if (context.isInteractive) {
+          summary = `${context.elementName} removed`;
+        } else {
+          summary = 'Content removed';
+        }
+        break;
+      
+      case 'text':
+        if (context.delta) {
+          // Phrase small edits as what changed rather than the whole new text
+          summary = context.delta;
+        } else if (context.isForm) {
+          const label = context.elementLabel ? `"${context.elementLabel}"` : '';
+          summary = `Form field ${label} updated to: ${text}`;
+        } else if (context.isLiveRegion) {
+          // For live regions, prioritize the content directly
+          summary = text;
+        } else if (text.includes('error') || text.includes('Error') || text.includes('failed')) {
+          summary = `Error message: ${text}`;
+        } else {
+          summary = `Updated content: ${text}`;
+        }
+        break;
+      
+      case 'replacement':
+        summary = context.delta || text;
+        break;
+      
+      case 'navigation':
+        summary = `Navigated to ${text}`;
+        break;
+      
+      case 'attribute':
+        if (context.elementLabel) {
+          summary = `${context.elementName} state changed: ${text}`;
+        } else if (text.startsWith('aria-')) {
+          summary = `Accessibility state changed: ${text}`;
+        } else {
+          summary = `Element state changed: ${text}`;
+        }
+        break;
+      
+      case 'group':
+        summary = `Multiple updates: ${text.substring(0, maxLength)}`;
+        break;
+      
+      default:
+        summary = text;
+    }
+    
+    return this._truncate(summary);
+  }
+}
+
+class OpenAICompatibleProvider extends SummarizationProvider {
+  constructor(options = {}) {
+    super({
+      endpoint: 'https://api.openai.com/v1/chat/completions', // any server speaking the chat-completions API
+      model: 'gpt-4o-mini',
+      apiKey: '', // sent as a bearer token; local servers usually need none
+      temperature: 0.2,
+      transport: null, // function(request, signal) resolving to { ok, status, body }; defaults to fetch
+      ...options
+    });
+  }
+
+  /**
+   * What the provider can do
+   * @returns {Object} - Provider capabilities
+   */
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      name: 'openai-compatible',
+      remote: true,
+      healthCheck: true,
+      model: this.options.model
+    };
+  }
+
+  /**
+   * Ask the chat-completions endpoint for a one-sentence summary
+   * @param {string} text - Relevant text from the change
+   * @param {Object} context - Summarization context
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancellation signal, passed on to the transport or fetch
+   * @returns {Promise<string>} - Summary
+   */
+  async summarize(text, context, options = {}) {
+    this._throwIfAborted(options.signal);
+    
+    const response = await this._send({
+      url: this.options.endpoint,
+      method: 'POST',
+      headers: this._getHeaders(),
+      body: {
+        model: this.options.model,
+        messages: this._buildMessages(text, context),
+        temperature: this.options.temperature,
+        // Roughly four characters per token, with room for the model to finish its sentence
+        max_tokens: Math.ceil(this.options.maxSummaryLength / 3)
+      }
+    }, options.signal);
+    
+    if (!response.ok) {
+      const message = response.body?.error?.message || `HTTP ${response.status}`;
+      throw new Error(`Summarization provider request failed: ${message}`);
+    }
+    
+    const summary = response.body?.choices?.[0]?.message?.content;
+    if (typeof summary !== 'string' || !summary.trim()) {
+      throw new Error('Summarization provider returned no summary');
+    }
+    
+    return this._truncate(summary.trim().replace(/\s+/g, ' '));
+  }
+
+  /**
+   * Check that the endpoint answers, by listing its models
+   * @returns {Promise<Object>} - Whether it is healthy, how long the check took and any error
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+    
+    try {
+      const response = await this._send({
+        url: this.options.endpoint.replace(/\/chat\/completions\/?$/, '/models'),
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+      
+      return {
+        healthy: response.ok,
+        latency: Date.now() - startTime,
+        error: response.ok ? null : `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return { healthy: false, latency: Date.now() - startTime, error: error.message };
+    }
+  }
+
+  /**
+   * Build the chat messages for a change
+   * @private
+   * @param {string} text - Relevant text from the change
+   * @param {Object} context - Summarization context
+   * @returns {Array<Object>} - System and user messages
+   */
+  _buildMessages(text, context) {
+    const facts = [
+      `Change type: ${context.changeType}`,
+      context.elementRole && context.elementRole !== 'generic'
+        ? `Element: ${[context.elementLabel, context.elementRole].filter(part => part).join(' ')}`
+        : '',
+      context.elementDescription ? `Element description: ${context.elementDescription}` : '',
+      context.parentHeading || context.parentSection
+        ? `Section: ${context.parentHeading || context.parentSection}`
+        : '',
+      context.isLiveRegion ? 'The page marked this as a live region' : '',
+      context.delta ? `What changed: ${context.delta}` : '',
+      context.previousContext && context.previousContext.length > 0
+        ? `Recently announced: ${context.previousContext.map(item => item.summary).join(' | ')}`
+        : '',
+      `Content: ${text.substring(0, this.options.maxInputLength)}`
+    ];
+    
+    return [
+      {
+        role: 'system',
+        content: 'You describe changes on a web page to a screen reader user. Reply with one plain sentence ' +
+                 `of at most ${this.options.maxSummaryLength} characters that says what changed. ` +
+                 'Do not add a preamble, markup or information that is not in the change.'
+      },
+      {
+        role: 'user',
+        content: facts.filter(fact => fact).join('\n')
+      }
+    ];
+  }
+
+  /**
+   * Get the request headers
+   * @private
+   * @returns {Object} - HTTP headers
+   */
+  _getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Send a request through the configured transport, or with fetch
+   * @private
+   * @param {Object} request - URL, method, headers and JSON body
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<Object>} - Response status and parsed JSON body
+   */
+  async _send(request, signal) {
+    if (typeof this.options.transport === 'function') {
+      return this.options.transport(request, signal);
+    }
+    
+    const response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body ? JSON.stringify(request.body) : undefined,
+      signal
+    });
+    
+    return {
+      ok: response.ok,
+      status: response.status,
+      body: await response.json().catch(() => null)
+    };
+  }
+}
+
+class RelayProvider extends SummarizationProvider {
+  constructor(options = {}) {
+    super({
+      relay: null, // function({ text, context, maxSummaryLength }, signal) resolving to the summary
+      healthRelay: null, // function resolving to the health check result of the provider behind the relay
+      ...options
+    });
+  }
+
+  /**
+   * What the provider can do
+   * @returns {Object} - Provider capabilities
+   */
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      name: 'relay',
+      remote: true,
+      healthCheck: typeof this.options.healthRelay === 'function'
+    };
+  }
+
+  /**
+   * Hand the text and context to the relay, which knows the provider's endpoint and credentials
+   * @param {string} text - Relevant text from the change
+   * @param {Object} context - Summarization context
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancellation signal, passed on to the relay
+   * @returns {Promise<string>} - Summary
+   */
+  async summarize(text, context, options = {}) {
+    this._throwIfAborted(options.signal);
+    
+    if (typeof this.options.relay !== 'function') {
+      throw new Error('RelayProvider needs a relay function');
+    }
+    
+    const summary = await this.options.relay({
+      text,
+      context,
+      maxSummaryLength: this.options.maxSummaryLength
+    }, options.signal);
+    
+    if (typeof summary !== 'string' || !summary.trim()) {
+      throw new Error('Summarization provider returned no summary');
+    }
+    
+    return this._truncate(summary.trim().replace(/\s+/g, ' '));
+  }
+
+  /**
+   * Ask the relay to check the provider behind it
+   * @returns {Promise<Object>} - Whether it is healthy, how long the check took and any error
+   */
+  async healthCheck() {
+    if (typeof this.options.healthRelay !== 'function') {
+      return super.healthCheck();
+    }
+    
+    const startTime = Date.now();
+    
+    try {
+      const result = (await this.options.healthRelay()) || {};
+      return {
+        healthy: Boolean(result.healthy),
+        latency: Date.now() - startTime,
+        error: result.healthy ? null : (result.error || 'Summarization provider is unavailable')
+      };
+    } catch (error) {
+      return { healthy: false, latency: Date.now() - startTime, error: error.message };
+    }
+  }
+}
+
+// Export the providers
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SummarizationProvider, SimulatedProvider, OpenAICompatibleProvider, RelayProvider };
+}
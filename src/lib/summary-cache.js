@@ -0,0 +1,301 @@
+// Summary Cache Module
+// Responsible for remembering summaries of content that keeps reappearing (toasts, badges, chat
+// templates), so it isn't summarized again, with LRU and TTL eviction and optional persistence
+
+class SummaryCacheModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxEntries: 200, // summaries kept before the least recently used is evicted
+      ttl: 24 * 60 * 60 * 1000, // ms a summary stays valid
+      persist: false, // whether to keep summaries in chrome.storage.local across page loads
+      storageKey: 'summaryCache', // prefix of the storage key; each origin keeps its own entries
+      persistDelay: 2000, // ms to wait after a change before writing to storage
+      ...options
+    };
+    
+    // Entries by key; a Map keeps insertion order, so the first entry is the least recently used
+    this.entries = new Map();
+    
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      expirations: 0
+    };
+    
+    this.persistTimer = null;
+  }
+
+  /**
+   * Update cache options, loading persisted entries if persistence was turned on
+   * @param {Object} options - Cache options
+   * @returns {Promise<void>}
+   */
+  async configure(options) {
+    const wasPersisting = this.options.persist;
+    this.options = {
+      ...this.options,
+      ...options
+    };
+    
+    this._evictOverflow();
+    
+    if (this.options.persist && !wasPersisting) {
+      await this.load();
+    } else if (!this.options.persist && wasPersisting) {
+      this._removePersisted();
+    }
+  }
+
+  /**
+   * Build the cache key for a change
+   * @param {string} text - Relevant text from the change
+   * @param {Object} fields - Context fields that change how the text is summarized
+   * @returns {string} - Cache key
+   */
+  getKey(text, fields = {}) {
+    const normalizedText = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const normalizedFields = Object.keys(fields)
+      .sort()
+      .map(name => `${name}=${fields[name] === undefined || fields[name] === null ? '' : fields[name]}`)
+      .join('|');
+    
+    return this._hash(`${normalizedFields}\n${normalizedText}`);
+  }
+
+  /**
+   * Get a cached summary
+   * @param {string} key - Cache key from getKey()
+   * @returns {string|null} - Cached summary, or null on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    if (Date.now() - entry.timestamp > this.options.ttl) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      this._schedulePersist();
+      return null;
+    }
+    
+    // Move the entry to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    
+    return entry.summary;
+  }
+
+  /**
+   * Cache a summary
+   * @param {string} key - Cache key from getKey()
+   * @param {string} summary - Summary
+   */
+  set(key, summary) {
+    this.entries.delete(key);
+    this.entries.set(key, { summary, timestamp: Date.now() });
+    
+    this._evictOverflow();
+    this._schedulePersist();
+  }
+
+  /**
+   * Remove all cached summaries, including persisted ones
+   */
+  clear() {
+    this.entries.clear();
+    
+    if (this.options.persist) {
+      this._removePersisted();
+    }
+  }
+
+  /**
+   * Get hit and miss statistics
+   * @returns {Object} - Hits, misses, hit rate, size and evictions
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      size: this.entries.size,
+      maxEntries: this.options.maxEntries,
+      persisted: this.options.persist
+    };
+  }
+
+  /**
+   * Load persisted summaries from chrome.storage.local
+   * @returns {Promise<void>}
+   */
+  load() {
+    const storage = this._getStorage();
+    if (!storage) {
+      return Promise.resolve();
+    }
+    
+    return this._readPersisted(storage).then(stored => {
+      this.entries = this._mergeEntries(stored, Array.from(this.entries));
+      this._evictOverflow();
+    });
+  }
+
+  /**
+   * Read this origin's persisted entries
+   * @private
+   * @param {Object} storage - Storage area from _getStorage()
+   * @returns {Promise<Array>} - Stored [key, entry] pairs, empty if they couldn't be read
+   */
+  _readPersisted(storage) {
+    const storageKey = this._getStorageKey();
+    
+    return new Promise(resolve => {
+      storage.get([storageKey], (result) => {
+        if (chrome.runtime && chrome.runtime.lastError) {
+          console.warn('Could not read cached summaries:', chrome.runtime.lastError.message);
+          resolve([]);
+          return;
+        }
+        resolve((result && result[storageKey]) || []);
+      });
+    });
+  }
+
+  /**
+   * Merge stored entries with this page's entries, dropping expired ones
+   * @private
+   * @param {Array} stored - Stored [key, entry] pairs
+   * @param {Array} current - This page's [key, entry] pairs, least recently used first
+   * @returns {Map} - Merged entries, least recently used first
+   */
+  _mergeEntries(stored, current) {
+    const now = Date.now();
+    const merged = new Map();
+    
+    for (const [key, entry] of stored) {
+      if (entry && now - entry.timestamp <= this.options.ttl) {
+        merged.set(key, entry);
+      }
+    }
+    
+    // This page's entries are at least as recent as the stored ones, so they go at the recently used end
+    for (const [key, entry] of current) {
+      merged.delete(key);
+      merged.set(key, entry);
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Evict least recently used entries beyond the size limit
+   * @private
+   */
+  _evictOverflow() {
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Write entries to storage after a quiet period, so a burst of changes causes one write
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.options.persist || this.persistTimer || !this._getStorage()) {
+      return;
+    }
+    
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._writePersisted();
+    }, this.options.persistDelay);
+  }
+
+  /**
+   * Merge entries into storage, so other tabs on the same origin don't overwrite each other
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _writePersisted() {
+    const storage = this._getStorage();
+    if (!storage || !this.options.persist) {
+      return;
+    }
+    
+    const merged = Array.from(this._mergeEntries(await this._readPersisted(storage), Array.from(this.entries)));
+    
+    storage.set({ [this._getStorageKey()]: merged.slice(-this.options.maxEntries) }, () => {
+      if (chrome.runtime && chrome.runtime.lastError) {
+        console.warn('Could not save cached summaries:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+
+  /**
+   * Remove persisted entries from storage
+   * @private
+   */
+  _removePersisted() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    
+    const storage = this._getStorage();
+    if (storage) {
+      storage.remove(this._getStorageKey());
+    }
+  }
+
+  /**
+   * Get the storage key for this origin's entries
+   * @private
+   * @returns {string} - Storage key
+   */
+  _getStorageKey() {
+    const origin = typeof location !== 'undefined' ? location.origin : '';
+    return origin ? `${this.options.storageKey}:${origin}` : this.options.storageKey;
+  }
+
+  /**
+   * Get chrome.storage.local, if the cache runs inside the extension
+   * @private
+   * @returns {Object|null} - Storage area, or null when unavailable
+   */
+  _getStorage() {
+    return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local ? chrome.storage.local : null;
+  }
+
+  /**
+   * Hash a string to a compact key (two 32-bit FNV-1a hashes with different offsets)
+   * @private
+   * @param {string} value - String to hash
+   * @returns {string} - Hex hash
+   */
+  _hash(value) {
+    let first = 0x811c9dc5;
+    let second = 0x01000193 ^ value.length;
+    
+    for (let i = 0; i < value.length; i++) {
+      const code = value.charCodeAt(i);
+      first = Math.imul(first ^ code, 0x01000193);
+      second = Math.imul(second ^ code, 0x5bd1e995);
+    }
+    
+    return (first >>> 0).toString(16).padStart(8, '0') + (second >>> 0).toString(16).padStart(8, '0');
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SummaryCacheModule;
+}
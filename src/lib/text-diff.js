@@ -0,0 +1,279 @@
+// Text Diff Module
+// Responsible for computing word-level differences between old and new content
+
+class TextDiffModule {
+  constructor(options = {}) {
+    this.options = {
+      // Default options
+      maxDiffCells: 40000, // largest token matrix to diff before treating the change as a rewrite
+      maxHunks: 3, // more separate edits than this is described as a rewrite
+      minSimilarity: 0.3, // minimum share of unchanged tokens for a change to be a delta
+      contextTokens: 3, // unchanged tokens kept before and after each edit
+      ...options
+    };
+  }
+  
+  /**
+   * Compute the minimal token-level edits between old and new content
+   * @param {string} oldText - Previous content
+   * @param {string} newText - Current content
+   * @returns {Object} - Diff result with operations, hunks and similarity
+   */
+  diff(oldText, newText) {
+    const oldTokens = this.tokenize(oldText);
+    const newTokens = this.tokenize(newText);
+    
+    const operations = this._computeOperations(oldTokens, newTokens);
+    const hunks = this._buildHunks(operations);
+    
+    const equalCount = operations
+      .filter(op => op.type === 'equal')
+      .reduce((sum, op) => sum + op.tokens.length, 0);
+    const totalCount = oldTokens.length + newTokens.length;
+    const similarity = totalCount > 0 ? (equalCount * 2) / totalCount : 1;
+    
+    return {
+      operations: operations.map(op => ({ type: op.type, text: op.tokens.join(' ') })),
+      hunks,
+      similarity,
+      // A delta is a small edit to otherwise unchanged content
+      isDelta: hunks.length > 0 &&
+               hunks.length <= this.options.maxHunks &&
+               similarity >= this.options.minSimilarity
+    };
+  }
+  
+  /**
+   * Split text into word tokens
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} - Tokens
+   */
+  tokenize(text) {
+    if (!text) {
+      return [];
+    }
+    
+    return text.trim().split(/\s+/).filter(token => token.length > 0);
+  }
+  
+  /**
+   * Phrase a diff as a spoken delta, e.g. "Price changed from $19.99 to $24.99"
+   * @param {Object} diff - Diff result from diff()
+   * @param {string} [subject] - What the changed element describes (its accessible name or term);
+   *                             without one, a "Name:" prefix in the text is used
+   * @returns {string} - Delta description, or empty string if the change is not a delta
+   */
+  describe(diff, subject = '') {
+    if (!diff || !diff.isDelta) {
+      return '';
+    }
+    
+    return diff.hunks
+      .map(hunk => this._describeHunk(hunk, diff.hunks.length === 1 ? subject : ''))
+      .join('; ');
+  }
+  
+  /**
+   * Compute equal/insert/delete operations between two token lists
+   * @private
+   * @param {string[]} oldTokens - Previous tokens
+   * @param {string[]} newTokens - Current tokens
+   * @returns {Array} - Operations with type and tokens
+   */
+  _computeOperations(oldTokens, newTokens) {
+    // Strip the common prefix and suffix, which is most of the text for typical updates
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length &&
+           oldTokens[start] === newTokens[start]) {
+      start++;
+    }
+    
+    let oldEnd = oldTokens.length;
+    let newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start &&
+           oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+    
+    const operations = [];
+    this._pushOperation(operations, 'equal', oldTokens.slice(0, start));
+    
+    const oldMiddle = oldTokens.slice(start, oldEnd);
+    const newMiddle = newTokens.slice(start, newEnd);
+    
+    if (oldMiddle.length * newMiddle.length > this.options.maxDiffCells) {
+      // Too large to diff cheaply - treat the middle as a single replacement
+      this._pushOperation(operations, 'delete', oldMiddle);
+      this._pushOperation(operations, 'insert', newMiddle);
+    } else {
+      for (const op of this._diffMiddle(oldMiddle, newMiddle)) {
+        this._pushOperation(operations, op.type, op.tokens);
+      }
+    }
+    
+    this._pushOperation(operations, 'equal', oldTokens.slice(oldEnd));
+    
+    return operations;
+  }
+  
+  /**
+   * Diff two token lists using a longest common subsequence table
+   * @private
+   * @param {string[]} a - Previous tokens
+   * @param {string[]} b - Current tokens
+   * @returns {Array} - Operations with type and tokens
+   */
+  _diffMiddle(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = new Array(rows);
+    
+    for (let i = 0; i < rows; i++) {
+      table[i] = new Uint16Array(cols);
+    }
+    
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        this._pushOperation(operations, 'equal', [a[i]]);
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        this._pushOperation(operations, 'delete', [a[i]]);
+        i++;
+      } else {
+        this._pushOperation(operations, 'insert', [b[j]]);
+        j++;
+      }
+    }
+    
+    this._pushOperation(operations, 'delete', a.slice(i));
+    this._pushOperation(operations, 'insert', b.slice(j));
+    
+    return operations;
+  }
+  
+  /**
+   * Append tokens to the operation list, merging with the previous operation of the same type
+   * @private
+   * @param {Array} operations - Operation list
+   * @param {string} type - Operation type
+   * @param {string[]} tokens - Tokens to append
+   */
+  _pushOperation(operations, type, tokens) {
+    if (tokens.length === 0) {
+      return;
+    }
+    
+    const last = operations[operations.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(...tokens);
+    } else {
+      operations.push({ type, tokens: [...tokens] });
+    }
+  }
+  
+  /**
+   * Group adjacent insertions and deletions into hunks with surrounding context
+   * @private
+   * @param {Array} operations - Operations with type and tokens
+   * @returns {Array} - Hunks with removed, added, before and after text
+   */
+  _buildHunks(operations) {
+    const hunks = [];
+    let current = null;
+    let previousEqual = [];
+    
+    for (const op of operations) {
+      if (op.type === 'equal') {
+        if (current) {
+          current.after = op.tokens.slice(0, this.options.contextTokens).join(' ');
+          hunks.push(current);
+          current = null;
+        }
+        previousEqual = op.tokens;
+        continue;
+      }
+      
+      if (!current) {
+        current = {
+          removed: [],
+          added: [],
+          before: previousEqual.slice(-this.options.contextTokens).join(' '),
+          after: ''
+        };
+      }
+      
+      if (op.type === 'delete') {
+        current.removed.push(...op.tokens);
+      } else {
+        current.added.push(...op.tokens);
+      }
+    }
+    
+    if (current) {
+      hunks.push(current);
+    }
+    
+    return hunks.map(hunk => ({
+      ...hunk,
+      removed: hunk.removed.join(' '),
+      added: hunk.added.join(' ')
+    }));
+  }
+  
+  /**
+   * Phrase a single hunk
+   * @private
+   * @param {Object} hunk - Hunk with removed, added and before text
+   * @param {string} subject - Subject of the changed element, preferred over a "Name:" prefix
+   * @returns {string} - Hunk description
+   */
+  _describeHunk(hunk, subject) {
+    const name = (subject || '').trim() || this._getSubject(hunk.before);
+    
+    if (hunk.removed && hunk.added) {
+      return name
+        ? `${name} changed from ${hunk.removed} to ${hunk.added}`
+        : `Changed from ${hunk.removed} to ${hunk.added}`;
+    }
+    
+    if (hunk.added) {
+      return name ? `${name}: added ${hunk.added}` : `Added ${hunk.added}`;
+    }
+    
+    return name ? `${name}: removed ${hunk.removed}` : `Removed ${hunk.removed}`;
+  }
+  
+  /**
+   * Find the subject of an edit in the text before it, e.g. "Price" in "Price: $19.99"
+   * @private
+   * @param {string} before - Unchanged text preceding the edit
+   * @returns {string} - Subject, or empty string if the context is not a "Name:" prefix
+   */
+  _getSubject(before) {
+    if (!before) {
+      return '';
+    }
+    
+    const match = before.match(/([^.:;!?]+):\s*$/);
+    return match ? match[1].trim() : '';
+  }
+}
+
+// Export the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextDiffModule;
+}
@@ -0,0 +1,343 @@
+// Replay Harness
+// Feeds a recorded mutation stream through detection, summarization, filtering and alerting
+// in jsdom, and reports what would have been announced
+//
+// Usage:
+//   node src/tools/replay-harness.js <recording.json> [--json] [--verbose]
+//        [--max-gap <ms>] [--expect <announcements.json>] [--save <announcements.json>]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+const DEFAULT_OPTIONS = {
+  maxGap: 1000, // ms; longer pauses between recorded batches are shortened to this
+  settleTime: 3500, // ms to wait after the last batch for throttled and deferred changes
+  verbose: false, // whether to forward the modules' console output
+  preferences: {} // stored preferences, in the shape saved by the background script
+};
+
+/**
+ * Replay a recording and collect the resulting announcements
+ * @param {Object} recording - Recording exported by ContentDetectionModule.stopRecording()
+ * @param {Object} [options] - Replay options
+ * @returns {Promise<Object>} - Replay report
+ */
+async function replayRecording(recording, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  
+  const virtualConsole = new VirtualConsole();
+  if (settings.verbose) {
+    virtualConsole.sendTo(console);
+  } else {
+    virtualConsole.on('error', (...args) => console.error(...args));
+  }
+  
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: recording.url,
+    pretendToBeVisual: true,
+    runScripts: 'outside-only',
+    virtualConsole
+  });
+  const { window } = dom;
+  
+  const modules = loadContentScriptModules(dom);
+  
+  const recorder = new modules.MutationRecorderModule();
+  recorder.restoreSnapshot(window.document, recording.snapshot);
+  
+  // Same pipeline as the content script, with the alert system logging instead of speaking
+  const frameworkCompatibility = new modules.FrameworkCompatibilityModule();
+  const contentDetection = new modules.ContentDetectionModule({
+    ...recording.options,
+    treatZeroSizeAsHidden: false // jsdom has no layout, so every element has zero size
+  });
+  const aiSummarization = new modules.AISummarizationModule();
+  const priorityFiltering = new modules.PriorityFilteringModule();
+  const alertSystem = new modules.AlertSystemModule({ dryRun: true });
+  const frameRelay = new modules.FrameRelayModule();
+  
+  priorityFiltering.initializePreferences(settings.preferences.priorityFiltering);
+  aiSummarization.updatePreferences(settings.preferences.aiSummarization || {});
+  contentDetection.setDescribeLocation(aiSummarization.usesLocation());
+  alertSystem.updatePreferences(settings.preferences.alertSystem || {});
+  
+  frameworkCompatibility.initialize();
+  const enhancedDetector = frameworkCompatibility.enhanceContentDetection(contentDetection);
+  contentDetection.onBackpressureChange(state => aiSummarization.setBackpressure(state.level));
+  
+  const detectedChanges = [];
+  const startTime = Date.now();
+  
+  enhancedDetector.onSignificantChange(async (changes) => {
+    detectedChanges.push(...changes.map(change => ({
+      time: Date.now() - startTime,
+      type: change.type,
+      text: change.content ? change.content.text : ''
+    })));
+    
+    try {
+      const summarizedChanges = await aiSummarization.summarizeChanges(changes);
+      const filteredChanges = priorityFiltering.filterChanges(summarizedChanges, window.location.href);
+      
+      if (filteredChanges) {
+        const list = Array.isArray(filteredChanges) ? filteredChanges : [filteredChanges];
+        for (const change of list) {
+          await alertSystem.showAlert({
+            summary: change.summary,
+            priority: change.priority,
+            contentType: priorityFiltering._determineContentType(change),
+            urgency: change.urgency,
+            details: change.details,
+            supersedeKey: change.supersedeKey,
+            original: change.original
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error processing changes:', error);
+    }
+  });
+  
+  enhancedDetector.startObserving(window.document.body);
+  
+  // Apply the batches and the changes forwarded from sub-frames with their recorded spacing,
+  // so throttling and de-duplication behave as they did live
+  let previousTime = 0;
+  for (const { batch, frameChange, time } of getTimeline(recording)) {
+    await sleep(Math.min(Math.max(time - previousTime, 0), settings.maxGap));
+    previousTime = time;
+    
+    if (frameChange) {
+      if (frameRelay.accept(frameChange)) {
+        alertSystem.showAlert(frameRelay.getAlertData(frameChange));
+      }
+      continue;
+    }
+    
+    if (batch.url) {
+      try {
+        window.history.pushState(null, '', batch.url);
+      } catch (error) {
+        // Cross-origin URLs can't be pushed; the mutation fallback still sees the DOM swap
+      }
+    }
+    if (batch.title !== undefined) {
+      window.document.title = batch.title;
+    }
+    
+    recorder.applyBatch(window.document, batch);
+  }
+  
+  await sleep(settings.settleTime);
+  enhancedDetector.stopObserving();
+  
+  const announcements = alertSystem.getAnnouncementLog().map(entry => ({
+    ...entry,
+    time: entry.timestamp - startTime
+  }));
+  
+  window.close();
+  
+  return {
+    url: recording.url,
+    batchCount: recording.batches.length,
+    frameChangeCount: (recording.frameChanges || []).length,
+    truncated: Boolean(recording.truncated),
+    recordedChanges: (recording.changes || []).map(change => ({
+      time: change.time,
+      type: change.type,
+      text: change.content ? change.content.text : ''
+    })),
+    detectedChanges,
+    announcements
+  };
+}
+
+/**
+ * Merge a recording's mutation batches and forwarded frame changes in time order
+ * @param {Object} recording - Recording exported by ContentDetectionModule.stopRecording()
+ * @returns {Array<Object>} - Entries with a time and either a batch or a frame change
+ */
+function getTimeline(recording) {
+  const timeline = [
+    ...recording.batches.map(batch => ({ time: batch.time, batch })),
+    ...(recording.frameChanges || []).map(entry => ({ time: entry.time, frameChange: entry.change }))
+  ];
+  
+  // Array.prototype.sort is stable, so entries recorded at the same time keep their order
+  return timeline.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Load the content script's library modules into a jsdom window, in manifest order
+ * @param {JSDOM} dom - jsdom instance created with runScripts: 'outside-only'
+ * @returns {Object} - Module classes by name
+ */
+function loadContentScriptModules(dom) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+  const mainWorldScripts = manifest.content_scripts
+    .filter(entry => entry.world === 'MAIN')
+    .flatMap(entry => entry.js);
+  const scripts = manifest.content_scripts
+    .filter(entry => entry.world !== 'MAIN')
+    .flatMap(entry => entry.js)
+    .filter(script => script.startsWith('lib/'));
+  const context = dom.getInternalVMContext();
+  const modules = {};
+  
+  // Page-world hooks run first, as they do at document_start; jsdom has only one world
+  for (const script of mainWorldScripts) {
+    const filename = path.join(EXTENSION_DIR, script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  }
+  
+  // Run each file as a classic script so the modules share one global scope,
+  // as they do in the content script
+  for (const script of scripts) {
+    const filename = path.join(EXTENSION_DIR, script);
+    const source = fs.readFileSync(filename, 'utf8');
+    new vm.Script(source, { filename }).runInContext(context);
+    
+    for (const [, name] of source.matchAll(/^class (\w+)/gm)) {
+      modules[name] = new vm.Script(name).runInContext(context);
+    }
+  }
+  
+  return modules;
+}
+
+/**
+ * Compare announcements against a saved list of expected announcement texts
+ * @param {Array} announcements - Announcements from a replay report
+ * @param {string[]} expected - Expected announcement texts
+ * @returns {string[]} - Differences, empty if the announcements match
+ */
+function compareAnnouncements(announcements, expected) {
+  const actual = announcements.map(announcement => announcement.text);
+  const differences = [];
+  
+  for (let i = 0; i < Math.max(actual.length, expected.length); i++) {
+    if (actual[i] !== expected[i]) {
+      differences.push(`#${i + 1}: expected ${JSON.stringify(expected[i])}, got ${JSON.stringify(actual[i])}`);
+    }
+  }
+  
+  return differences;
+}
+
+/**
+ * Print a replay report in human-readable form
+ * @param {Object} report - Replay report
+ */
+function printReport(report) {
+  console.log(`Replayed ${report.batchCount} mutation batches and ${report.frameChangeCount} frame changes from ${report.url}`);
+  if (report.truncated) {
+    console.log('Warning: the recording was truncated');
+  }
+  console.log(`Recorded ${report.recordedChanges.length} changes, replay detected ${report.detectedChanges.length}`);
+  console.log(`Announcements (${report.announcements.length}):`);
+  
+  for (const announcement of report.announcements) {
+    const time = `${announcement.time}ms`.padStart(8);
+    console.log(`  [${time}] (priority ${announcement.priority}, ${announcement.contentType}) ${announcement.text}`);
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - Parsed arguments
+ */
+function parseArguments(args) {
+  const parsed = { recordingPath: null, json: false, verbose: false, maxGap: null, expect: null, save: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--verbose':
+        parsed.verbose = true;
+        break;
+      case '--max-gap':
+        parsed.maxGap = Number(args[++i]);
+        break;
+      case '--expect':
+        parsed.expect = args[++i];
+        break;
+      case '--save':
+        parsed.save = args[++i];
+        break;
+      default:
+        parsed.recordingPath = args[i];
+    }
+  }
+  
+  return parsed;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} - Promise that resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Command-line entry point
+ */
+async function main() {
+  const args = parseArguments(process.argv.slice(2));
+  
+  if (!args.recordingPath) {
+    console.error('Usage: node src/tools/replay-harness.js <recording.json> [--json] [--verbose] ' +
+                  '[--max-gap <ms>] [--expect <announcements.json>] [--save <announcements.json>]');
+    process.exitCode = 2;
+    return;
+  }
+  
+  const recording = JSON.parse(fs.readFileSync(args.recordingPath, 'utf8'));
+  const report = await replayRecording(recording, {
+    verbose: args.verbose,
+    ...(args.maxGap !== null ? { maxGap: args.maxGap } : {})
+  });
+  
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  
+  if (args.save) {
+    const texts = report.announcements.map(announcement => announcement.text);
+    fs.writeFileSync(args.save, JSON.stringify(texts, null, 2) + '\n');
+  }
+  
+  if (args.expect) {
+    const expected = JSON.parse(fs.readFileSync(args.expect, 'utf8'));
+    const differences = compareAnnouncements(report.announcements, expected);
+    
+    if (differences.length > 0) {
+      console.error(`Announcements differ from ${args.expect}:`);
+      differences.forEach(difference => console.error(`  ${difference}`));
+      process.exitCode = 1;
+    } else if (!args.json) {
+      console.log(`Announcements match ${args.expect}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { replayRecording, compareAnnouncements, loadContentScriptModules };
@@ -0,0 +1,95 @@
+// Replay Test Runner
+// Replays every recording in a directory and checks its announcements against the expected
+// announcements saved next to it (<name>.json and <name>.expected.json)
+//
+// Usage:
+//   node src/tools/run-replays.js [directory] [--verbose]
+//
+// To add a case, record a page with the developer shortcut, save the recording as <name>.json and
+// write the announcements it should produce with:
+//   node src/tools/replay-harness.js <name>.json --save <name>.expected.json
+
+const fs = require('fs');
+const path = require('path');
+const { replayRecording, compareAnnouncements } = require('./replay-harness');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'test', 'replays');
+const EXPECTED_SUFFIX = '.expected.json';
+
+/**
+ * Find the recordings in a directory that have expected announcements
+ * @param {string} directory - Directory to search
+ * @returns {Array<Object>} - Cases with a name, recording path and expected path
+ */
+function findCases(directory) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json') && !file.endsWith(EXPECTED_SUFFIX))
+    .sort()
+    .map(file => {
+      const name = file.slice(0, -'.json'.length);
+      return {
+        name,
+        recordingPath: path.join(directory, file),
+        expectedPath: path.join(directory, name + EXPECTED_SUFFIX)
+      };
+    });
+}
+
+/**
+ * Replay one case and compare its announcements
+ * @param {Object} testCase - Case from findCases()
+ * @param {Object} options - Replay options
+ * @returns {Promise<string[]>} - Differences, empty if the case passed
+ */
+async function runCase(testCase, options) {
+  if (!fs.existsSync(testCase.expectedPath)) {
+    return [`missing ${path.basename(testCase.expectedPath)}`];
+  }
+
+  const recording = JSON.parse(fs.readFileSync(testCase.recordingPath, 'utf8'));
+  const expected = JSON.parse(fs.readFileSync(testCase.expectedPath, 'utf8'));
+  const report = await replayRecording(recording, options);
+
+  return compareAnnouncements(report.announcements, expected);
+}
+
+/**
+ * Command-line entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const directory = args.find(arg => !arg.startsWith('--')) || DEFAULT_DIRECTORY;
+
+  const cases = findCases(directory);
+  if (cases.length === 0) {
+    console.error(`No recordings found in ${directory}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let failures = 0;
+
+  // Cases run one at a time, since the replay timing depends on real timers
+  for (const testCase of cases) {
+    const differences = await runCase(testCase, { verbose });
+
+    if (differences.length > 0) {
+      failures++;
+      console.log(`FAIL ${testCase.name}`);
+      differences.forEach(difference => console.log(`  ${difference}`));
+    } else {
+      console.log(`ok   ${testCase.name}`);
+    }
+  }
+
+  console.log(`${cases.length - failures} of ${cases.length} replays passed`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
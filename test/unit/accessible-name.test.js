@@ -0,0 +1,75 @@
+// Accessible names and descriptions, as screen readers compute them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage } = require('./helpers');
+
+const { window, modules } = createPage(`<!DOCTYPE html><html><body>
+  <span id="billing">Billing</span><span id="address" hidden>address</span>
+  <div id="labelled" role="region" aria-labelledby="billing address" aria-label="Ignored">Form</div>
+  <button id="content">Add<b>ed</b><span aria-hidden="true">★</span> to basket</button>
+  <input type="checkbox" id="embedded" aria-labelledby="flash"><span id="flash">Flash the screen <input value="5"> times</span>
+  <label for="email">Email</label><input id="email" placeholder="you@example.com" title="Your email">
+  <input id="search" placeholder="Search products">
+  <img id="logo" alt="Company logo">
+  <fieldset id="delivery"><legend>Delivery options</legend></fieldset>
+  <div id="plain">Plain text in a div</div>
+  <div id="custom" role="button"></div>
+  <button id="pay" aria-describedby="hint when">Pay</button><p id="hint">Charges your saved card</p><p id="when">today</p>
+  <a id="help" href="#" title="Opens in a new tab">Help</a>
+  <a id="same" href="#" title="Help">Help</a>
+  <button id="long">${'word '.repeat(50)}</button>
+</body></html>`);
+const { document } = window;
+
+const accessibleNames = new modules.AccessibleNameModule();
+
+/**
+ * Get the accessible name of the element with an id
+ * @param {string} id - Element id
+ * @returns {string} - Accessible name
+ */
+function nameOf(id) {
+  return accessibleNames.getName(document.getElementById(id));
+}
+
+test('aria-labelledby wins over aria-label, and uses referenced elements even when hidden', () => {
+  assert.strictEqual(nameOf('labelled'), 'Billing address');
+});
+
+test('names from content skip hidden children and join inline elements without a space', () => {
+  assert.strictEqual(nameOf('content'), 'Added to basket');
+});
+
+test('a control inside a label contributes its value', () => {
+  assert.strictEqual(nameOf('embedded'), 'Flash the screen 5 times');
+});
+
+test('native labels, placeholders, alt text and legends name their elements', () => {
+  assert.strictEqual(nameOf('email'), 'Email');
+  assert.strictEqual(nameOf('search'), 'Search products');
+  assert.strictEqual(nameOf('logo'), 'Company logo');
+  assert.strictEqual(nameOf('delivery'), 'Delivery options');
+});
+
+test('roles that are not named from content have no name from their text', () => {
+  assert.strictEqual(nameOf('plain'), '');
+});
+
+test('names from content include shadow trees', () => {
+  document.getElementById('custom').attachShadow({ mode: 'open' }).innerHTML = '<span>Open menu</span><slot></slot>';
+  assert.strictEqual(nameOf('custom'), 'Open menu');
+});
+
+test('descriptions come from aria-describedby, or from a title that is not already the name', () => {
+  assert.strictEqual(accessibleNames.getDescription(document.getElementById('pay')), 'Charges your saved card today');
+  assert.strictEqual(accessibleNames.getDescription(document.getElementById('email')), 'Your email');
+  assert.strictEqual(accessibleNames.getDescription(document.getElementById('help')), 'Opens in a new tab');
+  assert.strictEqual(accessibleNames.getDescription(document.getElementById('same')), '');
+});
+
+test('long names are shortened', () => {
+  const name = nameOf('long');
+  assert.strictEqual(name.length, accessibleNames.options.maxLength);
+  assert.ok(name.endsWith('...'));
+});
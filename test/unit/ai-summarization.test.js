@@ -0,0 +1,173 @@
+// Circuit breaker checks for remote summarization, with a relay standing in for the background script
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, sleep } = require('./helpers');
+
+const { modules } = createPage();
+
+const COOLDOWN = 100;
+
+/**
+ * Build a change the summarizer sends to the remote provider
+ * @param {string} text - Changed text
+ * @param {string} [supersedeKey] - Key under which a newer change replaces this one
+ * @returns {Object} - Change data object
+ */
+function createChange(text, supersedeKey = null) {
+  return {
+    type: 'addition',
+    content: { text, old: '', new: text },
+    context: { role: 'status', label: '', parentContext: {} },
+    supersedeKey
+  };
+}
+
+/**
+ * Create a relay that answers after a delay, or fails, and counts its requests
+ * @returns {Object} - Relay function and its settings and counters
+ */
+function createRelay() {
+  const relay = {
+    delay: 10,
+    fail: false,
+    calls: 0,
+    aborts: 0
+  };
+
+  relay.send = (request, signal) => new Promise((resolve, reject) => {
+    relay.calls++;
+    const timer = setTimeout(() => {
+      if (relay.fail) {
+        reject(new Error('HTTP 503'));
+      } else {
+        resolve(`Remote: ${request.text}`);
+      }
+    }, relay.delay);
+
+    signal.addEventListener('abort', () => {
+      relay.aborts++;
+      clearTimeout(timer);
+      reject(new DOMException('Summarization was cancelled', 'AbortError'));
+    }, { once: true });
+  });
+
+  return relay;
+}
+
+/**
+ * Create a summarizer using the remote provider through a relay
+ * @param {Object} relay - Relay from createRelay()
+ * @param {Function} [healthRelay] - Health check relay, if the provider is tested that way
+ * @returns {AISummarizationModule} - Summarizer
+ */
+function createSummarizer(relay, healthRelay = null) {
+  const summarizer = new modules.AISummarizationModule({
+    providerRelay: relay.send,
+    providerHealthRelay: healthRelay,
+    providerRetries: 0,
+    providerDeadlines: { high: 50, medium: 50, low: 50 },
+    breakerThreshold: 2,
+    breakerCooldown: COOLDOWN
+  });
+  summarizer.updatePreferences({ provider: 'openai-compatible' });
+  return summarizer;
+}
+
+/**
+ * Fail requests until the circuit opens, then wait for its cooldown to end
+ * @param {AISummarizationModule} summarizer - Summarizer
+ * @param {Object} relay - Its relay
+ */
+async function openCircuitAndWait(summarizer, relay) {
+  relay.fail = true;
+  await summarizer.summarizeChanges(createChange('First update that fails on the server'));
+  await summarizer.summarizeChanges(createChange('Second update that fails on the server'));
+  assert.strictEqual(summarizer.circuit.state, 'open');
+
+  relay.fail = false;
+  await sleep(COOLDOWN + 20);
+}
+
+test('a test request that misses its deadline reopens the circuit', async () => {
+  const relay = createRelay();
+  const summarizer = createSummarizer(relay);
+  await openCircuitAndWait(summarizer, relay);
+
+  relay.delay = 200;
+  const result = await summarizer.summarizeChanges(createChange('Slow update while the server recovers'));
+  assert.strictEqual(result.tier, 'local');
+  assert.strictEqual(summarizer.circuit.state, 'open');
+  assert.strictEqual(relay.aborts, 1);
+
+  // The provider is tested again after another cooldown, and used once it answers in time
+  relay.delay = 10;
+  await sleep(COOLDOWN + 20);
+  const recovered = await summarizer.summarizeChanges(createChange('Update after the server recovered'));
+  assert.strictEqual(recovered.tier, 'provider');
+  assert.strictEqual(summarizer.circuit.state, 'closed');
+});
+
+test('a superseded test request reopens the circuit', async () => {
+  const relay = createRelay();
+  const summarizer = createSummarizer(relay);
+  await openCircuitAndWait(summarizer, relay);
+
+  relay.delay = 30;
+  const superseded = summarizer.summarizeChanges(createChange('Basket total is 3 items', 'basket'));
+  const latest = summarizer.summarizeChanges(createChange('Basket total is 4 items', 'basket'));
+  assert.strictEqual(await superseded, null);
+  assert.strictEqual((await latest).tier, 'local');
+  assert.strictEqual(summarizer.circuit.state, 'open');
+
+  await sleep(COOLDOWN + 20);
+  const recovered = await summarizer.summarizeChanges(createChange('Basket total is 5 items', 'basket'));
+  assert.strictEqual(recovered.tier, 'provider');
+  assert.strictEqual(summarizer.circuit.state, 'closed');
+});
+
+test('a provider that keeps missing the deadline trips the breaker', async () => {
+  const relay = createRelay();
+  const summarizer = createSummarizer(relay);
+  relay.delay = 200;
+
+  for (const text of ['First slow update from the server', 'Second slow update from the server']) {
+    assert.strictEqual((await summarizer.summarizeChanges(createChange(text))).tier, 'local');
+  }
+  assert.strictEqual(summarizer.circuit.state, 'open');
+  assert.strictEqual(relay.aborts, 2);
+
+  // No more requests are sent until the cooldown ends
+  await summarizer.summarizeChanges(createChange('Third slow update from the server'));
+  assert.strictEqual(relay.calls, 2);
+});
+
+test('a failing health check keeps the circuit open without sending requests', async () => {
+  const relay = createRelay();
+  let checks = 0;
+  const summarizer = createSummarizer(relay, async () => {
+    checks++;
+    return { healthy: false, error: 'HTTP 503' };
+  });
+  await openCircuitAndWait(summarizer, relay);
+
+  const result = await summarizer.summarizeChanges(createChange('Update while the server is down'));
+  assert.strictEqual(result.tier, 'local');
+  await sleep(10);
+  assert.strictEqual(checks, 1);
+  assert.strictEqual(summarizer.circuit.state, 'open');
+  assert.strictEqual(relay.calls, 2);
+});
+
+test('a passing health check closes the circuit', async () => {
+  const relay = createRelay();
+  const summarizer = createSummarizer(relay, async () => ({ healthy: true }));
+  await openCircuitAndWait(summarizer, relay);
+
+  // The change that starts the check is summarized locally; later ones go to the provider
+  assert.strictEqual((await summarizer.summarizeChanges(createChange('Update that starts the check'))).tier, 'local');
+  await sleep(10);
+  assert.strictEqual(summarizer.circuit.state, 'closed');
+  const recovered = await summarizer.summarizeChanges(createChange('Update after the check passed'));
+  assert.strictEqual(recovered.tier, 'provider');
+});
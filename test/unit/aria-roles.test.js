@@ -0,0 +1,103 @@
+// Explicit and implicit ARIA roles of elements
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage } = require('./helpers');
+
+const { window, modules } = createPage(`<!DOCTYPE html><html><body>
+  <header id="page-header">Shop</header>
+  <main>
+    <header id="main-header">Products</header>
+    <article><aside id="note">Tip</aside><aside id="named-note" aria-label="Related">Tip</aside></article>
+    <section id="section">Plain</section><section id="region" aria-labelledby="offers">Offers</section>
+    <form id="form"></form><form id="named-form" title="Checkout"></form>
+  </main>
+  <aside id="sidebar">Sidebar</aside>
+  <footer id="page-footer">Contact</footer>
+  <div id="fallback" role="bogus tab button">Tab</div>
+  <div id="abstract" role="widget">Widget</div>
+  <a id="link" href="/basket">Basket</a><a id="anchor">Top</a>
+  <button id="presentational-button" role="presentation">Buy</button>
+  <span id="presentational-span" role="none">Text</span>
+  <img id="decorative" alt=""><img id="photo" alt="Mug">
+  <input id="text"><input id="suggested" list="colours"><input id="check" type="checkbox">
+  <input id="range" type="range"><input id="hidden" type="hidden"><input id="future" type="unknown">
+  <select id="select"></select><select id="multiple" multiple></select>
+  <table>
+    <thead><tr><th id="column">Item</th></tr></thead>
+    <tbody><tr><th id="row">Mug</th><td id="cell">$8</td></tr></tbody>
+  </table>
+  <table role="grid"><tr><td id="gridcell">$8</td></tr></table>
+</body></html>`);
+const { document } = window;
+
+const roles = new modules.AriaRoleModule();
+
+/**
+ * Get the role of the element with an id
+ * @param {string} id - Element id
+ * @returns {string} - Role
+ */
+function roleOf(id) {
+  return roles.getRole(document.getElementById(id));
+}
+
+test('the first valid token of the role attribute is used, and abstract roles are ignored', () => {
+  assert.strictEqual(roleOf('fallback'), 'tab');
+  assert.strictEqual(roleOf('abstract'), 'generic');
+});
+
+test('headers, footers and asides are landmarks only outside sectioning content', () => {
+  assert.strictEqual(roleOf('page-header'), 'banner');
+  assert.strictEqual(roleOf('main-header'), 'generic');
+  assert.strictEqual(roleOf('page-footer'), 'contentinfo');
+  assert.strictEqual(roleOf('sidebar'), 'complementary');
+  assert.strictEqual(roleOf('note'), 'generic');
+  assert.strictEqual(roleOf('named-note'), 'complementary');
+});
+
+test('sections and forms are landmarks only when they are named', () => {
+  assert.strictEqual(roleOf('section'), 'generic');
+  assert.strictEqual(roleOf('region'), 'region');
+  assert.strictEqual(roleOf('form'), 'generic');
+  assert.strictEqual(roleOf('named-form'), 'form');
+});
+
+test('focusable elements ignore role="presentation"', () => {
+  assert.strictEqual(roleOf('presentational-button'), 'button');
+  assert.strictEqual(roleOf('presentational-span'), 'none');
+});
+
+test('links need an href and decorative images are presentational', () => {
+  assert.strictEqual(roleOf('link'), 'link');
+  assert.strictEqual(roleOf('anchor'), 'generic');
+  assert.strictEqual(roleOf('decorative'), 'presentation');
+  assert.strictEqual(roleOf('photo'), 'img');
+});
+
+test('inputs and selects get their role from their type and attributes', () => {
+  assert.strictEqual(roleOf('text'), 'textbox');
+  assert.strictEqual(roleOf('suggested'), 'combobox');
+  assert.strictEqual(roleOf('check'), 'checkbox');
+  assert.strictEqual(roleOf('range'), 'slider');
+  assert.strictEqual(roleOf('hidden'), '');
+  assert.strictEqual(roleOf('future'), 'textbox');
+  assert.strictEqual(roleOf('select'), 'combobox');
+  assert.strictEqual(roleOf('multiple'), 'listbox');
+});
+
+test('table cells are headers, cells or grid cells depending on their table', () => {
+  assert.strictEqual(roleOf('column'), 'columnheader');
+  assert.strictEqual(roleOf('row'), 'rowheader');
+  assert.strictEqual(roleOf('cell'), 'cell');
+  assert.strictEqual(roleOf('gridcell'), 'gridcell');
+});
+
+test('roles are grouped into widgets, form controls and landmarks', () => {
+  assert.ok(roles.isWidget('tab'));
+  assert.ok(!roles.isWidget('region'));
+  assert.ok(roles.isFormControl('combobox'));
+  assert.ok(!roles.isFormControl('button'));
+  assert.ok(roles.isLandmark('search'));
+  assert.ok(!roles.isLandmark('article'));
+});
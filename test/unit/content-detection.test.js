@@ -0,0 +1,57 @@
+// Content detection checks for navigation and change locations
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, sleep } = require('./helpers');
+
+test('changes still queued for analysis when the route changes are not reported after it', async () => {
+  const { window, modules } = createPage(
+    '<!DOCTYPE html><html><head><title>Shop</title></head><body>' +
+    '<div role="status" id="basket">Basket empty</div>' +
+    '<main><h1>Products</h1><p id="total">Total: $42.00</p></main>' +
+    '</body></html>'
+  );
+  const { document } = window;
+
+  // jsdom has no layout, so every element has zero size
+  const detection = new modules.ContentDetectionModule({ treatZeroSizeAsHidden: false });
+  const changes = [];
+  detection.onSignificantChange(significantChanges => changes.push(...significantChanges));
+  detection.startObserving(document.body);
+
+  // Both changes are queued for idle-time analysis when the view swap starts
+  document.getElementById('total').textContent = 'Total: $40.00';
+  document.getElementById('basket').textContent = '2 items in basket';
+  await null;
+  assert.strictEqual(detection.analysisQueue.length, 1);
+
+  window.history.pushState({}, '', '/basket');
+  window.dispatchEvent(new window.CustomEvent(detection.options.navigationEvent, { detail: 'pushState' }));
+  document.querySelector('main').innerHTML = '<h1>Your basket</h1><p>Blue mug</p>';
+
+  await sleep(detection.options.navigationSettleTime * 2 + 200);
+  detection.stopObserving();
+
+  const texts = changes.map(change => JSON.stringify(change.content));
+  assert.ok(changes.some(change => change.type === 'navigation'), 'navigation is reported');
+  assert.ok(texts.some(text => text.includes('2 items in basket')), 'the live region message is kept');
+  assert.ok(!texts.some(text => text.includes('$40.00')), 'the old view\'s change is dropped');
+});
+
+test('changes get a location only when it is asked for, under the nearest visible heading before them', () => {
+  const { window, modules } = createPage(
+    '<!DOCTYPE html><html><body><main>' +
+    '<h1>Shop</h1><section><h2>Basket</h2><h3 hidden>Offers</h3><div><p id="total">Total: $42.00</p></div></section>' +
+    '<h2>Delivery</h2>' +
+    '</main></body></html>'
+  );
+  const total = window.document.getElementById('total');
+
+  const detection = new modules.ContentDetectionModule({ treatZeroSizeAsHidden: false });
+  assert.strictEqual(detection._extractContextInfo(total, 'text').location, null);
+
+  detection.setDescribeLocation(true);
+  const location = detection._extractContextInfo(total, 'text').location;
+  assert.strictEqual(location.heading, 'Basket');
+  assert.strictEqual(location.landmarks.map(landmark => landmark.role).join(), 'main');
+});
@@ -0,0 +1,68 @@
+// Sentence segmentation and sentence choice of the on-device summarizer
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ExtractiveSummarizerModule = require('../../src/lib/extractive-summarizer');
+
+const summarizer = new ExtractiveSummarizerModule();
+
+// Three sentences about the same order, so only the ending decides which one is picked
+const ORDER_UPDATES = 'Your order from the garden shop is being packed now. ' +
+  'Your order from the garden shop is waiting for the courier. ';
+
+test('abbreviations and initials do not end a sentence', () => {
+  assert.deepStrictEqual(
+    summarizer.segmentSentences('Dr. Smith will see you at 3 p.m. today. Mr. J. R. Hartley called, e.g. about the book. Your order No. 42 has shipped!'),
+    ['Dr. Smith will see you at 3 p.m. today.', 'Mr. J. R. Hartley called, e.g. about the book.', 'Your order No. 42 has shipped!']
+  );
+});
+
+test('sentences end at question marks, exclamation marks and closing quotes', () => {
+  assert.deepStrictEqual(
+    summarizer.segmentSentences('Is that all? "Yes." It is. Done!'),
+    ['Is that all?', '"Yes."', 'It is.', 'Done!']
+  );
+});
+
+test('decimal points and prices do not end a sentence', () => {
+  assert.deepStrictEqual(
+    summarizer.segmentSentences('Version 2.5 is out. Prices start at $3.50 each.'),
+    ['Version 2.5 is out.', 'Prices start at $3.50 each.']
+  );
+});
+
+test('a sentence about an error is preferred', () => {
+  const summary = summarizer.summarize(`${ORDER_UPDATES}Your order from the garden shop could not be sent, the address is invalid.`, { maxLength: 80 });
+  assert.strictEqual(summary, 'Your order from the garden shop could not be sent, the address is invalid.');
+});
+
+test('a sentence with a number is preferred', () => {
+  const summary = summarizer.summarize(`${ORDER_UPDATES}Your order from the garden shop will arrive in 3 days.`, { maxLength: 80 });
+  assert.strictEqual(summary, 'Your order from the garden shop will arrive in 3 days.');
+});
+
+test('a sentence naming the element\'s label is preferred', () => {
+  const text = `${ORDER_UPDATES}Your order from the garden shop went to the Billing team.`;
+
+  assert.strictEqual(summarizer.summarize(text, { maxLength: 80 }), 'Your order from the garden shop is being packed now.');
+  assert.strictEqual(
+    summarizer.summarize(text, { maxLength: 80, label: 'Billing' }),
+    'Your order from the garden shop went to the Billing team.'
+  );
+});
+
+test('chosen sentences keep their order in the text', () => {
+  const text = `${ORDER_UPDATES}Your order from the garden shop could not be sent, the address is invalid.`;
+  assert.strictEqual(
+    summarizer.summarize(text, { maxLength: 130 }),
+    'Your order from the garden shop is being packed now. Your order from the garden shop could not be sent, the address is invalid.'
+  );
+});
+
+test('short text is returned as it is, and one long sentence is cut at a word', () => {
+  assert.strictEqual(summarizer.summarize('  Basket   updated  '), 'Basket updated');
+  assert.strictEqual(
+    summarizer.summarize('Your order from the garden shop is being packed and will be sent with the courier tomorrow', { maxLength: 40 }),
+    'Your order from the garden shop is...'
+  );
+});
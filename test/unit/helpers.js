@@ -0,0 +1,36 @@
+// Unit Test Helpers
+// Loads the content script's library modules into a jsdom page, the same way the replay harness does
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { loadContentScriptModules } = require('../../src/tools/replay-harness');
+
+/**
+ * Create a page with the library modules loaded
+ * @param {string} [html] - Page markup
+ * @returns {Object} - jsdom window and module classes by name
+ */
+function createPage(html = '<!DOCTYPE html><html><head></head><body></body></html>') {
+  // Only the page's own errors are shown, not jsdom's notes on features it doesn't implement
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(...args));
+
+  const dom = new JSDOM(html, {
+    url: 'https://example.com/',
+    pretendToBeVisual: true,
+    runScripts: 'outside-only',
+    virtualConsole
+  });
+
+  return { window: dom.window, modules: loadContentScriptModules(dom) };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} - Promise that resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { createPage, sleep };
@@ -0,0 +1,110 @@
+// LRU and TTL eviction of cached summaries, and merging them with the ones persisted by other tabs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { sleep } = require('./helpers');
+const SummaryCacheModule = require('../../src/lib/summary-cache');
+
+/**
+ * Install an in-memory chrome.storage.local for the duration of a test
+ * @param {TestContext} t - Test context, used to remove it afterwards
+ * @param {Object} [items] - Items already in storage
+ * @returns {Object} - Stored items, by key
+ */
+function installStorage(t, items = {}) {
+  global.chrome = {
+    runtime: {},
+    storage: {
+      local: {
+        get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in items).map(key => [key, items[key]]))),
+        set: (values, callback) => {
+          Object.assign(items, values);
+          if (callback) {
+            callback();
+          }
+        },
+        remove: key => delete items[key]
+      }
+    }
+  };
+  t.after(() => delete global.chrome);
+
+  return items;
+}
+
+test('keys ignore case, spacing and the order of context fields', () => {
+  const cache = new SummaryCacheModule();
+
+  assert.strictEqual(
+    cache.getKey('Item  added to\nbasket', { role: 'status', label: 'Basket' }),
+    cache.getKey('item added to basket', { label: 'Basket', role: 'status' })
+  );
+  assert.notStrictEqual(
+    cache.getKey('Item added to basket', { role: 'status' }),
+    cache.getKey('Item added to basket', { role: 'alert' })
+  );
+});
+
+test('the least recently used summary is evicted first', () => {
+  const cache = new SummaryCacheModule({ maxEntries: 2 });
+
+  cache.set('first', 'First summary');
+  cache.set('second', 'Second summary');
+  assert.strictEqual(cache.get('first'), 'First summary');
+  cache.set('third', 'Third summary');
+
+  assert.strictEqual(cache.get('second'), null);
+  assert.strictEqual(cache.get('first'), 'First summary');
+  assert.strictEqual(cache.get('third'), 'Third summary');
+
+  const stats = cache.getStats();
+  assert.strictEqual(stats.size, 2);
+  assert.strictEqual(stats.evictions, 1);
+  assert.strictEqual(stats.hits, 3);
+  assert.strictEqual(stats.misses, 1);
+});
+
+test('summaries expire after their time to live', async () => {
+  const cache = new SummaryCacheModule({ ttl: 30 });
+
+  cache.set('toast', 'Saved');
+  assert.strictEqual(cache.get('toast'), 'Saved');
+
+  await sleep(50);
+  assert.strictEqual(cache.get('toast'), null);
+  assert.strictEqual(cache.getStats().expirations, 1);
+  assert.strictEqual(cache.getStats().size, 0);
+});
+
+test('persisted summaries are loaded behind this page\'s, without expired ones', async (t) => {
+  const now = Date.now();
+  installStorage(t, {
+    summaryCache: [
+      ['old', { summary: 'Expired summary', timestamp: now - 2000 }],
+      ['shared', { summary: 'Stored summary', timestamp: now - 10 }],
+      ['stored', { summary: 'Other tab summary', timestamp: now - 10 }]
+    ]
+  });
+
+  const cache = new SummaryCacheModule({ ttl: 1000 });
+  cache.set('shared', 'This page summary');
+  await cache.configure({ persist: true });
+
+  assert.deepStrictEqual(Array.from(cache.entries.keys()), ['stored', 'shared']);
+  assert.strictEqual(cache.get('shared'), 'This page summary');
+  assert.strictEqual(cache.get('old'), null);
+});
+
+test('writes keep the summaries other tabs stored meanwhile', async (t) => {
+  const items = installStorage(t);
+
+  const cache = new SummaryCacheModule({ persistDelay: 10 });
+  await cache.configure({ persist: true });
+  cache.set('mine', 'This page summary');
+
+  // Another tab on the same origin saves its own summary before this one writes
+  items.summaryCache = [['theirs', { summary: 'Other tab summary', timestamp: Date.now() }]];
+
+  await sleep(30);
+  assert.deepStrictEqual(items.summaryCache.map(([key]) => key), ['theirs', 'mine']);
+});
@@ -0,0 +1,67 @@
+// Word-level diffs and how they are phrased as spoken deltas
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TextDiffModule = require('../../src/lib/text-diff');
+
+const textDiff = new TextDiffModule();
+
+test('a changed word becomes one hunk with the words around it', () => {
+  const diff = textDiff.diff('Price: $19.99 per month', 'Price: $24.99 per month');
+
+  assert.deepStrictEqual(diff.hunks, [{ removed: '$19.99', added: '$24.99', before: 'Price:', after: 'per month' }]);
+  assert.strictEqual(diff.similarity, 0.75);
+  assert.strictEqual(diff.isDelta, true);
+});
+
+test('a delta is named after its "Name:" prefix, or after the subject given for it', () => {
+  assert.strictEqual(
+    textDiff.describe(textDiff.diff('Price: $19.99 per month', 'Price: $24.99 per month')),
+    'Price changed from $19.99 to $24.99'
+  );
+  assert.strictEqual(
+    textDiff.describe(textDiff.diff('Total $19.99', 'Total $24.99'), 'Order total'),
+    'Order total changed from $19.99 to $24.99'
+  );
+  assert.strictEqual(
+    textDiff.describe(textDiff.diff('3 items in your basket', '4 items in your basket')),
+    'Changed from 3 to 4'
+  );
+});
+
+test('additions and removals are phrased as such', () => {
+  assert.strictEqual(
+    textDiff.describe(textDiff.diff('Guests: 2 adults', 'Guests: 2 adults 1 child')),
+    'Added 1 child'
+  );
+  assert.strictEqual(
+    textDiff.describe(textDiff.diff('Filters: red large', 'Filters: large')),
+    'Filters: removed red'
+  );
+});
+
+test('the subject is only used when there is a single hunk', () => {
+  const diff = textDiff.diff('3 adults and 2 children', '4 adults and 1 children');
+
+  assert.strictEqual(diff.hunks.length, 2);
+  assert.strictEqual(textDiff.describe(diff, 'Guests'), 'Changed from 3 to 4; Changed from 2 to 1');
+});
+
+test('rewrites and changes with too many edits are not deltas', () => {
+  const rewrite = textDiff.diff('Hello world again', 'Goodbye everyone now friends');
+  assert.strictEqual(rewrite.similarity, 0);
+  assert.strictEqual(rewrite.isDelta, false);
+  assert.strictEqual(textDiff.describe(rewrite), '');
+
+  const scattered = textDiff.diff('a b c d e f g h', 'x b y d z f w h');
+  assert.strictEqual(scattered.hunks.length, 4);
+  assert.strictEqual(scattered.isDelta, false);
+});
+
+test('unchanged text has no hunks', () => {
+  const diff = textDiff.diff('same text', ' same   text ');
+
+  assert.deepStrictEqual(diff.hunks, []);
+  assert.strictEqual(diff.similarity, 1);
+  assert.strictEqual(diff.isDelta, false);
+});